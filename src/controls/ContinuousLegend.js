@@ -1,16 +1,49 @@
 import L from 'leaflet'
 
-import {inject, fromTemplate, $$, $} from './utils.js'
+import {inject, fromTemplate, $$, $, CHECKERBOARD, swatchBackground, escapeXML, textWidth, svgPaint, svgDocument,
+  svgToPNG} from './utils.js'
 import {getLanguageTag, getLanguageString, stringifyUnit} from 'covutils'
 
+import {paletteScaleFns, paletteColor, directPalette} from '../layers/palettes.js'
+import {scaleTicks, decimalPlaces, formatNumber} from '../util/ticks.js'
+import {getUnitConversion} from '../util/units.js'
+import {getLocale, getMessages} from '../util/i18n.js'
+
+// geometry of the default templates: the palette bar starts at barStart pixels within its container,
+// along the orientation axis
+const LAYOUTS = {
+  vertical: {barStart: 9, barLength: 136},
+  horizontal: {barStart: 9, barLength: 182}
+}
+// minimum distance in pixels between the two handles when dragging
+const MIN_HANDLE_GAP = 5
+// handles are centered on the bar ends
+const HANDLE_OFFSET = 3
+// pixels per histogram bin
+const HISTOGRAM_BIN_SIZE = 4
+// geometry of exported legends, in CSS pixels
+const SVG_PADDING = 8
+const SVG_FONT_SIZE = 12
+const SVG_BAR_LENGTH = 200
+const SVG_BAR_WIDTH = 18
+const SVG_CAP_SIZE = 9
+const SVG_TICK_SIZE = 5
+
 const DEFAULT_TEMPLATE_ID = 'template-coverage-parameter-continuous-legend'
 const DEFAULT_TEMPLATE = `<template id="${DEFAULT_TEMPLATE_ID}">
   <div class="leaflet-coverage-control legend continuous-legend">
     <div style="margin-bottom:3px" class="legend-title-container">
       <strong class="legend-title"></strong>
+      <button type="button" style="display: none; float: right; margin-left: 5px; padding: 0 3px; cursor: pointer;" class="legend-reset" title="Reset the value range">&#8634;</button>
     </div>
-    <div style="display: inline-block; height: 144px; float:left">
+    <div style="display: none; height: 154px; width: 40px; float:left; position: relative; margin-right: 2px" class="legend-histogram"></div>
+    <div style="display: inline-block; height: 154px; float:left; position: relative">
+      <span style="position: absolute; top: 0; height: 9px; width: 18px; display: none; clip-path: polygon(50% 0, 100% 100%, 0 100%);" class="legend-above"></span>
       <span style="height: 136px; width: 18px; display: block; margin-top: 9px;" class="legend-palette"></span>
+      <span style="position: absolute; top: 145px; height: 9px; width: 18px; display: none; clip-path: polygon(0 0, 100% 0, 50% 100%);" class="legend-below"></span>
+      <div class="legend-ticks"></div>
+      <span style="position: absolute; top: 6px; left: -2px; height: 4px; width: 20px; display: none; cursor: ns-resize; background: #fff; border: 1px solid #333;" class="legend-handle-max"></span>
+      <span style="position: absolute; top: 142px; left: -2px; height: 4px; width: 20px; display: none; cursor: ns-resize; background: #fff; border: 1px solid #333;" class="legend-handle-min"></span>
     </div>
     <div style="display: inline-block; float:left; height:153px">
       <table style="height: 100%;">
@@ -19,6 +52,37 @@ const DEFAULT_TEMPLATE = `<template id="${DEFAULT_TEMPLATE_ID}">
         <tr><td style="vertical-align:bottom"><span class="legend-min"></span> <span class="legend-uom"></span></td></tr>
       </table>
     </div>
+    <div style="clear: both; display: none; padding-top: 3px" class="legend-nodata">
+      <span style="height: 12px; width: 18px; display: inline-block; vertical-align: middle;" class="legend-nodata-swatch"></span>
+      <span class="legend-nodata-label">No data</span>
+    </div>
+  </div>
+</template>`
+
+const DEFAULT_HORIZONTAL_TEMPLATE_ID = 'template-coverage-parameter-continuous-legend-horizontal'
+const DEFAULT_HORIZONTAL_TEMPLATE = `<template id="${DEFAULT_HORIZONTAL_TEMPLATE_ID}">
+  <div class="leaflet-coverage-control legend continuous-legend continuous-legend-horizontal">
+    <div style="margin-bottom:3px" class="legend-title-container">
+      <strong class="legend-title"></strong>
+      <button type="button" style="display: none; float: right; margin-left: 5px; padding: 0 3px; cursor: pointer;" class="legend-reset" title="Reset the value range">&#8634;</button>
+    </div>
+    <div style="display: none; height: 30px; width: 200px; position: relative; margin-bottom: 2px" class="legend-histogram"></div>
+    <div style="height: 36px; width: 200px; position: relative">
+      <span style="position: absolute; top: 0; left: 0; height: 18px; width: 9px; display: none; clip-path: polygon(0 50%, 100% 0, 100% 100%);" class="legend-below"></span>
+      <span style="position: absolute; top: 0; left: 9px; height: 18px; width: 182px; display: block;" class="legend-palette"></span>
+      <span style="position: absolute; top: 0; left: 191px; height: 18px; width: 9px; display: none; clip-path: polygon(0 0, 100% 50%, 0 100%);" class="legend-above"></span>
+      <div class="legend-ticks"></div>
+      <span style="position: absolute; left: 6px; top: -2px; height: 20px; width: 4px; display: none; cursor: ew-resize; background: #fff; border: 1px solid #333;" class="legend-handle-min"></span>
+      <span style="position: absolute; left: 188px; top: -2px; height: 20px; width: 4px; display: none; cursor: ew-resize; background: #fff; border: 1px solid #333;" class="legend-handle-max"></span>
+    </div>
+    <div style="width: 200px; overflow: hidden">
+      <span style="float: left"><span class="legend-min"></span> <span class="legend-uom"></span></span>
+      <span style="float: right"><span class="legend-max"></span> <span class="legend-uom"></span></span>
+    </div>
+    <div style="display: none; padding-top: 3px" class="legend-nodata">
+      <span style="height: 12px; width: 18px; display: inline-block; vertical-align: middle;" class="legend-nodata-swatch"></span>
+      <span class="legend-nodata-label">No data</span>
+    </div>
   </div>
 </template>`
 
@@ -31,6 +95,32 @@ const DEFAULT_TEMPLATE = `<template id="${DEFAULT_TEMPLATE_ID}">
  * If there are only a few color steps (e.g. 10), then this class
  * will still show a continuous legend due to its rendering technique
  * (CSS gradient based).
+ * Translucent palette colors (see {@link Palette}) are shown against a checkerboard.
+ * 
+ * If the layer has colors for values below or above the palette extent (`belowColor`, `aboveColor`),
+ * these are shown as triangular caps at the ends of the palette bar.
+ * The color of missing values (`noDataColor`) is shown as a separate swatch.
+ * 
+ * Intermediate ticks with round values are shown at their position on the palette scale
+ * (see {@link PaletteScale}), for example powers of ten for `log` and the center value for `diverging`.
+ * Numbers are formatted according to the `format` option, either with a custom function
+ * or with a number of decimal places, a notation, and a locale.
+ * The legend can be shown with a vertical (default) or horizontal palette bar.
+ * 
+ * For use outside of the map, for example in reports, the legend can be exported as SVG document
+ * or PNG image with {@link ContinuousLegend#toSVG} and {@link ContinuousLegend#toPNG}.
+ * 
+ * If the legend has a `histogram`, the distribution of the values the palette applies to
+ * (for example the current subset of a {@link Grid}, or the point values of a {@link PointCollection})
+ * is shown next to the palette bar. The bins are aligned with the palette bar, which means they follow the palette scale,
+ * and values outside the palette extent are not shown.
+ * 
+ * If the legend is `editable`, the palette extent can be changed interactively:
+ * clicking the min/max labels allows to type in values (Enter applies, Escape cancels),
+ * dragging the handles at the ends of the palette bar narrows the extent,
+ * and the reset button returns to the initial extent mode of the layer, for example 'subset' or 'full'.
+ * The new extent is set as <code>paletteExtent</code> of the layer, which means that
+ * it is propagated to all layers if the layer is a virtual layer of {@link ParameterSync}.
  * 
  * @example <caption>Coverage data layer</caption>
  * new C.ContinuousLegend(covLayer).addTo(map)
@@ -66,30 +156,66 @@ export class ContinuousLegend extends L.Control {
    * 
    * @param {object} covLayer 
    *   The coverage data layer, or any object with <code>palette</code>,
-   *   <code>paletteExtent</code>, and <code>parameter</code> properties.
+   *   <code>paletteExtent</code>, and <code>parameter</code> properties, and optionally <code>paletteScale</code>,
+   *   <code>belowColor</code>, <code>aboveColor</code>, <code>noDataColor</code>, <code>displayUnit</code>,
+   *   and <code>getPaletteValues()</code> (see {@link PaletteMixin}).
    *   If the object has <code>on</code>/<code>off</code> methods, then the legend will
-   *   listen for <code>"paletteChange"</code> and <code>"paletteExtentChange"</code>
-   *   events and update itself automatically.
+   *   listen for <code>"paletteChange"</code>, <code>"paletteExtentChange"</code>, <code>"paletteScaleChange"</code>,
+   *   and <code>"displayUnitChange"</code> events and update itself automatically.
+   *   If the histogram is enabled, it is also updated on <code>"dataLoad"</code> and <code>"axisChange"</code> events.
    *   If the layer fires a <code>"remove"</code> event, then the legend will remove itself
    *   from the map. 
    * @param {object} [options] Legend options.
    * @param {string} [options.position='bottomright'] The initial position of the control (see Leaflet docs).
-   * @param {string} [options.language] A language tag, indicating the preferred language to use for labels.
+   * @param {string} [options.language] A language tag, indicating the preferred language to use for labels,
+   *   built-in messages, and number formats. Defaults to the locale set with {@link setLocale}.
+   * @param {Object} [options.messages] Built-in messages to replace, by key, for example <code>{noData: 'Missing'}</code>,
+   *   see {@link registerMessages}.
    * @param {string} [options.templateId] Uses the HTML element with the given id as template.
+   *   The template must have the same geometry as the default template of the orientation.
+   * @param {string} [options.orientation='vertical'] The orientation of the palette bar, 'vertical' or 'horizontal'.
+   * @param {number} [options.ticks=5] The approximate number of intervals between ticks, 0 for no intermediate ticks.
+   * @param {function(number):string|Object} [options.format] A function converting a number to a label,
+   *   or an object with number formatting options.
+   * @param {number} [options.format.precision] The number of decimal places, of the mantissa for scientific notation.
+   *   By default, the extent is shown with two decimal places and ticks with as many as needed.
+   * @param {string} [options.format.notation='standard'] 'standard', 'scientific', 'engineering', or 'compact'.
+   * @param {string} [options.format.locale] The locale whose conventions are used, for example 'de' for a decimal comma.
+   *   Defaults to the <code>language</code> option.
+   * @param {boolean} [options.histogram=false] Whether to show a histogram of the values next to the palette bar.
+   *   Requires a layer with a <code>getPaletteValues()</code> method.
+   * @param {boolean} [options.editable=false] Whether the palette extent can be changed interactively.
+   * @param {string|Array<number>} [options.resetExtent] The palette extent that the reset button applies.
+   *   Defaults to the initial extent of the layer if that is not a fixed extent (e.g. 'fov'),
+   *   otherwise the <code>defaultPaletteExtent</code> of the layer (e.g. 'subset' for {@link Grid}), or 'full'.
    */
   constructor (covLayer, options = {}) {
     super({position: options.position || 'bottomright'})
     this._covLayer = covLayer
-    this._templateId = options.templateId || DEFAULT_TEMPLATE_ID
-    this._language = options.language
+    this._orientation = options.orientation || 'vertical'
+    if (!LAYOUTS[this._orientation]) {
+      throw new Error('Unsupported orientation: ' + this._orientation)
+    }
+    let horizontal = this._orientation === 'horizontal'
+    let defaultTemplateId = horizontal ? DEFAULT_HORIZONTAL_TEMPLATE_ID : DEFAULT_TEMPLATE_ID
+    this._templateId = options.templateId || defaultTemplateId
+    this._language = options.language || getLocale()
+    this._messages = getMessages(this._language, options.messages)
+    this._ticks = options.ticks === undefined ? 5 : options.ticks
+    this._format = options.format || {}
+    this._histogram = options.histogram || false
+    this._editable = options.editable || false
+    this._resetExtent = options.resetExtent
     
-    if (!options.templateId && document.getElementById(DEFAULT_TEMPLATE_ID) === null) {
-      inject(DEFAULT_TEMPLATE)
+    if (!options.templateId && document.getElementById(defaultTemplateId) === null) {
+      inject(horizontal ? DEFAULT_HORIZONTAL_TEMPLATE : DEFAULT_TEMPLATE)
     }   
 
     if (covLayer.on) {
       this._remove = () => this.remove()
       this._update = () => this._doUpdate(false)
+      this._fullUpdate = () => this._doUpdate(true)
+      this._updateHistogram = () => this._doUpdateHistogram()
       covLayer.on('remove', this._remove)
     }
   }
@@ -108,28 +234,323 @@ export class ContinuousLegend extends L.Control {
     let el = this._el
     
     if (fullUpdate) {
-      let param = this._covLayer.parameter
-      // if requested language doesn't exist, use the returned one for all other labels
-      let language = getLanguageTag(param.observedProperty.label, this._language) 
-      let title = getLanguageString(param.observedProperty.label, language)
-      let unit = stringifyUnit(param.unit, language)
-       $$('.legend-title', el).innerHTML = title
-       $('.legend-uom', el).forEach(u => u.innerHTML = unit)        
+      let {title, unit} = this._getLabels()
+      $$('.legend-title', el).innerHTML = title
+      $('.legend-uom', el).forEach(u => u.innerHTML = unit)        
     }
     
     let palette = this._covLayer.palette
     let [low,high] = this._covLayer.paletteExtent
     
-    $$('.legend-min', el).innerHTML = low.toFixed(2)
-    $$('.legend-max', el).innerHTML = high.toFixed(2)
+    $$('.legend-min', el).innerHTML = this._formatNumber(low, 2)
+    $$('.legend-max', el).innerHTML = this._formatNumber(high, 2)
 
     let gradient = ''
     for (let i = 0; i < palette.steps; i++) {
       if (i > 0) gradient += ','
-      gradient += 'rgb(' + palette.red[i] + ',' + palette.green[i] + ',' + palette.blue[i] + ')'
+      gradient += paletteColor(palette, i)
     }
     
-    $$('.legend-palette', el).style.background = 'transparent linear-gradient(to top, ' + gradient + ') repeat scroll 0% 0%'
+    // translucent palette colors are shown against a checkerboard
+    let direction = this._orientation === 'horizontal' ? 'to right' : 'to top'
+    $$('.legend-palette', el).style.background = 'linear-gradient(' + direction + ', ' + gradient + '), ' + CHECKERBOARD
+    
+    this._updateTicks([low, high])
+    this._updateExtraColors(palette)
+    this._doUpdateHistogram()
+  }
+  
+  /**
+   * Formats a number according to the format option.
+   * 
+   * @param {number} val
+   * @param {number} defaultPrecision The number of decimal places if not given in the format option.
+   * @return {string}
+   */
+  _formatNumber (val, defaultPrecision) {
+    let format = this._format
+    if (typeof format === 'function') {
+      return format(val)
+    }
+    return formatNumber(val, {
+      precision: format.precision === undefined ? defaultPrecision : format.precision,
+      notation: format.notation,
+      locale: format.locale || this._language
+    })
+  }
+  
+  /**
+   * Returns the pixel offset of a normalized palette position along the palette bar,
+   * from the top for vertical and from the left for horizontal legends.
+   * 
+   * @param {number} t The normalized position, 0 for the lower and 1 for the upper bound of the extent.
+   * @return {number}
+   */
+  _barOffset (t) {
+    let {barStart, barLength} = LAYOUTS[this._orientation]
+    return barStart + (this._orientation === 'horizontal' ? t : 1 - t) * barLength
+  }
+  
+  /**
+   * Shows the number of values in bins of equal size along the palette bar.
+   */
+  _doUpdateHistogram () {
+    let histogram = $$('.legend-histogram', this._el)
+    if (!histogram) return // custom template without histogram
+    let layer = this._covLayer
+    if (!this._histogram || !layer.getPaletteValues) {
+      histogram.style.display = 'none'
+      return
+    }
+    let {normalizeData} = this._getScale()
+    let barLength = LAYOUTS[this._orientation].barLength
+    let bins = Math.round(barLength / HISTOGRAM_BIN_SIZE)
+    let counts = new Array(bins).fill(0)
+    for (let val of layer.getPaletteValues()) {
+      let t = normalizeData(val)
+      if (t >= 0 && t <= 1) {
+        counts[Math.min(Math.floor(t * bins), bins - 1)]++
+      }
+    }
+    let maxCount = Math.max(...counts)
+    let binSize = barLength / bins
+    let html = ''
+    counts.forEach((count, i) => {
+      if (count === 0) return
+      if (this._orientation === 'horizontal') {
+        // bars grow upwards from the palette bar
+        let height = count / maxCount * parseFloat(histogram.style.height)
+        html += `<span style="position:absolute; bottom:0; left:${this._barOffset(i / bins)}px; width:${binSize}px; ` +
+          `height:${height}px; background:#888"></span>`
+      } else {
+        // bars grow leftwards from the palette bar
+        let width = count / maxCount * parseFloat(histogram.style.width)
+        html += `<span style="position:absolute; right:0; top:${this._barOffset((i + 1) / bins)}px; height:${binSize}px; ` +
+          `width:${width}px; background:#888"></span>`
+      }
+    })
+    histogram.innerHTML = html
+    histogram.style.display = this._orientation === 'horizontal' ? 'block' : 'inline-block'
+  }
+  
+  /**
+   * Shows the caps for the colors of values outside the palette extent and the no-data swatch
+   * if the layer has such colors.
+   */
+  _updateExtraColors (palette) {
+    let layer = this._covLayer
+    let caps = [['.legend-below', layer.belowColor, 0], ['.legend-above', layer.aboveColor, palette.steps - 1]]
+    for (let [selector, color, extendIdx] of caps) {
+      let cap = $$(selector, this._el)
+      if (!cap) continue // custom template without caps
+      if (color) {
+        cap.style.background = swatchBackground(color === 'extend' ? paletteColor(palette, extendIdx) : color)
+      }
+      cap.style.display = color ? 'block' : 'none'
+    }
+    let noData = $$('.legend-nodata', this._el)
+    if (noData) {
+      if (layer.noDataColor) {
+        $$('.legend-nodata-swatch', noData).style.background = swatchBackground(layer.noDataColor)
+      }
+      noData.style.display = layer.noDataColor ? 'block' : 'none'
+    }
+  }
+  
+  /**
+   * Returns the title of the parameter and the unit in which values are shown.
+   * 
+   * @return {Object} An object `{title, unit}`.
+   */
+  _getLabels () {
+    let layer = this._covLayer
+    let param = layer.parameter
+    // if requested language doesn't exist, use the returned one for all other labels
+    let language = getLanguageTag(param.observedProperty.label, this._language) 
+    return {
+      title: getLanguageString(param.observedProperty.label, language),
+      unit: layer.displayUnit || stringifyUnit(param.unit, language)
+    }
+  }
+  
+  /**
+   * Returns functions mapping values to normalized positions along the palette bar and back.
+   * The extent and the labels are in the display unit of the layer, but positions are computed
+   * in the unit of the parameter as the layer does, since scales like 'log' change under unit conversions with an offset.
+   * 
+   * @return {Object} An object `{normalize(val), denormalize(t), normalizeData(val), convert(val)}`,
+   *   where `normalizeData` takes values in the unit of the parameter and `convert` converts them to the display unit.
+   */
+  _getScale () {
+    let layer = this._covLayer
+    let {convert, invert} = getUnitConversion(layer.parameter.unit, layer.displayUnit)
+    let {normalize, denormalize} = paletteScaleFns(layer.paletteScale || 'linear')
+    let extent = layer.paletteExtent.map(invert)
+    return {
+      normalize: val => normalize(invert(val), extent),
+      denormalize: t => convert(denormalize(t, extent)),
+      normalizeData: val => normalize(val, extent),
+      convert
+    }
+  }
+  
+  /**
+   * Returns the intermediate ticks at the positions of their values on the palette scale.
+   * Ticks too close to the extent bounds are left out as these are labelled already.
+   * 
+   * @param {Array<number>} extent
+   * @return {Array<Object>} An object `{t, label}` for each tick, where `t` is the normalized position.
+   */
+  _getTicks (extent) {
+    let paletteScale = this._covLayer.paletteScale || 'linear'
+    let {normalize, convert} = this._getScale()
+    if ((paletteScale.type || paletteScale) === 'diverging') {
+      // the center is in the unit of the parameter
+      paletteScale = {type: 'diverging', center: convert(paletteScale.center || 0)}
+    }
+    let ticks = scaleTicks(paletteScale, extent, this._ticks).filter(val => {
+      let t = normalize(val)
+      return t > 0.05 && t < 0.95
+    })
+    // the same number of decimal places for all ticks
+    let precision = decimalPlaces(ticks)
+    return ticks.map(val => ({t: normalize(val), label: this._formatNumber(val, precision)}))
+  }
+  
+  /**
+   * Places the intermediate ticks along the palette bar.
+   */
+  _updateTicks (extent) {
+    let html = ''
+    for (let {t, label} of this._getTicks(extent)) {
+      let offset = this._barOffset(t)
+      if (this._orientation === 'horizontal') {
+        html += `<span style="position:absolute; top:18px; left:${offset}px; width:1px; height:5px; background:#333"></span>` +
+          `<span style="position:absolute; top:23px; left:${offset}px; transform:translateX(-50%); font-size:smaller; white-space:nowrap">${label}</span>`
+      } else {
+        html += `<span style="position:absolute; left:18px; top:${offset}px; width:5px; height:1px; background:#333"></span>` +
+          `<span style="position:absolute; left:25px; top:${offset}px; transform:translateY(-50%); font-size:smaller; white-space:nowrap">${label}</span>`
+      }
+    }
+    $$('.legend-ticks', this._el).innerHTML = html
+  }
+  
+  /**
+   * Renders the legend as standalone SVG document, with the title, unit, palette, extent, ticks,
+   * and extra colors of the legend on the map, in the same orientation.
+   * Translucent colors stay translucent instead of being shown against a checkerboard.
+   * 
+   * @example
+   * var svg = legend.toSVG()
+   * var url = URL.createObjectURL(new Blob([svg], {type: 'image/svg+xml'}))
+   * 
+   * @param {Object} [options]
+   * @param {string} [options.background='white'] The CSS background color, 'none' for a transparent background.
+   * @return {string} The SVG document.
+   */
+  toSVG (options = {}) {
+    return this._renderSVG(options).svg
+  }
+  
+  /**
+   * Renders the legend as PNG image, see {@link ContinuousLegend#toSVG}.
+   * 
+   * @example
+   * legend.toPNG({dpi: 300}).then(blob => {
+   *   var url = URL.createObjectURL(blob)
+   * })
+   * 
+   * @param {Object} [options]
+   * @param {number} [options.dpi=96] The resolution of the image, where 96 dpi means one image pixel per CSS pixel.
+   * @param {string} [options.background='white'] The CSS background color, 'none' for a transparent background.
+   * @return {Promise<Blob>} The PNG image.
+   */
+  toPNG (options = {}) {
+    let {svg, width, height} = this._renderSVG(options)
+    return svgToPNG(svg, width, height, options.dpi || 96)
+  }
+  
+  _renderSVG ({background='white'} = {}) {
+    let layer = this._covLayer
+    let palette = layer.palette
+    let extent = layer.paletteExtent
+    let horizontal = this._orientation === 'horizontal'
+    let font = SVG_FONT_SIZE + 'px sans-serif'
+    let pad = SVG_PADDING
+    
+    let {title, unit} = this._getLabels()
+    let heading = unit ? title + ' (' + unit + ')' : title
+    let content = `<text x="${pad}" y="${pad + SVG_FONT_SIZE}" font-weight="bold">${escapeXML(heading)}</text>`
+    let width = 2 * pad + textWidth(heading, 'bold ' + font)
+    
+    // palette bar, starting at (x,y), from the lower to the upper bound to the top or right
+    let x = horizontal ? pad + SVG_CAP_SIZE : pad
+    let y = pad + SVG_FONT_SIZE + 8 + (horizontal ? 0 : SVG_CAP_SIZE)
+    let barWidth = horizontal ? SVG_BAR_LENGTH : SVG_BAR_WIDTH
+    let barHeight = horizontal ? SVG_BAR_WIDTH : SVG_BAR_LENGTH
+    let stops = ''
+    for (let i = 0; i < palette.steps; i++) {
+      let offset = palette.steps > 1 ? i / (palette.steps - 1) : 0
+      stops += `<stop offset="${offset}" ${svgPaint('stop-color', palette, i, 'stop-opacity')}/>`
+    }
+    let direction = horizontal ? 'x1="0" y1="0" x2="1" y2="0"' : 'x1="0" y1="1" x2="0" y2="0"'
+    content += `<defs><linearGradient id="legend-gradient" ${direction}>${stops}</linearGradient></defs>` +
+      `<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="url(#legend-gradient)"/>`
+    
+    // caps for the colors of values outside the extent, as on the map
+    let caps = [[layer.belowColor, 0, false], [layer.aboveColor, palette.steps - 1, true]]
+    for (let [color, extendIdx, upper] of caps) {
+      if (!color) continue
+      let paint = color === 'extend' ? svgPaint('fill', palette, extendIdx) : svgPaint('fill', directPalette([color]), 0)
+      let points
+      if (horizontal) {
+        let edge = upper ? x + barWidth : x
+        let tip = upper ? edge + SVG_CAP_SIZE : edge - SVG_CAP_SIZE
+        points = [[edge, y], [edge, y + barHeight], [tip, y + barHeight / 2]]
+      } else {
+        let edge = upper ? y : y + barHeight
+        let tip = upper ? edge - SVG_CAP_SIZE : edge + SVG_CAP_SIZE
+        points = [[x, edge], [x + barWidth, edge], [x + barWidth / 2, tip]]
+      }
+      content += `<polygon points="${points.map(p => p.join(',')).join(' ')}" ${paint}/>`
+    }
+    
+    // the extent bounds are labelled like ticks
+    let ticks = [{t: 0, label: this._formatNumber(extent[0], 2)}, ...this._getTicks(extent),
+                 {t: 1, label: this._formatNumber(extent[1], 2)}]
+    let bottom
+    for (let [i, {t, label}] of ticks.entries()) {
+      if (horizontal) {
+        let pos = x + t * barWidth
+        let anchor = i === 0 ? 'start' : i === ticks.length - 1 ? 'end' : 'middle'
+        content += `<line x1="${pos}" y1="${y + barHeight}" x2="${pos}" y2="${y + barHeight + SVG_TICK_SIZE}" stroke="#333"/>` +
+          `<text x="${pos}" y="${y + barHeight + SVG_TICK_SIZE + SVG_FONT_SIZE}" text-anchor="${anchor}">${escapeXML(label)}</text>`
+      } else {
+        let pos = y + (1 - t) * barHeight
+        let labelX = x + barWidth + SVG_TICK_SIZE + 3
+        content += `<line x1="${x + barWidth}" y1="${pos}" x2="${x + barWidth + SVG_TICK_SIZE}" y2="${pos}" stroke="#333"/>` +
+          `<text x="${labelX}" y="${pos}" dy="0.35em">${escapeXML(label)}</text>`
+        width = Math.max(width, labelX + textWidth(label, font) + pad)
+      }
+    }
+    if (horizontal) {
+      width = Math.max(width, x + barWidth + SVG_CAP_SIZE + pad)
+      bottom = y + barHeight + SVG_TICK_SIZE + SVG_FONT_SIZE + 4
+    } else {
+      bottom = y + barHeight + SVG_CAP_SIZE + SVG_FONT_SIZE / 2
+    }
+    
+    if (layer.noDataColor) {
+      let label = this._messages.noData
+      content += `<rect x="${pad}" y="${bottom + 4}" width="${SVG_BAR_WIDTH}" height="${SVG_FONT_SIZE}" ` +
+        `${svgPaint('fill', directPalette([layer.noDataColor]), 0)}/>` +
+        `<text x="${pad + SVG_BAR_WIDTH + 6}" y="${bottom + 4 + SVG_FONT_SIZE / 2}" dy="0.35em">${escapeXML(label)}</text>`
+      width = Math.max(width, pad + SVG_BAR_WIDTH + 6 + textWidth(label, font) + pad)
+      bottom += 4 + SVG_FONT_SIZE
+    }
+    let height = bottom + pad
+    
+    return {svg: svgDocument(width, height, content, background), width, height}
   }
   
   /**
@@ -142,13 +563,174 @@ export class ContinuousLegend extends L.Control {
     if (this._covLayer.on) {
       this._covLayer.on('paletteChange', this._update)
       this._covLayer.on('paletteExtentChange', this._update)
+      this._covLayer.on('paletteScaleChange', this._update)
+      this._covLayer.on('displayUnitChange', this._fullUpdate)
+      if (this._histogram) {
+        this._covLayer.on('dataLoad', this._updateHistogram)
+        this._covLayer.on('axisChange', this._updateHistogram)
+      }
     }
     
     this._el = fromTemplate(this._templateId)
+    let noDataLabel = $$('.legend-nodata-label', this._el)
+    if (noDataLabel) { // custom template may not have a no-data entry
+      noDataLabel.innerHTML = this._messages.noData
+    }
     this.update()
+    if (this._editable) {
+      this._initEditing()
+    }
     return this._el
   }
   
+  /**
+   * Makes the min/max labels, the handles, and the reset button interactive.
+   */
+  _initEditing () {
+    let el = this._el
+    // typing and dragging should not pan or zoom the map
+    L.DomEvent.disableClickPropagation(el)
+    
+    for (let [bound, i] of [['min', 0], ['max', 1]]) {
+      let label = $$('.legend-' + bound, el)
+      label.style.cursor = 'pointer'
+      label.title = this._messages.clickToEdit
+      L.DomEvent.on(label, 'click', () => this._editBound(label, i))
+      
+      let handle = $$('.legend-handle-' + bound, el)
+      if (handle) { // custom template may not have handles
+        handle.style.display = 'block'
+        L.DomEvent.on(handle, 'mousedown', e => this._dragBound(e, handle, label, i))
+      }
+    }
+    
+    let reset = $$('.legend-reset', el)
+    if (reset) {
+      reset.style.display = 'inline-block'
+      reset.title = this._messages.resetExtent
+      L.DomEvent.on(reset, 'click', () => this._setExtent(this._getResetExtent()))
+    }
+  }
+  
+  /**
+   * Replaces a min/max label with a number input.
+   * 
+   * @param {HTMLElement} label The label element.
+   * @param {number} i 0 for the lower bound, 1 for the upper bound.
+   */
+  _editBound (label, i) {
+    if ($$('input', label)) return // already editing
+    let input = document.createElement('input')
+    input.type = 'number'
+    input.step = 'any'
+    input.style.width = '6em'
+    input.value = this._covLayer.paletteExtent[i]
+    label.innerHTML = ''
+    label.appendChild(input)
+    input.focus()
+    input.select()
+    
+    let done = false
+    let finish = apply => {
+      // removing the input triggers a blur event
+      if (done) return
+      done = true
+      if (!apply || !this._setBound(i, parseFloat(input.value))) {
+        this._doUpdate(false)
+      }
+    }
+    L.DomEvent.on(input, 'keydown', e => {
+      if (e.key === 'Enter') {
+        finish(true)
+      } else if (e.key === 'Escape') {
+        finish(false)
+      }
+    })
+    L.DomEvent.on(input, 'blur', () => finish(true))
+  }
+  
+  /**
+   * Lets the user drag a handle along the palette bar and applies the value at its new position.
+   * 
+   * @param {MouseEvent} e The mousedown event.
+   * @param {HTMLElement} handle The handle element.
+   * @param {HTMLElement} label The label element of the bound, updated while dragging.
+   * @param {number} i 0 for the lower bound, 1 for the upper bound.
+   */
+  _dragBound (e, handle, label, i) {
+    L.DomEvent.preventDefault(e) // no text selection
+    let {denormalize} = this._getScale()
+    let horizontal = this._orientation === 'horizontal'
+    let prop = horizontal ? 'left' : 'top'
+    let handlePos = handle.style[prop]
+    let barLength = LAYOUTS[this._orientation].barLength
+    let minGap = MIN_HANDLE_GAP / barLength
+    let startX = e.clientX
+    let startY = e.clientY
+    let val
+    
+    let move = e => {
+      // normalized position, the handle of the lower bound starts at 0
+      let t = i + (horizontal ? e.clientX - startX : startY - e.clientY) / barLength
+      // a handle can't pass the other one
+      if (i === 0) {
+        t = Math.min(Math.max(t, 0), 1 - minGap)
+      } else {
+        t = Math.min(Math.max(t, minGap), 1)
+      }
+      handle.style[prop] = (this._barOffset(t) - HANDLE_OFFSET) + 'px'
+      val = denormalize(t)
+      label.innerHTML = this._formatNumber(val, 2)
+    }
+    let up = () => {
+      L.DomEvent.off(document, 'mousemove', move)
+      L.DomEvent.off(document, 'mouseup', up)
+      handle.style[prop] = handlePos
+      if (val === undefined || !this._setBound(i, val)) {
+        this._doUpdate(false)
+      }
+    }
+    L.DomEvent.on(document, 'mousemove', move)
+    L.DomEvent.on(document, 'mouseup', up)
+  }
+  
+  /**
+   * Sets one bound of the palette extent if the resulting extent is valid.
+   * 
+   * @param {number} i 0 for the lower bound, 1 for the upper bound.
+   * @param {number} val The new value of the bound.
+   * @return {boolean} Whether the extent was set.
+   */
+  _setBound (i, val) {
+    let extent = this._covLayer.paletteExtent.slice()
+    extent[i] = val
+    if (!isFinite(val) || extent[0] >= extent[1]) {
+      return false
+    }
+    this._setExtent(extent)
+    return true
+  }
+  
+  _setExtent (extent) {
+    this._covLayer.paletteExtent = extent
+    if (!this._covLayer.on) {
+      // fake layer, no paletteExtentChange event
+      this._doUpdate(false)
+    }
+  }
+  
+  _getResetExtent () {
+    if (this._resetExtent) {
+      return this._resetExtent
+    }
+    let options = this._covLayer.options
+    if (options && options.paletteExtent && !Array.isArray(options.paletteExtent)) {
+      return options.paletteExtent
+    }
+    // for example a virtual layer of ParameterSync, which has no options
+    return this._covLayer.defaultPaletteExtent || 'full'
+  }
+  
   /**
    * @override
    * @ignore
@@ -158,6 +740,10 @@ export class ContinuousLegend extends L.Control {
       this._covLayer.off('remove', this._remove)
       this._covLayer.off('paletteChange', this._update)
       this._covLayer.off('paletteExtentChange', this._update)
+      this._covLayer.off('paletteScaleChange', this._update)
+      this._covLayer.off('displayUnitChange', this._fullUpdate)
+      this._covLayer.off('dataLoad', this._updateHistogram)
+      this._covLayer.off('axisChange', this._updateHistogram)
     }
   }
   
@@ -1,7 +1,17 @@
 import L from 'leaflet'
 
-import {inject, fromTemplate, $$} from './utils.js'
-import {getLanguageTag, getLanguageString} from 'covutils'
+import {inject, fromTemplate, $$, swatchBackground, escapeXML, textWidth, svgPaint, svgDocument, svgToPNG} from './utils.js'
+import {getLanguageTag, getLanguageString, stringifyUnit} from 'covutils'
+
+import {classPaletteIndex, paletteColor} from '../layers/palettes.js'
+import {formatNumber} from '../util/ticks.js'
+import {getLocale, getMessages} from '../util/i18n.js'
+
+// geometry of exported legends, in CSS pixels
+const SVG_PADDING = 8
+const SVG_FONT_SIZE = 12
+const SVG_ROW_HEIGHT = 18
+const SVG_SWATCH_WIDTH = 18
 
 const DEFAULT_TEMPLATE_ID = 'template-coverage-parameter-discrete-legend'
 const DEFAULT_TEMPLATE = `<template id="${DEFAULT_TEMPLATE_ID}">
@@ -13,7 +23,17 @@ const DEFAULT_TEMPLATE = `<template id="${DEFAULT_TEMPLATE_ID}">
 
 /**
  * Displays a discrete palette legend for the parameter displayed by the given
- * Coverage layer. Supports category parameters only at the moment.
+ * Coverage layer. Supports category parameters, and continuous parameters which are
+ * coloured in classes (see {@link ClassBreaks}), in which case the value range of each class is shown.
+ * Translucent palette colors (see {@link Palette}) are shown against a checkerboard.
+ * 
+ * If the layer supports hiding categories (see {@link PaletteMixin}), clicking a category toggles its visibility
+ * by setting <code>hiddenCategories</code> on the layer, and hidden categories are shown faded.
+ * With a virtual layer of {@link ParameterSync}, this applies to all synchronized layers if
+ * <code>hiddenCategories</code> is one of the synchronized properties.
+ * 
+ * For use outside of the map, for example in reports, the legend can be exported as SVG document
+ * or PNG image with {@link DiscreteLegend#toSVG} and {@link DiscreteLegend#toPNG}.
  * 
  * @example <caption>Coverage data layer</caption>
  * new C.DiscreteLegend(covLayer).addTo(map)
@@ -40,6 +60,21 @@ const DEFAULT_TEMPLATE = `<template id="${DEFAULT_TEMPLATE_ID}">
  * fakeLayer.palette = C.discretePalette(['red', 'blue'])
  * legend.update()
  * 
+ * @example <caption>Fake layer with class breaks</caption>
+ * var fakeLayer = {
+ *   parameter: {
+ *     observedProperty: {
+ *       label: { en: 'Precipitation' }
+ *     },
+ *     unit: {
+ *       symbol: 'mm'
+ *     }
+ *   },
+ *   palette: C.directPalette(['#deebf7', '#9ecae1', '#3182bd']),
+ *   classBreaks: [0, 5, 10, 25] // shown as 0 - 5 mm, 5 - 10 mm, 10 - 25 mm
+ * }
+ * var legend = new C.DiscreteLegend(fakeLayer).addTo(map)
+ * 
  * @extends {L.Control}
  */
 export class DiscreteLegend extends L.Control {
@@ -49,21 +84,33 @@ export class DiscreteLegend extends L.Control {
    * 
    * @param {object} covLayer 
    *   The coverage data layer, or any object with <code>palette</code>
-   *   and <code>parameter</code> properties.
+   *   and <code>parameter</code> properties, <code>classBreaks</code> and optionally <code>displayUnit</code>
+   *   for continuous parameters, and optionally <code>hiddenCategories</code> for categorical parameters.
    *   If the object has <code>on</code>/<code>off</code> methods, then the legend will
-   *   listen for <code>"paletteChange"</code> events and update itself automatically.
+   *   listen for <code>"paletteChange"</code>, <code>"classBreaksChange"</code>, <code>"displayUnitChange"</code>,
+   *   and <code>"hiddenCategoriesChange"</code> events
+   *   and update itself automatically.
    *   If the layer fires a <code>"remove"</code> event, then the legend will remove itself
    *   from the map. 
    * @param {object} [options] Legend options.
    * @param {string} [options.position='bottomright'] The initial position of the control (see Leaflet docs).
-   * @param {string} [options.language] A language tag, indicating the preferred language to use for labels.
+   * @param {string} [options.language] A language tag, indicating the preferred language to use for labels,
+   *   built-in messages, and number formats. Defaults to the locale set with {@link setLocale}.
+   * @param {Object} [options.messages] Built-in messages to replace, by key, for example <code>{noData: 'Missing'}</code>,
+   *   see {@link registerMessages}.
    * @param {string} [options.templateId] Uses the HTML element with the given id as template.
+   * @param {boolean} [options.toggleCategories=true] Whether categories can be hidden and shown by clicking on them,
+   *   if the layer supports it.
    */
   constructor (covLayer, options = {}) {
     super({position: options.position || 'bottomright'})
     this._covLayer = covLayer
     this._templateId = options.templateId || DEFAULT_TEMPLATE_ID
-    this._language = options.language
+    // the language of labels may change to the one available in the parameter, see _getTitle()
+    this._locale = options.language || getLocale()
+    this._language = this._locale
+    this._messages = getMessages(this._locale, options.messages)
+    this._toggleCategories = options.toggleCategories !== false && 'hiddenCategories' in covLayer
     
     if (!options.templateId && document.getElementById(DEFAULT_TEMPLATE_ID) === null) {
       inject(DEFAULT_TEMPLATE)
@@ -90,28 +137,135 @@ export class DiscreteLegend extends L.Control {
     let el = this._el
     
     if (fullUpdate) {
-      let param = this._covLayer.parameter
-      // if requested language doesn't exist, use the returned one for all other labels
-      this._language = getLanguageTag(param.observedProperty.label, this._language) 
-      let title = getLanguageString(param.observedProperty.label, this._language)
-      $$('.legend-title', el).innerHTML = title
+      $$('.legend-title', el).innerHTML = this._getTitle()
     }
     
     let palette = this._covLayer.palette
-    let param = this._covLayer.parameter
+    let row = (idx, label) => `
+        <i style="background:${swatchBackground(paletteColor(palette, idx))}"></i>
+        ${label}
+        <br>`
     
     let html = ''
-    for (let i=0; i < palette.steps; i++) {
-      let cat = getLanguageString(param.observedProperty.categories[i].label, this._language)
-      html += `
-        <i style="background:rgb(${palette.red[i]}, ${palette.green[i]}, ${palette.blue[i]})"></i>
-        ${cat}
-        <br>`
+    for (let {paletteIdx, label, category, hidden} of this._getEntries()) {
+      if (category !== undefined && this._toggleCategories) {
+        html += `<span class="legend-category" data-index="${category}" title="${hidden ? this._messages.clickToShow : this._messages.clickToHide}" ` +
+          `style="cursor:pointer; opacity:${hidden ? 0.4 : 1}">${row(paletteIdx, label)}</span>`
+      } else {
+        html += row(paletteIdx, label)
+      }
     }
     
     $$('.legend-palette', el).innerHTML = html
   }
   
+  /**
+   * Returns the title of the legend, the label of the observed property.
+   * 
+   * @return {string}
+   */
+  _getTitle () {
+    let param = this._covLayer.parameter
+    // if requested language doesn't exist, use the returned one for all other labels
+    this._language = getLanguageTag(param.observedProperty.label, this._language) 
+    return getLanguageString(param.observedProperty.label, this._language)
+  }
+  
+  /**
+   * Returns the entries of the legend, one for each category or class.
+   * 
+   * @return {Array<Object>} An object `{paletteIdx, label, category, hidden}` for each entry,
+   *   where `category` is the category index and `hidden` whether the category is hidden, for categorical parameters.
+   */
+  _getEntries () {
+    let palette = this._covLayer.palette
+    let param = this._covLayer.parameter
+    let entries = []
+    if (param.observedProperty.categories) {
+      let categories = param.observedProperty.categories
+      let hidden = this._toggleCategories ? this._covLayer.hiddenCategories || [] : []
+      for (let i=0; i < palette.steps; i++) {
+        entries.push({
+          paletteIdx: i,
+          label: getLanguageString(categories[i].label, this._language),
+          category: i,
+          hidden: hidden.indexOf(categories[i].id) !== -1
+        })
+      }
+    } else {
+      let breaks = this._covLayer.classBreaks || []
+      let classes = breaks.length - 1
+      let unitLabel = this._covLayer.displayUnit || stringifyUnit(param.unit, this._language)
+      let unit = unitLabel ? ' ' + unitLabel : ''
+      let format = val => formatNumber(val, {significantDigits: 6, locale: this._locale})
+      for (let i=0; i < classes; i++) {
+        entries.push({
+          paletteIdx: classPaletteIndex(i, classes, palette),
+          label: format(breaks[i]) + ' \u2013 ' + format(breaks[i+1]) + unit
+        })
+      }
+    }
+    return entries
+  }
+  
+  /**
+   * Renders the legend as standalone SVG document, with the title, colors, and labels of the legend on the map.
+   * Translucent colors stay translucent instead of being shown against a checkerboard,
+   * hidden categories are shown faded.
+   * 
+   * @example
+   * var svg = legend.toSVG()
+   * var url = URL.createObjectURL(new Blob([svg], {type: 'image/svg+xml'}))
+   * 
+   * @param {Object} [options]
+   * @param {string} [options.background='white'] The CSS background color, 'none' for a transparent background.
+   * @return {string} The SVG document.
+   */
+  toSVG (options = {}) {
+    return this._renderSVG(options).svg
+  }
+  
+  /**
+   * Renders the legend as PNG image, see {@link DiscreteLegend#toSVG}.
+   * 
+   * @example
+   * legend.toPNG({dpi: 300}).then(blob => {
+   *   var url = URL.createObjectURL(blob)
+   * })
+   * 
+   * @param {Object} [options]
+   * @param {number} [options.dpi=96] The resolution of the image, where 96 dpi means one image pixel per CSS pixel.
+   * @param {string} [options.background='white'] The CSS background color, 'none' for a transparent background.
+   * @return {Promise<Blob>} The PNG image.
+   */
+  toPNG (options = {}) {
+    let {svg, width, height} = this._renderSVG(options)
+    return svgToPNG(svg, width, height, options.dpi || 96)
+  }
+  
+  _renderSVG ({background='white'} = {}) {
+    let palette = this._covLayer.palette
+    let font = SVG_FONT_SIZE + 'px sans-serif'
+    let pad = SVG_PADDING
+    
+    let title = this._getTitle()
+    let content = `<text x="${pad}" y="${pad + SVG_FONT_SIZE}" font-weight="bold">${escapeXML(title)}</text>`
+    let width = 2 * pad + textWidth(title, 'bold ' + font)
+    let y = pad + SVG_FONT_SIZE + 6
+    let labelX = pad + SVG_SWATCH_WIDTH + 6
+    for (let {paletteIdx, label, hidden} of this._getEntries()) {
+      content += `<g${hidden ? ' opacity="0.4"' : ''}>` +
+        `<rect x="${pad}" y="${y + (SVG_ROW_HEIGHT - SVG_FONT_SIZE) / 2}" width="${SVG_SWATCH_WIDTH}" height="${SVG_FONT_SIZE}" ` +
+        `${svgPaint('fill', palette, paletteIdx)}/>` +
+        `<text x="${labelX}" y="${y + SVG_ROW_HEIGHT / 2}" dy="0.35em">${escapeXML(label)}</text></g>`
+      width = Math.max(width, labelX + textWidth(label, font) + pad)
+      y += SVG_ROW_HEIGHT
+    }
+    let height = y + pad
+    
+    return {svg: svgDocument(width, height, content, background), width, height}
+  }
+  
   /**
    * @override
    * @ignore
@@ -121,13 +275,46 @@ export class DiscreteLegend extends L.Control {
     
     if (this._covLayer.on) {
       this._covLayer.on('paletteChange', this._update)
+      this._covLayer.on('classBreaksChange', this._update)
+      this._covLayer.on('displayUnitChange', this._update)
+      this._covLayer.on('hiddenCategoriesChange', this._update)
     }
     
     this._el = fromTemplate(this._templateId)
     this.update()
+    if (this._toggleCategories) {
+      // clicking a category should not trigger map clicks
+      L.DomEvent.disableClickPropagation(this._el)
+      L.DomEvent.on($$('.legend-palette', this._el), 'click', e => {
+        let entry = e.target.closest('.legend-category')
+        if (entry) {
+          this._toggleCategory(parseInt(entry.dataset.index))
+        }
+      })
+    }
     return this._el
   }
   
+  /**
+   * Hides the category with the given index if it is shown, or shows it if it is hidden.
+   * 
+   * @param {number} idx The index of the category in the parameter.
+   */
+  _toggleCategory (idx) {
+    let layer = this._covLayer
+    let id = layer.parameter.observedProperty.categories[idx].id
+    let hidden = layer.hiddenCategories || []
+    if (hidden.indexOf(id) === -1) {
+      layer.hiddenCategories = [...hidden, id]
+    } else {
+      layer.hiddenCategories = hidden.filter(h => h !== id)
+    }
+    if (!layer.on) {
+      // fake layer, no hiddenCategoriesChange event
+      this._doUpdate(false)
+    }
+  }
+  
   /**
    * @override
    * @ignore
@@ -136,6 +323,9 @@ export class DiscreteLegend extends L.Control {
     if (this._covLayer.off) {
       this._covLayer.off('remove', this._remove)
       this._covLayer.off('paletteChange', this._update)
+      this._covLayer.off('classBreaksChange', this._update)
+      this._covLayer.off('displayUnitChange', this._update)
+      this._covLayer.off('hiddenCategoriesChange', this._update)
     }
   }
 }
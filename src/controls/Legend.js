@@ -4,8 +4,8 @@ import {ContinuousLegend} from './ContinuousLegend.js'
 /**
  * Convenience function that returns a legend control
  * based on the coverage parameter type.
- * For categorical parameters this returns a {@link DiscreteLegend},
- * otherwise a {@link ContinuousLegend} instance.
+ * For categorical parameters and layers with class breaks (see {@link ClassBreaks})
+ * this returns a {@link DiscreteLegend}, otherwise a {@link ContinuousLegend} instance.
  * 
  * Note that custom HTML templates cannot be used with this function.
  * If this is necessary, consider using the individual legend classes
@@ -20,12 +20,19 @@ import {ContinuousLegend} from './ContinuousLegend.js'
  * @param {object} layer The coverage data layer.
  * @param {object} [options] Legend options.
  * @param {string} [options.position='bottomright'] The initial position of the control (see Leaflet docs).
- * @param {string} [options.language] A language tag, indicating the preferred language to use for labels.
+ * @param {string} [options.language] A language tag, indicating the preferred language to use for labels,
+ *   built-in messages, and number formats. Defaults to the locale set with {@link setLocale}.
+ * @param {Object} [options.messages] Built-in messages to replace, by key, see {@link registerMessages}.
+ * @param {string} [options.orientation='vertical'] The orientation of a {@link ContinuousLegend}, 'vertical' or 'horizontal'.
+ * @param {number} [options.ticks=5] The approximate number of tick intervals of a {@link ContinuousLegend}.
+ * @param {function(number):string|Object} [options.format] The number format of a {@link ContinuousLegend}.
+ * @param {boolean} [options.histogram=false] Whether a {@link ContinuousLegend} shows a histogram of the values.
+ * @param {boolean} [options.editable=false] Whether the palette extent of a {@link ContinuousLegend} can be changed interactively.
  * @return {DiscreteLegend|ContinuousLegend}
  */
 export function legend (layer, options = {}) {
   options.position = options.position || 'bottomright'
-  if (layer.parameter.observedProperty.categories) {
+  if (layer.parameter.observedProperty.categories || layer.classBreaks) {
     return new DiscreteLegend(layer, options)
   } else {
     return new ContinuousLegend(layer, options)
@@ -2,6 +2,7 @@ import L from 'leaflet'
 
 import {$$, fromTemplate, inject, HTML} from './utils.js'
 import {EventMixin} from '../util/EventMixin.js'
+import {getLocale, getMessages, formatMessage, formatDate, formatTime, formatDateTime} from '../util/i18n.js'
 
 const DEFAULT_TEMPLATE_ID = 'template-coverage-timeaxis'
 const DEFAULT_TEMPLATE = `<template id="${DEFAULT_TEMPLATE_ID}">
@@ -16,17 +17,50 @@ const DEFAULT_TEMPLATE = `<template id="${DEFAULT_TEMPLATE_ID}">
 </div>
 </template>`
 
+const DEFAULT_SLIDER_TEMPLATE_ID = 'template-coverage-timeaxis-slider'
+const DEFAULT_SLIDER_TEMPLATE = `<template id="${DEFAULT_SLIDER_TEMPLATE_ID}">
+<div class="leaflet-coverage-control" style="clear:none; width:320px">
+  <strong class="title">Time</strong>
+  <span class="time-label" style="float:right"></span>
+  <input type="range" class="time-slider" min="0" step="1" style="display:block; width:100%; margin:4px 0 0 0">
+  <div class="day-ticks" style="position:relative; height:20px; margin:0 8px; font-size:10px"></div>
+  <div class="form-inline">
+    <button type="button" class="prev btn btn-default" title="Previous">&laquo;</button>
+    <button type="button" class="play btn btn-default" title="Play" style="min-width:36px">&#9654;</button>
+    <button type="button" class="next btn btn-default" title="Next">&raquo;</button>
+    <select class="speed form-control" title="Speed">
+      <option value="1">1 fps</option>
+      <option value="2">2 fps</option>
+      <option value="4">4 fps</option>
+      <option value="8">8 fps</option>
+    </select>
+  </div>
+</div>
+</template>`
+
+// maximum number of labelled day ticks in slider mode
+const MAX_DAY_LABELS = 5
+
 /**
  * The `change` event, signalling that a different time entry has been selected.
  * 
  * @typedef {L.Event} TimeAxis#change
- * @property {Date} time The time that has been selected.
+ * @property {Date|CalendarDate} time The time that has been selected.
  */
 
 /**
  * Displays a simple date/time picker for a coverage data layer by grouping
  * time steps into dates and times.
  * 
+ * Alternatively, in `slider` mode, a range slider with tick marks for each day is shown,
+ * together with previous/next buttons and play/pause with a speed setting.
+ * For layers with `play`/`pause` methods like {@link Grid}, playback is delegated to the layer
+ * which can then load upcoming time steps in advance.
+ * 
+ * Dates and times are shown in UTC, formatted according to the `language` option.
+ * Time steps of non-Gregorian calendars (see {@link CalendarDate}) are grouped and displayed
+ * by their calendar date, for example 2050-02-30 in the `360_day` calendar.
+ * 
  * @example <caption>Coverage data layer</caption>
  * new C.TimeAxis(covLayer).addTo(map)
  * // Selecting a date/time automatically sets the 'time' property in the layer.
@@ -45,6 +79,9 @@ const DEFAULT_TEMPLATE = `<template id="${DEFAULT_TEMPLATE_ID}">
  * fakeLayer.time = times[0]
  * timeAxis.update()
  * 
+ * @example <caption>Slider mode</caption>
+ * new C.TimeAxis(covLayer, {mode: 'slider', fps: 4}).addTo(map)
+ * 
  * @extends {L.Control}
  * @extends {EventMixin}
  * 
@@ -63,16 +100,32 @@ export class TimeAxis extends EventMixin(L.Control) {
    * @param {object} [options] Control options.
    * @param {string} [options.position='topleft'] The initial position of the control (see Leaflet docs).
    * @param {string} [options.title='Time'] The label to show above the date/time picker.
+   * @param {string} [options.language] A language tag, indicating the language of built-in messages
+   *   and the date/time format. Defaults to the locale set with {@link setLocale}.
+   * @param {Object} [options.messages] Built-in messages to replace, by key, see {@link registerMessages}.
+   * @param {string} [options.mode='select'] Either `select` (date and time dropdowns) or
+   *   `slider` (range slider with play controls).
+   * @param {number} [options.fps=2] The initial playback speed in `slider` mode in time steps per second,
+   *   one of 1, 2, 4, 8.
    * @param {string} [options.templateId] Element ID of an alternative HTML `<template>` element to use.
    */
   constructor (covLayer, options = {}) {
     super({position: options.position || 'topleft'})
-    this._templateId = options.templateId || DEFAULT_TEMPLATE_ID
-    this._title = options.title || 'Time'
+    this._mode = options.mode || 'select'
+    if (this._mode !== 'select' && this._mode !== 'slider') {
+      throw new Error('Unknown mode: ' + this._mode)
+    }
+    let [defaultTemplateId, defaultTemplate] = this._mode === 'slider' ?
+      [DEFAULT_SLIDER_TEMPLATE_ID, DEFAULT_SLIDER_TEMPLATE] : [DEFAULT_TEMPLATE_ID, DEFAULT_TEMPLATE]
+    this._templateId = options.templateId || defaultTemplateId
+    this._language = options.language || getLocale()
+    this._messages = getMessages(this._language, options.messages)
+    this._title = options.title || this._messages.time
+    this._fps = options.fps || 2
     this._covLayer = covLayer
 
-    if (!options.templateId && document.getElementById(DEFAULT_TEMPLATE_ID) === null) {
-      inject(DEFAULT_TEMPLATE)
+    if (!options.templateId && document.getElementById(defaultTemplateId) === null) {
+      inject(defaultTemplate)
     } 
 
     if (covLayer.on) {
@@ -82,16 +135,20 @@ export class TimeAxis extends EventMixin(L.Control) {
       this._axisListener = e => {
         if (e.axis === 'time') this.update()
       }
+      this._playListener = () => this._updatePlayButton()
     }
     
     let timeSlices = this._covLayer.timeSlices
-    let dateMap = new Map() // UTC timestamp (representing the date only) -> array of Date objects
+    this._timeSlices = timeSlices
+    // UTC date string (YYYY-MM-DD) -> array of Date/CalendarDate objects
+    // date strings are used as keys since dates like 2050-02-30 of non-Gregorian calendars have no Date equivalent
+    let dateMap = new Map()
     for (let t of timeSlices) {
-      let dateTimestamp = new Date(Date.UTC(t.getUTCFullYear(), t.getUTCMonth(), t.getUTCDate())).getTime()
-      if (!dateMap.has(dateTimestamp)) {
-        dateMap.set(dateTimestamp, [])
+      let dateStr = getUTCDateString(t)
+      if (!dateMap.has(dateStr)) {
+        dateMap.set(dateStr, [])
       }
-      dateMap.get(dateTimestamp).push(t)
+      dateMap.get(dateStr).push(t)
     }
     this._dateMap = dateMap
   }
@@ -104,6 +161,7 @@ export class TimeAxis extends EventMixin(L.Control) {
     
     if (this._covLayer.on) {
       this._covLayer.on('axisChange', this._axisListener)
+      this._covLayer.on('play pause', this._playListener)
     }
     
     let el = fromTemplate(this._templateId)
@@ -114,39 +172,120 @@ export class TimeAxis extends EventMixin(L.Control) {
       $$('.title', el).innerHTML = this._title
     }
     
-    for (let dateTimestamp of this._dateMap.keys()) {
-      let dateStr = getUTCDateString(dateTimestamp)
-      $$('.date', el).appendChild(HTML(`<option value="${dateStr}">${dateStr}</option>`))
+    if (this._mode === 'slider') {
+      this._initSlider()
+    } else {
+      this._initSelects()
+    }
+    
+    this.update()
+    
+    return el
+  }
+  
+  _initSelects () {
+    let el = this._el
+    for (let [dateStr, times] of this._dateMap) {
+      let label = formatDate(times[0], this._language)
+      $$('.date', el).appendChild(HTML(`<option value="${dateStr}">${label}</option>`))
     }
     $$('.date', el).disabled = this._dateMap.size === 1
     
     $$('.date', el).addEventListener('change', event => {
-      let dateTimestamp = getUTCTimestampDateOnly(event.target.value)
-      let timeSlice = this._dateMap.get(dateTimestamp)[0]
+      let dateStr = event.target.value
+      let timeSlice = this._dateMap.get(dateStr)[0]
       this._covLayer.time = timeSlice
-      this._initTimeSelect(dateTimestamp)
+      this._initTimeSelect(dateStr)
       this.fire('change', {time: timeSlice})
     })
     $$('.time', el).addEventListener('change', event => {
       let dateStr = $$('.date', el).value
       let timeStr = event.target.value
-      let time = new Date(dateStr + 'T' + timeStr)
+      let time = this._dateMap.get(dateStr).find(t => getUTCTimeString(t) === timeStr)
       this._covLayer.time = time
       this.fire('change', {time: time})
     })
+  }
+  
+  _initSlider () {
+    let el = this._el
+    let timeSlices = this._timeSlices
+    let slider = $$('.time-slider', el)
+    slider.max = timeSlices.length - 1
+    slider.disabled = timeSlices.length === 1
+    slider.addEventListener('input', () => {
+      // only preview the time while dragging, the layer is updated on release
+      $$('.time-label', el).innerHTML = formatDateTime(timeSlices[slider.value], this._language)
+    })
+    slider.addEventListener('change', () => {
+      this._pause()
+      this._setTimeIndex(parseInt(slider.value))
+    })
     
-    this.update()
+    // one tick per day, labelling only some of them if there are many days
+    let ticks = $$('.day-ticks', el)
+    let labelEvery = Math.ceil(this._dateMap.size / MAX_DAY_LABELS)
+    let day = 0
+    for (let times of this._dateMap.values()) {
+      let dateStr = formatDate(times[0], this._language)
+      let left = timeSlices.length === 1 ? 0 : timeSlices.indexOf(times[0]) / (timeSlices.length - 1) * 100
+      ticks.appendChild(HTML(`<span title="${dateStr}" style="position:absolute; left:${left}%; top:0; width:1px; height:5px; background:#555"></span>`))
+      if (day % labelEvery === 0) {
+        ticks.appendChild(HTML(`<span style="position:absolute; left:${left}%; top:5px; transform:translateX(-50%); white-space:nowrap">${dateStr}</span>`))
+      }
+      day++
+    }
     
-    return el
+    let messages = this._messages
+    $$('.prev', el).title = messages.previous
+    $$('.next', el).title = messages.next
+    $$('.speed', el).title = messages.speed
+    
+    $$('.prev', el).addEventListener('click', () => {
+      this._pause()
+      this._setTimeIndex(Math.max(this._getTimeIndex() - 1, 0))
+    })
+    $$('.next', el).addEventListener('click', () => {
+      this._pause()
+      this._setTimeIndex(Math.min(this._getTimeIndex() + 1, timeSlices.length - 1))
+    })
+    $$('.play', el).addEventListener('click', () => {
+      if (this._isPlaying()) {
+        this._pause()
+      } else {
+        this._play()
+      }
+    })
+    $$('.play', el).disabled = timeSlices.length === 1
+    
+    let speed = $$('.speed', el)
+    for (let option of speed.options) {
+      option.textContent = formatMessage(messages.fps, {fps: option.value})
+    }
+    speed.value = this._fps
+    speed.addEventListener('change', () => {
+      this._fps = parseInt(speed.value)
+      if (this._isPlaying()) {
+        this._pause()
+        this._play()
+      }
+    })
   }
   
   /**
    * @ignore
    */
   onRemove () {
+    // playback of the layer itself may have been started by the application and continues,
+    // only the fallback playback of this control ends
+    if (this._playTimer) {
+      clearInterval(this._playTimer)
+      this._playTimer = null
+    }
     if (this._covLayer.off) {
       this._covLayer.off('remove', this._remove)
       this._covLayer.off('axisChange', this._axisListener)
+      this._covLayer.off('play pause', this._playListener)
     }
   }
   
@@ -161,41 +300,98 @@ export class TimeAxis extends EventMixin(L.Control) {
     let covTime = this._covLayer.time
     if (!covTime) return
     let el = this._el
+    
+    if (this._mode === 'slider') {
+      $$('.time-slider', el).value = this._getTimeIndex()
+      $$('.time-label', el).innerHTML = formatDateTime(covTime, this._language)
+      this._updatePlayButton()
+      return
+    }
+    
     // selects the date set in the cov layer, populates the time select, and selects the time
-    let dateTimestamp = getUTCTimestampDateOnly(covTime.toISOString())
-    let dateStr = getUTCDateString(dateTimestamp)
+    let dateStr = getUTCDateString(covTime)
     $$('.date', el).value = dateStr 
     
-    this._initTimeSelect(dateTimestamp)
+    this._initTimeSelect(dateStr)
     
-    let timeStr = covTime.toISOString().substr(11)
-    $$('.time', el).value = timeStr
+    $$('.time', el).value = getUTCTimeString(covTime)
   }
   
-  _initTimeSelect (dateTimestamp) {
+  _initTimeSelect (dateStr) {
     let el = this._el
     let timeSelect = $$('.time', el)
     timeSelect.innerHTML = ''
-    let times = this._dateMap.get(dateTimestamp)
+    let times = this._dateMap.get(dateStr)
     for (let timeSlice of times) {
-      let timeStr = timeSlice.toISOString().substr(11)
-      timeSelect.appendChild(HTML(`<option value="${timeStr}">${timeStr}</option>`))
+      let timeStr = getUTCTimeString(timeSlice)
+      let label = formatTime(timeSlice, this._language)
+      timeSelect.appendChild(HTML(`<option value="${timeStr}">${label}</option>`))
     }
     timeSelect.disabled = times.length === 1
   }
+  
+  _getTimeIndex () {
+    let time = this._covLayer.time.getTime()
+    return this._timeSlices.findIndex(t => t.getTime() === time)
+  }
+  
+  /**
+   * Sets the time of the layer like the date/time pickers do.
+   */
+  _setTimeIndex (index) {
+    let time = this._timeSlices[index]
+    this._covLayer.time = time
+    if (!this._covLayer.on) {
+      this.update()
+    }
+    this.fire('change', {time})
+  }
+  
+  _isPlaying () {
+    return this._covLayer.play ? this._covLayer.playing : !!this._playTimer
+  }
+  
+  /**
+   * Starts playback, either by the layer itself or by setting its time periodically.
+   */
+  _play () {
+    if (this._covLayer.play) {
+      this._covLayer.play({fps: this._fps})
+    } else {
+      this._playTimer = setInterval(() => {
+        let next = (this._getTimeIndex() + 1) % this._timeSlices.length
+        this._setTimeIndex(next)
+      }, 1000 / this._fps)
+      this._updatePlayButton()
+    }
+  }
+  
+  _pause () {
+    if (this._covLayer.pause) {
+      this._covLayer.pause()
+    } else if (this._playTimer) {
+      clearInterval(this._playTimer)
+      this._playTimer = null
+      this._updatePlayButton()
+    }
+  }
+  
+  _updatePlayButton () {
+    if (this._mode !== 'slider' || !this._el) return
+    let button = $$('.play', this._el)
+    let playing = this._isPlaying()
+    button.innerHTML = playing ? '&#10074;&#10074;' : '&#9654;'
+    button.title = playing ? this._messages.pause : this._messages.play
+  }
     
 }
 
-function getUTCTimestampDateOnly (dateStr) {
-  let year = parseInt(dateStr.substr(0, 4))
-  let month = parseInt(dateStr.substr(5, 2))
-  let day = parseInt(dateStr.substr(8, 2))
-  return Date.UTC(year, month-1, day)
+// split at 'T' instead of fixed positions as years beyond 9999 and before 0 have six digits and a sign
+function getUTCDateString (date) {
+  return date.toISOString().split('T')[0]
 }
 
-function getUTCDateString (timestamp) {
-  let iso = new Date(timestamp).toISOString()
-  let date = iso.substr(0, 10)
-  return date
+function getUTCTimeString (date) {
+  return date.toISOString().split('T')[1]
 }
 
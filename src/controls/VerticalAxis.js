@@ -4,6 +4,9 @@ import {Dropdown} from './Dropdown.js'
 import {EventMixin} from '../util/EventMixin.js'
 import {getLanguageString, stringifyUnit} from 'covutils'
 
+import {formatNumber} from '../util/ticks.js'
+import {getLocale, getMessages} from '../util/i18n.js'
+
 /**
  * The `change` event, signalling that a different vertical coordinate value has been selected.
  * 
@@ -61,13 +64,18 @@ export class VerticalAxis extends L.Layer {
    * @param {string} [options.position='topleft'] The initial position of the control (see Leaflet docs).
    * @param {string} [options.title='Vertical'] 
    *   The label to show above the control if `covLayer.crsVerticalAxis.name` is missing.
+   * @param {string} [options.language] A language tag, indicating the preferred language to use for labels,
+   *   built-in messages, and number formats. Defaults to the locale set with {@link setLocale}.
+   * @param {Object} [options.messages] Built-in messages to replace, by key, see {@link registerMessages}.
    * @param {string} [options.templateId] Element ID of an alternative HTML `<template>` element to use. 
    */
   constructor (covLayer, options = {}) {
     super()
     this._templateId = options.templateId
     this._covLayer = covLayer
-    this._title = options.title || 'Vertical'
+    this._language = options.language || getLocale()
+    this._messages = getMessages(this._language, options.messages)
+    this._title = options.title || this._messages.vertical
     this._position = options.position || 'topleft'
 
     if (covLayer.on) {
@@ -92,8 +100,8 @@ export class VerticalAxis extends L.Layer {
     }
     
     let crsVertAxis = this._covLayer.crsVerticalAxis || {}
-    let title = crsVertAxis.name ? getLanguageString(crsVertAxis.name) : this._title
-    let unit = stringifyUnit(crsVertAxis.unit)
+    let title = crsVertAxis.name ? getLanguageString(crsVertAxis.name, this._language) : this._title
+    let unit = stringifyUnit(crsVertAxis.unit, this._language)
     if (unit) {
       unit = ' ' + unit
     }
@@ -103,7 +111,7 @@ export class VerticalAxis extends L.Layer {
     for (let i=0; i < vals.length; i++) {
       choices.push({
         value: i.toString(),
-        label: vals[i] + unit
+        label: formatNumber(vals[i], {significantDigits: 12, locale: this._language}) + unit
       })
     }
       
@@ -80,4 +80,133 @@ export function fromTemplate (id) {
     node = node.content
   }
   return document.importNode(node, true).children[0]
-}
\ No newline at end of file
+}
+
+/**
+ * CSS background layers of a grey and white checkerboard, to be put underneath
+ * translucent palette colors so that their transparency is visible.
+ * 
+ * @example
+ * el.style.background = 'linear-gradient(rgba(255,0,0,0), red), ' + CHECKERBOARD
+ * 
+ * @private
+ */
+export const CHECKERBOARD =
+  'linear-gradient(45deg, #ccc 25%, transparent 25%, transparent 75%, #ccc 75%) 0 0 / 8px 8px, ' +
+  'linear-gradient(45deg, #ccc 25%, #fff 25%, #fff 75%, #ccc 75%) 4px 4px / 8px 8px'
+
+/**
+ * Returns a CSS background of a single color on top of the checkerboard.
+ * A plain color can only be the last background layer, therefore it is wrapped in a gradient.
+ * 
+ * @param {string} color A CSS color.
+ * @return {string}
+ * 
+ * @private
+ */
+export function swatchBackground (color) {
+  return 'linear-gradient(' + color + ', ' + color + '), ' + CHECKERBOARD
+}
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ * 
+ * @param {string} text
+ * @return {string}
+ * 
+ * @private
+ */
+export function escapeXML (text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+let measureContext
+
+/**
+ * Returns the width in pixels of the given text when rendered in the given CSS font.
+ * 
+ * @param {string} text
+ * @param {string} font A CSS font, e.g. '12px sans-serif'.
+ * @return {number}
+ * 
+ * @private
+ */
+export function textWidth (text, font) {
+  if (!measureContext) {
+    measureContext = document.createElement('canvas').getContext('2d')
+  }
+  measureContext.font = font
+  return measureContext.measureText(text).width
+}
+
+/**
+ * Returns SVG paint attributes for a palette color, with a separate opacity attribute
+ * as not all SVG consumers support colors with alpha.
+ * 
+ * @example
+ * svgPaint('fill', palette, 0) // 'fill="rgb(255,0,0)" fill-opacity="0.5"'
+ * svgPaint('stop-color', palette, 0, 'stop-opacity') // 'stop-color="rgb(255,0,0)" stop-opacity="0.5"'
+ * 
+ * @param {string} attribute The name of the color attribute.
+ * @param {Palette} palette
+ * @param {number} idx The palette index.
+ * @param {string} [opacityAttribute] The name of the opacity attribute, by default the color attribute with '-opacity'.
+ * @return {string}
+ * 
+ * @private
+ */
+export function svgPaint (attribute, palette, idx, opacityAttribute = attribute + '-opacity') {
+  let paint = `${attribute}="rgb(${palette.red[idx]},${palette.green[idx]},${palette.blue[idx]})"`
+  if (palette.alpha && palette.alpha[idx] < 255) {
+    paint += ` ${opacityAttribute}="${+(palette.alpha[idx] / 255).toFixed(3)}"`
+  }
+  return paint
+}
+
+/**
+ * Wraps SVG content into a standalone SVG document.
+ * 
+ * @param {number} width The width in CSS pixels.
+ * @param {number} height The height in CSS pixels.
+ * @param {string} content The SVG elements.
+ * @param {string} [background] A CSS background color, 'none' or undefined for a transparent background.
+ * @return {string}
+ * 
+ * @private
+ */
+export function svgDocument (width, height, content, background) {
+  width = Math.ceil(width)
+  height = Math.ceil(height)
+  let backgroundRect = background && background !== 'none' ?
+    `<rect width="${width}" height="${height}" fill="${escapeXML(background)}"/>` : ''
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+    `font-family="sans-serif" font-size="12">${backgroundRect}${content}</svg>`
+}
+
+/**
+ * Renders an SVG document to a PNG image.
+ * 
+ * @param {string} svg The SVG document.
+ * @param {number} width The width of the document in CSS pixels.
+ * @param {number} height The height of the document in CSS pixels.
+ * @param {number} dpi The resolution of the image, where 96 dpi means one image pixel per CSS pixel.
+ * @return {Promise<Blob>}
+ * 
+ * @private
+ */
+export function svgToPNG (svg, width, height, dpi) {
+  let scale = dpi / 96
+  return new Promise((resolve, reject) => {
+    let img = new Image()
+    img.onload = () => {
+      let canvas = document.createElement('canvas')
+      canvas.width = Math.round(Math.ceil(width) * scale)
+      canvas.height = Math.round(Math.ceil(height) * scale)
+      // drawing at the target size rasterizes the vector graphics at full resolution
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height)
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png')
+    }
+    img.onerror = () => reject(new Error('SVG rendering failed'))
+    img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg)
+  })
+}
@@ -7,6 +7,10 @@ export {Dropdown} from './controls/Dropdown.js'
 
 export * from './layers/factory.js'
 export {Grid} from './layers/Grid.js'
+export {Contour} from './layers/Contour.js'
+export {CurvilinearGrid} from './layers/CurvilinearGrid.js'
+export {VectorField} from './layers/VectorField.js'
+export {ParticleFlow} from './layers/ParticleFlow.js'
 export {VerticalProfile} from './layers/VerticalProfile.js'
 export {Trajectory} from './layers/Trajectory.js'
 export {Point} from './layers/Point.js'
@@ -28,4 +32,7 @@ export {DraggableValuePopup} from './popups/DraggableValuePopup.js'
 export {ValuePopup} from './popups/ValuePopup.js'
 export {DraggablePopupMixin} from './popups/DraggablePopupMixin.js'
 
-export * from './util/constants.js'
\ No newline at end of file
+export * from './util/constants.js'
+export {CalendarDate} from './util/calendar.js'
+export {registerUnitConversion, registerUnitAlias, getUnitConversion} from './util/units.js'
+export {setLocale, getLocale, registerMessages} from './util/i18n.js'
\ No newline at end of file
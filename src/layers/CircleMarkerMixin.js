@@ -17,7 +17,7 @@ export function CircleMarkerMixin (base) {
    
     _addMarker () {
       let val = this.getValue()
-      if (val === null && !this.showNoData) {
+      if ((val === null && !this.showNoData) || this._isHiddenCategory(val)) {
         return
       }
       let color = this._getColor(val)
@@ -25,13 +25,15 @@ export function CircleMarkerMixin (base) {
       let latlng = this.getLatLng()
       
       let strokeBrightness = 0.7
+      // the alpha of the color applies to the outline as well, e.g. for a transparent belowColor
+      let opacity = this._getFillOpacity(val)
       
       this._marker = L.circleMarker(latlng, {
         fillColor: 'rgb(' + r + ',' + g + ',' + b + ')',
-        fillOpacity: 1,
+        fillOpacity: opacity,
         radius: 5,
         stroke: true,
-        opacity: 1,
+        opacity,
         weight: 1,
         color: 'rgb(' + Math.round(r*strokeBrightness) + ',' + 
                         Math.round(g*strokeBrightness) + ',' + 
@@ -53,12 +55,6 @@ export function CircleMarkerMixin (base) {
       }
     }
     
-    __updateMarker () {
-      let color = this._getColor(val)
-      let {r,g,b} = typeof color === 'string' ? cssToRGB(color) : color
-      this._marker.options.color = 'rgb(' + r + ',' + g + ',' + b + ')'
-    }
-    
     bindPopup (...args) {
       this._popup = args
       if (this._marker) {
@@ -77,10 +73,11 @@ export function CircleMarkerMixin (base) {
     }
     
     redraw () {
-      if (this._marker) {
-        this.__updateMarker()
-        this._marker.redraw() 
-      }
+      // not added yet or no palette initialized yet
+      if (!this._map || !this._colors) return
+      // the marker is recreated as it may appear or disappear, e.g. for hidden categories
+      this._removeMarker()
+      this._addMarker()
     }
   }
 }
@@ -0,0 +1,311 @@
+import L from 'leaflet'
+
+import {Grid} from './Grid.js'
+import {isolines} from '../util/contours.js'
+import {niceTicks} from '../util/ticks.js'
+
+/**
+ * Renderer for isolines (contour lines) of Coverages conforming to the `Grid` domain type of CovJSON,
+ * optionally with filled contour bands.
+ *
+ * The isolines are derived from the current time/vertical slice of the given parameter,
+ * for explicit levels or for a number of automatically chosen levels within the palette extent.
+ *
+ * Time, vertical, palette, and palette extent handling is identical to {@link Grid},
+ * meaning that {@link TimeAxis}, {@link VerticalAxis}, and legends can be used the same way.
+ *
+ * @example
+ * var cov = ... // get Coverage data
+ * var layer = new C.Contour(cov, {
+ *   parameter: 'pressure',
+ *   levels: [980, 990, 1000, 1010, 1020],
+ *   filled: true,
+ *   palette: C.linearPalette(['#FFFFFF', '#000000'])
+ * })
+ *
+ * @see https://covjson.org/domain-types/#grid
+ *
+ * @emits {DataLayer#afterAdd} Layer is initialized and was added to the map
+ * @emits {DataLayer#dataLoading} Data loading has started
+ * @emits {DataLayer#dataLoad} Data loading has finished (also in case of errors)
+ * @emits {DataLayer#error} Error when loading data
+ * @emits {DataLayer#axisChange} Axis coordinate has changed (e.axis === 'time'|'vertical')
+ * @emits {PaletteMixin#paletteChange} Palette has changed
+ * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ *
+ * @extends {Grid}
+ * @implements {DataLayer}
+ */
+export class Contour extends Grid {
+
+  /**
+   * Supports all options of {@link Grid} and in addition the following.
+   *
+   * @param {Coverage} cov The coverage object to visualize.
+   * @param {Object} [options] The options object.
+   * @param {string} options.parameter The key of the parameter to display, must not be a categorical parameter.
+   * @param {Array<number>|number} [options.levels=10] The values for which isolines are drawn, or
+   *  the approximate number of levels which are then chosen automatically within the palette extent.
+   *  Like explicit palette extents, values are in the display unit if there is one.
+   * @param {boolean} [options.filled=false] Whether to fill the bands between the isolines with palette colours.
+   * @param {string} [options.interpolation='bilinear'] How the filled bands are derived from the grid cells,
+   *  see {@link Grid}.
+   * @param {string} [options.lineColor='#333'] The CSS color of the isolines and labels.
+   * @param {number} [options.lineWidth=1] The width of the isolines in pixels.
+   * @param {boolean} [options.labels=true] Whether to label the isolines with their level.
+   * @param {function(level: number): string} [options.labelFormat] Converts a level, in the display unit
+   *  if there is one, to a label.
+   */
+  constructor (cov, options={}) {
+    if (!options.interpolation) {
+      options.interpolation = 'bilinear'
+    }
+    super(cov, options)
+
+    if (this._param.categoryEncoding) {
+      throw new Error('Isolines cannot be derived from categorical parameters')
+    }
+
+    this._lineColor = options.lineColor || '#333'
+    this._lineWidth = options.lineWidth || 1
+    this._labels = options.labels !== false
+    this._labelFormat = options.labelFormat || (level => String(+level.toPrecision(6)))
+
+    this.on('displayUnitChange', () => {
+      // automatic levels are chosen in the display unit, labels show it
+      this._updatePaletteIndexFn()
+      this.redraw()
+    })
+  }
+
+  /**
+   * @ignore
+   * @override
+   */
+  initializePalette () {
+    let res = super.initializePalette()
+    // explicit levels are in the display unit, which is known from here on
+    this._levels = this._levels || this._fromDisplayUnit(this.options.levels || 10)
+    return res
+  }
+
+  /**
+   * The values for which isolines are drawn.
+   *
+   * When setting this property, either an array of values or the approximate number
+   * of levels can be given, see the `levels` constructor option.
+   *
+   * Like explicit palette extents, values are in the display unit if there is one.
+   *
+   * @type {Array<number>}
+   */
+  get levels () {
+    let levels = this._getLevels()
+    return this._unitConversion ? levels.map(this._unitConversion.convert) : levels
+  }
+
+  set levels (levels) {
+    this._levels = this._fromDisplayUnit(levels)
+    this._updatePaletteIndexFn()
+    this.redraw()
+  }
+
+  /**
+   * Returns the levels in the unit of the parameter.
+   */
+  _getLevels () {
+    if (Array.isArray(this._levels)) {
+      return this._levels
+    }
+    // nice values in the display unit
+    return this._fromDisplayUnit(niceTicks(this.paletteExtent, this._levels))
+  }
+
+  /**
+   * @ignore
+   * @override
+   */
+  _updatePaletteIndexFn () {
+    super._updatePaletteIndexFn()
+    if (!this.options.filled) return
+
+    // colour each band with the palette colour of its middle value
+    let getPaletteIndex = this.getPaletteIndex
+    let extent = this._paletteExtent
+    let levels = this._getLevels()
+    this.getPaletteIndex = val => {
+      if (val === null || val < extent[0] || val > extent[1]) {
+        return getPaletteIndex(val)
+      }
+      return getPaletteIndex(bandValue(val, levels, extent))
+    }
+  }
+
+  /**
+   * @ignore
+   * @override
+   */
+  drawTile (canvas, coords) {
+    if (this._errored) return
+
+    if (this.options.filled) {
+      let drawn = super.drawTile(canvas, coords)
+      if (drawn) {
+        // bands are rendered in a worker, isolines have to be drawn on top
+        return drawn.then(() => this._drawIsolines(canvas, coords))
+      }
+    }
+    this._drawIsolines(canvas, coords)
+  }
+
+  _drawIsolines (canvas, coords) {
+    let tileSize = this.getTileSize()
+    let x0 = coords.x * tileSize.x
+    let y0 = coords.y * tileSize.y
+    let tileBounds = L.bounds([x0, y0], [x0 + tileSize.x, y0 + tileSize.y])
+    // labels of neighbouring tiles may reach into this tile
+    let labelMargin = 50
+    let labelBounds = L.bounds([x0 - labelMargin, y0 - labelMargin],
+                               [x0 + tileSize.x + labelMargin, y0 + tileSize.y + labelMargin])
+
+    let ctx = canvas.getContext('2d')
+    ctx.strokeStyle = this._lineColor
+    ctx.lineWidth = this._lineWidth
+
+    // isolines of geodetic grids are repeated in each world copy, like the grid cells
+    let worldBounds = this._isDomainUsingEllipsoidalCRS() && this._map.getPixelWorldBounds(coords.z)
+    let worldWidth = worldBounds ? worldBounds.getSize().x : 0
+
+    let lines = this._getProjectedIsolines(coords.z)
+    for (let {points, bounds} of lines) {
+      for (let shift of worldShifts(bounds, tileBounds, worldWidth)) {
+        let dx = shift - x0
+        ctx.beginPath()
+        ctx.moveTo(points[0].x + dx, points[0].y - y0)
+        for (let i=1; i < points.length; i++) {
+          ctx.lineTo(points[i].x + dx, points[i].y - y0)
+        }
+        ctx.stroke()
+      }
+    }
+
+    if (!this._labels) return
+
+    ctx.font = '10px sans-serif'
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.lineWidth = 3
+    ctx.strokeStyle = 'white'
+    ctx.fillStyle = this._lineColor
+    for (let {level, labelAnchor} of lines) {
+      if (!labelAnchor) continue
+      let label = this._labelFormat(this._unitConversion ? this._unitConversion.convert(level) : level)
+      for (let shift of worldShifts(L.bounds(labelAnchor, labelAnchor), labelBounds, worldWidth)) {
+        ctx.strokeText(label, labelAnchor.x + shift - x0, labelAnchor.y - y0)
+        ctx.fillText(label, labelAnchor.x + shift - x0, labelAnchor.y - y0)
+      }
+    }
+  }
+
+  /**
+   * Returns the isolines of the current subset in pixel coordinates of the given zoom level.
+   * Results are cached until the subset or the levels change.
+   * The points are not wrapped into the world bounds, see _drawIsolines() for drawing world copies.
+   *
+   * @param {number} zoom The zoom level.
+   * @return {Array<Object>} Objects with level, points, bounds, and labelAnchor (may be undefined) properties.
+   */
+  _getProjectedIsolines (zoom) {
+    let cache = this._getIsolines()
+    if (!cache.projected[zoom]) {
+      // lines shorter than this are not labelled
+      let minLabelLength = 80
+      cache.projected[zoom] = cache.lines.map(({level, latlngs}) => {
+        let points = latlngs.map(latlng => this._map.project(latlng, zoom))
+        let bounds = L.bounds(points)
+        let size = bounds.getSize()
+        let labelAnchor = Math.max(size.x, size.y) >= minLabelLength ? points[Math.floor(points.length / 2)] : undefined
+        return {level, points, bounds, labelAnchor}
+      })
+    }
+    return cache.projected[zoom]
+  }
+
+  /**
+   * Returns the isolines of the current subset as geographic coordinates.
+   *
+   * @return {Object} An object with range, levels, lines, and projected properties.
+   */
+  _getIsolines () {
+    let levels = this._getLevels()
+    let cache = this._isolinesCache
+    if (cache && cache.range === this._subsetRange && cache.levels.join() === levels.join()) {
+      return cache
+    }
+
+    let X = this.domain.axes.get(this._projX).values
+    let Y = this.domain.axes.get(this._projY).values
+    let nx = X.length
+    let ny = Y.length
+    let vals = this._subsetRange.get
+    let values = new Float64Array(nx * ny)
+    for (let j=0; j < ny; j++) {
+      for (let i=0; i < nx; i++) {
+        let val = vals({[this._projX]: i, [this._projY]: j})
+        values[j*nx + i] = val === null ? NaN : val
+      }
+    }
+
+    // fractional grid index -> domain CRS coordinate
+    let coord = (axis, fi) => {
+      let i = Math.floor(fi)
+      if (i === fi) return axis[i]
+      return axis[i] + (axis[i+1] - axis[i]) * (fi - i)
+    }
+
+    let lines = []
+    for (let level of levels) {
+      for (let line of isolines(values, nx, ny, level)) {
+        let latlngs = line.map(([i,j]) => L.latLng(this.projection.unproject({x: coord(X, i), y: coord(Y, j)})))
+        lines.push({level, latlngs})
+      }
+    }
+
+    this._isolinesCache = {range: this._subsetRange, levels, lines, projected: {}}
+    return this._isolinesCache
+  }
+}
+
+/**
+ * Returns the horizontal pixel shifts by multiples of the world width for which the given bounds intersect an area.
+ * Without world width, the bounds are not shifted.
+ */
+function worldShifts (bounds, area, worldWidth) {
+  if (!worldWidth) {
+    return bounds.intersects(area) ? [0] : []
+  }
+  if (bounds.max.y < area.min.y || bounds.min.y > area.max.y) {
+    return []
+  }
+  let shifts = []
+  for (let k = Math.ceil((area.min.x - bounds.max.x) / worldWidth); bounds.min.x + k * worldWidth <= area.max.x; k++) {
+    shifts.push(k * worldWidth)
+  }
+  return shifts
+}
+
+/**
+ * Returns the middle value of the band between two levels that the given value falls into.
+ * The outermost bands are bounded by the extent.
+ */
+function bandValue (val, levels, extent) {
+  let k = 0
+  while (k < levels.length && levels[k] <= val) {
+    k++
+  }
+  let lower = Math.max(k === 0 ? extent[0] : levels[k-1], extent[0])
+  let upper = Math.min(k === levels.length ? extent[1] : levels[k], extent[1])
+  return (lower + upper) / 2
+}
@@ -0,0 +1,272 @@
+import L from 'leaflet'
+
+import {Grid} from './Grid.js'
+import {StaticKDTree} from '../util/StaticKDTree.js'
+import {enlargeExtentIfEqual} from './palettes.js'
+
+/**
+ * Renderer for Coverages on curvilinear grids, as produced for example by the ocean models NEMO and ROMS.
+ *
+ * The domain is a CovJSON `Grid` whose `x` and `y` axes merely index the grid cells.
+ * The geographic position of each cell is given by two parameters of the coverage
+ * holding 2D longitude and latitude arrays over the `x` and `y` axes (in degrees, WGS84).
+ *
+ * Grid cells are looked up with a spatial index, each map position is assigned to the grid cell
+ * with the closest centre. Positions further away from the grid than about a cell width stay empty.
+ *
+ * Time, vertical, palette, and palette extent handling is identical to {@link Grid},
+ * meaning that {@link TimeAxis}, {@link VerticalAxis}, and legends can be used the same way.
+ *
+ * @example
+ * var cov = ... // get Coverage data
+ * var layer = new C.CurvilinearGrid(cov, {
+ *   parameter: 'sst',
+ *   longitude: 'nav_lon',
+ *   latitude: 'nav_lat'
+ * })
+ *
+ * @see https://covjson.org/domain-types/#grid
+ *
+ * @emits {DataLayer#afterAdd} Layer is initialized and was added to the map
+ * @emits {DataLayer#dataLoading} Data loading has started
+ * @emits {DataLayer#dataLoad} Data loading has finished (also in case of errors)
+ * @emits {DataLayer#error} Error when loading data
+ * @emits {DataLayer#axisChange} Axis coordinate has changed (e.axis === 'time'|'vertical')
+ * @emits {PaletteMixin#paletteChange} Palette has changed
+ * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ * @emits {PaletteMixin#displayUnitChange} Display unit has changed
+ * @emits {PaletteMixin#hiddenCategoriesChange} Categories were hidden or shown
+ *
+ * @extends {Grid}
+ * @implements {DataLayer}
+ */
+export class CurvilinearGrid extends Grid {
+
+  /**
+   * Supports all options of {@link Grid} except `interpolation` and `useWorker`, and in addition the following.
+   *
+   * @param {Coverage} cov The coverage object to visualize.
+   * @param {Object} options The options object.
+   * @param {string} options.parameter The key of the parameter to display.
+   * @param {string} options.longitude The key of the parameter holding the longitude of each grid cell.
+   * @param {string} options.latitude The key of the parameter holding the latitude of each grid cell.
+   */
+  constructor (cov, options={}) {
+    if (options.interpolation && options.interpolation !== 'nearest') {
+      throw new Error('Curvilinear grids only support nearest neighbour interpolation')
+    }
+    super(cov, options)
+
+    for (let key of [options.longitude, options.latitude]) {
+      if (!cov.parameters.has(key)) {
+        throw new Error('Coordinate parameter not found: ' + key)
+      }
+    }
+  }
+
+  /**
+   * Loads the domain, the cell coordinates, and the current subset, and builds the spatial index.
+   *
+   * @ignore
+   * @override
+   */
+  load () {
+    this.fire('dataLoading') // for supporting loading spinners
+
+    return this.coverage.loadDomain()
+      .then(domain => {
+        this.domain = domain
+        // the horizontal axes index the grid cells, positions are given by the coordinate parameters
+        this._projX = 'x'
+        this._projY = 'y'
+        return Promise.all([this.coverage.loadRange(this.options.longitude), this.coverage.loadRange(this.options.latitude)])
+      })
+      .then(([lonRange, latRange]) => this._buildIndex(lonRange, latRange))
+      .then(() => this._loadCoverageSubset())
+      .then(() => {
+        this.fire('dataLoad')
+      })
+      .catch(e => {
+        console.error(e)
+        this.fire('error', {error: e})
+        this.fire('dataLoad')
+      })
+  }
+
+  /**
+   * Converts the cell positions to points on the unit sphere, which avoids problems with
+   * longitude wrapping and the poles, and indexes them.
+   * For each cell, the maximum distance of map positions belonging to it is derived from the
+   * distances to the neighbouring cells.
+   */
+  _buildIndex (lonRange, latRange) {
+    let nx = this.domain.axes.get('x').values.length
+    let ny = this.domain.axes.get('y').values.length
+    let lons = new Float64Array(nx * ny)
+    let lats = new Float64Array(nx * ny)
+    let points = new Float64Array(nx * ny * 3)
+    for (let j=0; j < ny; j++) {
+      for (let i=0; i < nx; i++) {
+        let k = j*nx + i
+        let lon = lonRange.get({x: i, y: j})
+        let lat = latRange.get({x: i, y: j})
+        if (lon === null || lat === null) {
+          lons[k] = lats[k] = NaN
+        } else {
+          lons[k] = lon
+          lats[k] = lat
+        }
+        let [px, py, pz] = toUnitSphere(lats[k], lons[k])
+        points[k*3] = px
+        points[k*3 + 1] = py
+        points[k*3 + 2] = pz
+      }
+    }
+
+    let maxDistances2 = new Float64Array(nx * ny)
+    let distance2 = (k1, k2) => {
+      let sum = 0
+      for (let d=0; d < 3; d++) {
+        sum += Math.pow(points[k1*3 + d] - points[k2*3 + d], 2)
+      }
+      return sum
+    }
+    for (let j=0; j < ny; j++) {
+      for (let i=0; i < nx; i++) {
+        let k = j*nx + i
+        let max = 0
+        for (let [di, dj] of [[-1,0], [1,0], [0,-1], [0,1]]) {
+          if (i + di < 0 || i + di >= nx || j + dj < 0 || j + dj >= ny) continue
+          let d2 = distance2(k, (j + dj)*nx + i + di)
+          if (!isNaN(d2)) {
+            max = Math.max(max, d2)
+          }
+        }
+        // the corners of a cell are about 0.71 cell widths away from its centre
+        maxDistances2[k] = max * 0.75 * 0.75
+      }
+    }
+
+    this._cells = {nx, ny, lons, lats, maxDistances2, index: new StaticKDTree(points, 3)}
+  }
+
+  /**
+   * Returns the geographic bounds of the grid cell centres.
+   *
+   * @ignore
+   * @override
+   */
+  getBounds () {
+    let {lons, lats} = this._cells
+    let bounds = L.latLngBounds([])
+    for (let k=0; k < lons.length; k++) {
+      if (!isNaN(lons[k])) {
+        bounds.extend([lats[k], lons[k]])
+      }
+    }
+    return bounds
+  }
+
+  /**
+   * @ignore
+   * @override
+   */
+  _getIndexAt (latlng) {
+    let nearest = this._cells.index.nearest(toUnitSphere(latlng.lat, latlng.lng))
+    if (!nearest || nearest.distance2 > this._cells.maxDistances2[nearest.id]) {
+      return
+    }
+    let nx = this._cells.nx
+    return {y: Math.floor(nearest.id / nx), x: nearest.id % nx}
+  }
+
+  /**
+   * @ignore
+   * @override
+   */
+  _isBilinear () {
+    return false
+  }
+
+  /**
+   * @ignore
+   * @override
+   */
+  _canUseWorker () {
+    return false
+  }
+
+  /**
+   * Looks up the grid cell of each tile pixel in the spatial index.
+   *
+   * @ignore
+   * @override
+   */
+  _drawPixels (setPixel, coords, vals) {
+    let map = this._map
+    let tileSize = this.getTileSize()
+    let startX = coords.x * tileSize.x
+    let startY = coords.y * tileSize.y
+    let zoom = coords.z
+
+    for (let tileX = 0; tileX < tileSize.x; tileX++) {
+      for (let tileY = 0; tileY < tileSize.y; tileY++) {
+        let latlng = map.unproject(L.point(startX + tileX, startY + tileY), zoom)
+        let idx = this._getIndexAt(latlng)
+        if (idx) {
+          setPixel(tileY, tileX, vals(idx))
+        }
+      }
+    }
+  }
+
+  /**
+   * See {@link PaletteMixin}.
+   *
+   * @ignore
+   */
+  computePaletteExtent (extent) {
+    if (extent !== 'fov') {
+      return super.computePaletteExtent(extent)
+    }
+    // scan the cells of the current subset whose centres are in field of view
+    let bounds = this._map.getBounds()
+    let west = bounds.getWest()
+    let east = bounds.getEast()
+    let allLons = east - west >= 360
+    let {lons, lats} = this._cells
+
+    // stride through the cells if there are too many of them
+    let step = Math.max(Math.round(lons.length / (1000*1000)), 1)
+    let vals = this._subsetRange.get
+    let nx = this._cells.nx
+    let min = Infinity
+    let max = -Infinity
+    for (let k=0; k < lons.length; k += step) {
+      if (isNaN(lons[k]) || lats[k] < bounds.getSouth() || lats[k] > bounds.getNorth()) continue
+      if (!allLons && L.Util.wrapNum(lons[k], [west, west + 360], true) > east) continue
+      let val = vals({y: Math.floor(k / nx), x: k % nx})
+      if (val === null) continue
+      if (val < min) min = val
+      if (val > max) max = val
+    }
+    if (min === Infinity) {
+      // nothing or only missing values in view
+      return this._currentPaletteExtentOr('subset')
+    }
+    if (step > 1) {
+      // estimate, see Grid
+      let buffer = (max-min)*0.1
+      return Promise.resolve([min-buffer, max+buffer])
+    }
+    return Promise.resolve(enlargeExtentIfEqual([min, max]))
+  }
+}
+
+function toUnitSphere (lat, lon) {
+  let phi = lat * Math.PI / 180
+  let lambda = lon * Math.PI / 180
+  return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)]
+}
@@ -3,7 +3,7 @@
  * 
  * The `options` object of the constructor supports at a minimum the `parameter` property
  * which is the key of the coverage parameter to visualize.
- * All currently implemented classes also support the `palette` and `paletteExtent` properties.
+ * All currently implemented classes also support the `palette`, `paletteExtent`, and `paletteScale` properties.
  * All classes except {@link Grid} support the `defaultColor` property to specify the no-data color.
  * 
  * @typedef {L.Layer} DataLayer
@@ -5,6 +5,28 @@ import {indexOfNearest, isDomain, fromDomain, minMaxOfRange, getReferenceObject,
 import {enlargeExtentIfEqual} from './palettes.js'
 import {PaletteMixin} from './PaletteMixin.js'
 import {CoverageMixin} from './CoverageMixin.js'
+import {GridWorker} from './GridWorker.js'
+import {getCalendar, parseTime, toTimestamp} from '../util/calendar.js'
+import {fractionalIndexOf, bilinearValueFn} from '../util/interpolation.js'
+
+// distance in pixels between the points of a tile for which domain coordinates are computed
+// when rendering in a worker with a non-rectilinear map projection or a projected domain
+const TILE_MESH_STEP = 8
+
+// number of values for which palette indices are precomputed when rendering bilinearly in a worker
+const WORKER_LUT_SIZE = 4096
+
+/**
+ * The `play` event, signalling that the time animation has started, see {@link Grid#play}.
+ * 
+ * @typedef {L.Event} Grid#play
+ */
+
+/**
+ * The `pause` event, signalling that the time animation has stopped.
+ * 
+ * @typedef {L.Event} Grid#pause
+ */
   
 /**
  * Renderer for Coverages and Domains conforming to the `Grid` domain type of CovJSON.
@@ -29,6 +51,12 @@ import {CoverageMixin} from './CoverageMixin.js'
  * @emits {DataLayer#axisChange} Axis coordinate has changed (e.axis === 'time'|'vertical')
  * @emits {PaletteMixin#paletteChange} Palette has changed
  * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ * @emits {PaletteMixin#displayUnitChange} Display unit has changed
+ * @emits {PaletteMixin#hiddenCategoriesChange} Categories were hidden or shown
+ * @emits {Grid#play} Time animation has started
+ * @emits {Grid#pause} Time animation has stopped
  * 
  * @extends {L.GridLayer}
  * @extends {CoverageMixin}
@@ -47,15 +75,37 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
    * @param {Coverage|Domain} cov The coverage or domain object to visualize.
    * @param {Object} [options] The options object.
    * @param {string} [options.parameter] The key of the parameter to display, not needed for domain objects.
-   * @param {Date} [options.time] The initial time slice to display, defaults to the first one.
+   * @param {Date|CalendarDate} [options.time] The initial time slice to display, defaults to the first one.
    * @param {number} [options.vertical] The initial vertical slice to display, defaults to the first one.
    * @param {Palette} [options.palette] The initial color palette to use, the default depends on the parameter type.
    * @param {string} [options.paletteExtent='subset'] The initial palette extent, one of 
    *  `subset` (computed from data of current time/vertical slice),
-   *  `fov` (computed from data in map field of view; not implemented yet),
+   *  `fov` (computed from data of current time/vertical slice in map field of view,
+   *  recomputed when the map is panned or zoomed),
+   *  percentiles of the data of current time/vertical slice, ignoring outliers: `{percentile: [2, 98]}`,
    *  or specific: [-10,10].
+   * @param {string} [options.displayUnit] The symbol of the unit in which values are shown, for example '°C'.
+   *   Explicit palette extents are given in this unit, see {@link registerUnitConversion}.
+   * @param {PaletteScale} [options.paletteScale='linear'] The initial palette scale, e.g. 'log', see {@link PaletteScale}.
+   * @param {ClassBreaks} [options.classBreaks] Colours values in classes instead of a gradient, see {@link ClassBreaks}.
+   * @param {string} [options.belowColor] The CSS color of values below the palette extent, for example `transparent`,
+   *  or `extend` to use the first palette color. By default, such values are not drawn.
+   * @param {string} [options.aboveColor] Like `belowColor`, for values above the palette extent and the last palette color.
+   * @param {string} [options.noDataColor] The CSS color of missing values. By default, missing values are not drawn.
+   * @param {Array<string>} [options.hiddenCategories] The IDs of categories which are not shown, for categorical parameters.
+   *   Grid cells of these categories are transparent.
    * @param {boolean} [options.valueToColor] If present, the value is converted to a color using the given function,
    *  and palette settings are ignored.  The returned color should be of the form `{r: 0, g: 0, b: 0, a: 255}`.
+   * @param {string} [options.interpolation='nearest'] How values are derived between grid cell centres, either
+   *  `nearest` (value of the closest grid cell) or `bilinear` (blend of the four surrounding grid cells).
+   *  Categorical parameters are always displayed with `nearest`.
+   * @param {boolean} [options.useWorker=false] Whether to render tiles in a Web Worker to keep the map responsive
+   *  for large grids. If Web Workers are not available, tiles are rendered on the main thread.
+   *  The `valueToColor` option is not supported by the worker and always renders on the main thread.
+   *  For non-rectilinear map projections and projected domains, the domain coordinates of tile pixels
+   *  are interpolated between points that are a few pixels apart.
+   * @param {number} [options.cacheSize=10] The number of time/vertical slices which are kept in memory,
+   *  the least recently used slices are discarded first.
    */
   constructor (cov, options={}) {
     super()
@@ -67,17 +117,22 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
     }
     
     if (!options.paletteExtent) {
-      options.paletteExtent = 'subset'
+      options.paletteExtent = this.defaultPaletteExtent
     }
     
     L.Util.setOptions(this, options)
     
     this._cov = cov
     this._param = cov.parameters.get(options.keys ? options.keys[0] :options.parameter)
+    this._interpolation = checkInterpolation(options.interpolation || 'nearest')
     this._axesSubset = { // x and y are not subsetted
         t: {coordPref: options.time ? options.time.toISOString() : undefined},
         z: {coordPref: options.vertical}
     }
+    
+    // subset spec JSON -> Promise of {cov, domain, range}, in order of least recent use
+    this._sliceCache = new Map()
+    this._sliceCacheSize = options.cacheSize || 10
 
     /**
      * The vertical reference system object, used by {@link VerticalAxis}.
@@ -86,6 +141,15 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
     this.crsVerticalAxis = undefined
   }
   
+  /**
+   * See {@link PaletteMixin}.
+   * 
+   * @type {string}
+   */
+  get defaultPaletteExtent () {
+    return 'subset'
+  }
+  
   /**
    * @ignore
    * @override
@@ -93,6 +157,7 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
   onAdd (map) {
     // "loading" and "load" events are provided by the underlying GridLayer class
     this._map = map
+    this._addFovListener(map)
 
     this.load()
       .then(() => this.initializePalette())
@@ -125,6 +190,14 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
    * @override
    */
   onRemove (map) {
+    this._removeFovListener(map)
+    this.pause()
+    this._sliceCache.clear()
+    if (this._tileWorker) {
+      this._tileWorker.terminate()
+      delete this._tileWorker
+      delete this._tileWorkerState
+    }
     delete this._map
     // TODO delete references to domain/range, caching logic should happen elsewhere
     super.onRemove(map)
@@ -172,38 +245,122 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
    * values from the actual axes.
    */
   _loadCoverageSubset () {        
+    let spec = this._getSubsetSpec()
+    
+    this.fire('dataLoading') // for supporting loading spinners
+    return this._loadSlice(spec)
+      .then(({cov, domain, range}) => {
+        this._subsetCov = cov
+        this._subsetDomain = domain
+        this._subsetRange = range
+        this.fire('dataLoad')
+      })
+      .catch(e => {
+        this.fire('dataLoad')
+        throw e
+      })
+  }
+  
+  /**
+   * Returns the subsetByValue specification for a single time and vertical slice.
+   * 
+   * @param {Object} [coordPrefs] Coordinate preferences overriding _axesSubset.*.coordPref, e.g. {t: '2000-01-01'}.
+   * @return {Object}
+   */
+  _getSubsetSpec (coordPrefs={}) {
     let spec = {}
     for (let axis of Object.keys(this._axesSubset)) {
-      let ax = this._axesSubset[axis]
       if (!this.domain.axes.has(axis)) {
         continue
       }
-      if (ax.coordPref == undefined) { // == also handles null
+      let coordPref = axis in coordPrefs ? coordPrefs[axis] : this._axesSubset[axis].coordPref
+      if (axis === 't') {
+        // the closest time is determined here as the time axis may use a non-Gregorian calendar,
+        // the spec then contains the index instead, see _loadSlice
+        spec.t = coordPref == undefined ? 0 : this._getNearestTimeIndex(coordPref)
+      } else if (coordPref == undefined) { // == also handles null
         spec[axis] = {target: this.domain.axes.get(axis).values[0]}
       } else {
-        spec[axis] = {target: ax.coordPref}
+        spec[axis] = {target: coordPref}
       }
     }
+    return spec
+  }
+  
+  /**
+   * Subsets the coverage and loads the domain and range of the subset, using the slice cache.
+   * 
+   * @param {Object} spec The subsetByValue specification.
+   * @return {Promise<Object>} A promise succeeding with an object with cov, domain, and range properties.
+   */
+  _loadSlice (spec) {
+    let key = JSON.stringify(spec)
+    let {t, ...valueSpec} = spec
+    let cache = this._sliceCache
+    let slice = cache.get(key)
+    if (slice) {
+      // mark as most recently used
+      cache.delete(key)
+      cache.set(key, slice)
+      return slice
+    }
     
-    this.fire('dataLoading') // for supporting loading spinners
-    return this._cov.subsetByValue(spec)
+    let subsetByTime = t === undefined ? Promise.resolve(this._cov) : this._cov.subsetByIndex({t})
+    slice = subsetByTime
+      .then(timeSubsetCov => timeSubsetCov.subsetByValue(valueSpec))
       .then(subsetCov => {
-        this._subsetCov = subsetCov
         //  the goal is to avoid reloading data when approximating palette extent via subsetting
         //  but: memory has to be freed when the layer is removed from the map
-        //      -> therefore cacheRanges is set on subsetCov whose reference is removed on onRemove
+        //      -> therefore cacheRanges is set on subsetCov whose reference is removed from the slice cache
         subsetCov.cacheRanges = true
-        return Promise.all([subsetCov.loadDomain(), subsetCov.loadRange(this._param.key)])
-      })
-      .then(([subsetDomain, subsetRange]) => {
-        this._subsetDomain = subsetDomain
-        this._subsetRange = subsetRange
-        this.fire('dataLoad')
-      })
-      .catch(e => {
-        this.fire('dataLoad')
-        throw e
+        return Promise.all([subsetCov, subsetCov.loadDomain(), this._loadRange(subsetCov)])
       })
+      .then(([cov, domain, range]) => ({cov, domain, range}))
+    slice.catch(() => {
+      // don't cache failures
+      if (cache.get(key) === slice) {
+        cache.delete(key)
+      }
+    })
+    
+    cache.set(key, slice)
+    while (cache.size > this._sliceCacheSize) {
+      cache.delete(cache.keys().next().value)
+    }
+    return slice
+  }
+  
+  /**
+   * Returns the index of the time slice closest to the given time.
+   * 
+   * @param {string|Date|CalendarDate} time
+   * @return {number}
+   */
+  _getNearestTimeIndex (time) {
+    let calendar = this._getCalendar()
+    if (!this._timestamps) {
+      this._timestamps = this.domain.axes.get('t').values.map(t => toTimestamp(t, calendar))
+    }
+    return indexOfNearest(this._timestamps, toTimestamp(time, calendar))
+  }
+  
+  /**
+   * Returns the calendar of the time axis, see {@link getCalendar}.
+   * 
+   * @return {string}
+   */
+  _getCalendar () {
+    return getCalendar(this.domain)
+  }
+  
+  /**
+   * Loads the range that is displayed, either from the full or a subsetted coverage.
+   * 
+   * @param {Coverage} cov The coverage to load the range from.
+   * @return {Promise<Range>}
+   */
+  _loadRange (cov) {
+    return cov.loadRange(this._param.key)
   }
   
   /**
@@ -228,7 +385,10 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
    * Sets the currently active time to the one closest to the given Date object.
    * Throws an exception if there is no time axis.
    * 
-   * @type {Date}
+   * For time axes with non-Gregorian calendars (`360_day`, `noleap`, `all_leap`),
+   * times are {@link CalendarDate} objects instead of Date objects.
+   * 
+   * @type {Date|CalendarDate}
    */
   set time (val) {
     if (!this.domain.axes.has('t')) {
@@ -244,27 +404,200 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
   }
   
   /**
-   * The currently active time on the temporal axis as Date object, 
+   * The currently active time on the temporal axis as Date or {@link CalendarDate} object, 
    * or undefined if the grid has no time axis.
    * 
-   * @type {Date|undefined}
+   * @type {Date|CalendarDate|undefined}
    */
   get time () {
     if (this.domain.axes.has('t')) {
       let time = this._subsetDomain.axes.get('t').values[0]
-      return new Date(time)
+      return parseTime(time, this._getCalendar())
     }
   }
   
   /**
    * The time slices that make up the coverage, or undefined if the grid has no time axis .
    * 
-   * @type {Array<Date>|undefined}
+   * @type {Array<Date|CalendarDate>|undefined}
    */
   get timeSlices () {
     if (this.domain.axes.has('t')) {
-      return this.domain.axes.get('t').values.map(t => new Date(t))
+      let calendar = this._getCalendar()
+      return this.domain.axes.get('t').values.map(t => parseTime(t, calendar))
+    }
+  }
+  
+  /**
+   * Whether the time animation is currently playing, see {@link Grid#play}.
+   * 
+   * @type {boolean}
+   */
+  get playing () {
+    return !!this._animation
+  }
+  
+  /**
+   * Starts animating through the time slices, beginning with the one after the current time.
+   * Upcoming time slices are loaded in advance and kept in the slice cache (see the `cacheSize` option).
+   * An `axisChange` event is fired for each frame, which keeps controls like {@link TimeAxis} in sync.
+   * 
+   * @example
+   * layer.play({fps: 4, range: [new Date('2000-01-01'), new Date('2000-02-01')]})
+   * 
+   * @param {Object} [options] The animation options.
+   * @param {number} [options.fps=2] The maximum number of frames per second.
+   *  If loading a time slice takes longer, the animation slows down accordingly.
+   * @param {boolean} [options.loop=true] Whether to start again with the first time slice after the last one,
+   *  otherwise the animation stops.
+   * @param {Array<Date|CalendarDate>} [options.range] The first and last time to include in the animation,
+   *  defaults to all time slices.
+   * @param {number} [options.prefetch=3] The number of upcoming time slices to load in advance.
+   * @return {this}
+   * @throws {Error} If there is no time axis or no time slices within the range.
+   */
+  play ({fps=2, loop=true, range, prefetch=3} = {}) {
+    if (!this.domain.axes.has('t')) {
+      throw new Error('No time axis found')
+    }
+    let calendar = this._getCalendar()
+    let [start, stop] = range ? range.map(t => toTimestamp(t, calendar)) : []
+    let timeIndices = []
+    this.timeSlices.forEach((t, i) => {
+      if (!range || (start <= t.getTime() && t.getTime() <= stop)) {
+        timeIndices.push(i)
+      }
+    })
+    if (timeIndices.length === 0) {
+      throw new Error('No time slices within the given range')
+    }
+    
+    this.pause()
+    let animation = {timeIndices, interval: 1000 / fps, loop, prefetch}
+    this._animation = animation
+    this._prefetchTimeSlices(this._getNextAnimationPositions(animation))
+    animation.timeout = setTimeout(() => this._playNextFrame(animation), animation.interval)
+    this.fire('play')
+    return this
+  }
+  
+  /**
+   * Stops the time animation, keeping the current time.
+   * 
+   * @return {this}
+   */
+  pause () {
+    if (this._animation) {
+      clearTimeout(this._animation.timeout)
+      this._animation = null
+      this.fire('pause')
+    }
+    return this
+  }
+  
+  /**
+   * Moves the given number of time slices forward or backward, stopping at the first and last one.
+   * Stops the time animation if it is playing.
+   * 
+   * @example
+   * layer.step(-1) // previous time slice
+   * 
+   * @param {number} [delta=1] The number of time slices to move, negative to move backwards.
+   * @return {Promise} A promise succeeding when the new time slice is displayed.
+   * @throws {Error} If there is no time axis.
+   */
+  step (delta=1) {
+    if (!this.domain.axes.has('t')) {
+      throw new Error('No time axis found')
+    }
+    this.pause()
+    let count = this.domain.axes.get('t').values.length
+    let index = Math.min(Math.max(this._getTimeIndex() + delta, 0), count - 1)
+    this._prefetchTimeSlices([index + Math.sign(delta)].filter(i => i >= 0 && i < count))
+    return this._setTimeIndex(index)
+  }
+  
+  _playNextFrame (animation) {
+    let positions = this._getNextAnimationPositions(animation)
+    if (positions.length === 0) {
+      this.pause()
+      return
+    }
+    let started = Date.now()
+    this._setTimeIndex(positions[0])
+      .then(() => {
+        if (this._animation !== animation) return
+        this._prefetchTimeSlices(this._getNextAnimationPositions(animation))
+        let delay = Math.max(animation.interval - (Date.now() - started), 0)
+        animation.timeout = setTimeout(() => this._playNextFrame(animation), delay)
+      })
+      .catch(e => {
+        this.pause()
+        this.fire('error', {error: e})
+      })
+  }
+  
+  /**
+   * Returns the time indices of the upcoming animation frames, as many as should be prefetched,
+   * starting with the next frame. Returns an empty array if the animation has ended.
+   */
+  _getNextAnimationPositions (animation) {
+    let {timeIndices, loop, prefetch} = animation
+    let current = timeIndices.indexOf(this._getTimeIndex())
+    let next = []
+    for (let i = current + 1; next.length < Math.min(prefetch + 1, timeIndices.length); i++) {
+      if (i >= timeIndices.length) {
+        if (!loop) break
+        i = 0
+      }
+      next.push(timeIndices[i])
     }
+    return next
+  }
+  
+  _getTimeIndex () {
+    let time = this.time.getTime()
+    return this.timeSlices.findIndex(t => t.getTime() === time)
+  }
+  
+  /**
+   * Displays the time slice with the given index, fires an `axisChange` event if it has changed.
+   * 
+   * @param {number} index The index on the time axis.
+   * @return {Promise}
+   */
+  _setTimeIndex (index) {
+    let old = this.time.getTime()
+    // the raw axis value is used so that slices match the prefetched ones in the cache
+    this._axesSubset.t.coordPref = this.domain.axes.get('t').values[index]
+    return this._loadCoverageSubset().then(() => {
+      if (old === this.time.getTime()) return
+      this.redraw()
+      this.fire('axisChange', {axis: 'time'})
+    })
+  }
+  
+  _prefetchTimeSlices (timeIndices) {
+    let values = this.domain.axes.get('t').values
+    for (let index of timeIndices) {
+      // errors are handled when the slice is displayed
+      this._loadSlice(this._getSubsetSpec({t: values[index]})).catch(() => {})
+    }
+  }
+  
+  /**
+   * The interpolation method used for displaying the grid and in {@link Grid#getValueAt},
+   * either `nearest` or `bilinear`.
+   * 
+   * @type {string}
+   */
+  get interpolation () {
+    return this._interpolation
+  }
+  
+  set interpolation (val) {
+    this._interpolation = checkInterpolation(val)
+    this.redraw()
   }
   
   /**
@@ -340,7 +673,7 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
         
         return this._subsetCov.subsetByIndex({[this._projX]: xconstraint, [this._projY]: yconstraint})        
           .then(subsetCov => {
-            return subsetCov.loadRange(this._param.key).then(subsetRange => {
+            return this._loadRange(subsetCov).then(subsetRange => {
                let [min,max] = minMaxOfRange(subsetRange)
                let buffer = (max-min)*0.1 // 10% buffer on each side
                extent = [min-buffer, max+buffer]
@@ -351,15 +684,137 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
     } else if (extent === 'fov') {
       // scan the values that are currently in field of view on the map for min/max
       // this implies using the current subset
-      let bounds = this._map.getBounds()
-
-      // TODO implement
-      throw new Error('NOT IMPLEMENTED YET')      
+      let fov = this._getFieldOfViewIndexRanges()
+      if (!fov) {
+        // grid is not visible, keep the current extent
+        return this._currentPaletteExtentOr('subset')
+      }
+      let {x: xRanges, y: [iyStart, iyStop]} = fov
+      
+      // stride through the visible cells if there are too many of them
+      let count = xRanges.reduce((sum, [start, stop]) => sum + stop - start + 1, 0) * (iyStop - iyStart + 1)
+      let step = Math.max(Math.round(Math.sqrt(count / (1000*1000))), 1)
+      
+      let vals = this._subsetRange.get
+      let min = Infinity
+      let max = -Infinity
+      for (let iy = iyStart; iy <= iyStop; iy += step) {
+        for (let [ixStart, ixStop] of xRanges) {
+          for (let ix = ixStart; ix <= ixStop; ix += step) {
+            let val = vals({[this._projY]: iy, [this._projX]: ix})
+            if (val === null) continue
+            if (val < min) min = val
+            if (val > max) max = val
+          }
+        }
+      }
+      if (min === Infinity) {
+        // only missing values in view
+        return this._currentPaletteExtentOr('subset')
+      }
+      if (step > 1) {
+        // estimate, see above
+        let buffer = (max-min)*0.1
+        extent = [min-buffer, max+buffer]
+      } else {
+        extent = enlargeExtentIfEqual([min, max])
+      }
+      return Promise.resolve(extent)
     } else {
       throw new Error('Unknown extent specification: ' + extent)
     }
   }
   
+  /**
+   * Returns the values of the current subset for computing class breaks and percentile extents,
+   * a regular sample of them for large grids (like the estimate in {@link computePaletteExtent}).
+   * 
+   * @ignore
+   * @override
+   */
+  getPaletteValues () {
+    let xlen = this._subsetRange.shape.get(this._projX)
+    let ylen = this._subsetRange.shape.get(this._projY)
+    let step = Math.max(Math.round(Math.sqrt(xlen * ylen / (1000*1000))), 1)
+    let vals = this._subsetRange.get
+    let values = []
+    for (let iy = 0; iy < ylen; iy += step) {
+      for (let ix = 0; ix < xlen; ix += step) {
+        let val = vals({[this._projY]: iy, [this._projX]: ix})
+        if (val !== null) values.push(val)
+      }
+    }
+    return values
+  }
+  
+  /**
+   * Returns the index ranges of the x and y domain axes that are within the
+   * current field of view of the map.
+   * 
+   * The x axis may have two ranges if the map view crosses the longitude
+   * discontinuity of a geodetic domain.
+   * 
+   * @return {Object|undefined} `{x: [[start,stop], ...], y: [start,stop]}` with inclusive stop indices,
+   *   or undefined if the grid is not within the field of view.
+   */
+  _getFieldOfViewIndexRanges () {
+    let X = this.domain.axes.get(this._projX).values
+    let Y = this.domain.axes.get(this._projY).values
+    let bbox = this._getDomainBbox()
+    let bounds = this._map.getBounds()
+    let sw = bounds.getSouthWest()
+    let ne = bounds.getNorthEast()
+    
+    let xIntervals, yInterval
+    if (this._isDomainUsingEllipsoidalCRS()) {
+      if (ne.lng - sw.lng >= 360) {
+        xIntervals = [[bbox[0], bbox[2]]]
+      } else {
+        let lonRange = [bbox[0], bbox[0] + 360]
+        let west = wrapLongitude(sw.lng, lonRange)
+        let east = wrapLongitude(ne.lng, lonRange)
+        xIntervals = west <= east ? [[west, east]] : [[west, bbox[2]], [bbox[0], east]]
+      }
+      yInterval = [sw.lat, ne.lat]
+    } else {
+      // the map view edges may be curved in the domain CRS, therefore we project
+      // several points along each edge and use the bounding box of those
+      let proj = this.projection
+      let xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity
+      let n = 10
+      for (let i = 0; i <= n; i++) {
+        let lat = sw.lat + (ne.lat - sw.lat) * i / n
+        let lon = sw.lng + (ne.lng - sw.lng) * i / n
+        for (let [la, lo] of [[lat, sw.lng], [lat, ne.lng], [sw.lat, lon], [ne.lat, lon]]) {
+          let {x,y} = proj.project({lat: la, lon: lo})
+          xmin = Math.min(xmin, x)
+          xmax = Math.max(xmax, x)
+          ymin = Math.min(ymin, y)
+          ymax = Math.max(ymax, y)
+        }
+      }
+      xIntervals = [[xmin, xmax]]
+      yInterval = [ymin, ymax]
+    }
+    
+    let toIndexRange = (vals, [lo, hi], min, max) => {
+      lo = Math.max(lo, min)
+      hi = Math.min(hi, max)
+      if (lo > hi) return
+      let start = indexOfNearest(vals, lo)
+      let stop = indexOfNearest(vals, hi)
+      // descending axes
+      return start <= stop ? [start, stop] : [stop, start]
+    }
+    
+    let y = toIndexRange(Y, yInterval, bbox[1], bbox[3])
+    let x = xIntervals.map(interval => toIndexRange(X, interval, bbox[0], bbox[2])).filter(r => r)
+    if (!y || x.length === 0) {
+      return
+    }
+    return {x, y}
+  }
+  
   /**
    * Return the displayed value at a given geographic position.
    * If out of bounds, then undefined is returned, otherwise a number or null (for no data).
@@ -368,6 +823,22 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
    * @returns {number|null|undefined}
    */
   getValueAt (latlng) {
+    let idx = this._getIndexAt(latlng)
+    if (!idx) {
+      return
+    }
+    let vals = this._getRangeValueFn(this._projX, this._projY)
+    return vals(idx)
+  }
+  
+  /**
+   * Returns the x/y index of the grid cell at the given geographic position,
+   * fractional in case of bilinear interpolation.
+   * 
+   * @param {L.LatLng} latlng
+   * @return {Object|undefined} The index object, or undefined if out of bounds.
+   */
+  _getIndexAt (latlng) {
     let X = this.domain.axes.get(this._projX).values
     let Y = this.domain.axes.get(this._projY).values
     let bbox = this._getDomainBbox()
@@ -381,10 +852,42 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
       return
     }
     
-    let iy = indexOfNearest(Y, y)
-    let ix = indexOfNearest(X, x)
-
-    return this._subsetRange.get({[this._projY]: iy, [this._projX]: ix})
+    let indexOf = this._getAxisIndexFn()
+    let iy = indexOf(Y, y)
+    let ix = indexOf(X, x)
+    return {[this._projY]: iy, [this._projX]: ix}
+  }
+  
+  /**
+   * Returns whether values are interpolated bilinearly.
+   * Interpolating categories would result in meaningless values.
+   */
+  _isBilinear () {
+    return this._interpolation === 'bilinear' && !this._param.categoryEncoding
+  }
+  
+  /**
+   * Returns the function used for finding the index of a coordinate on the x or y axis.
+   * For bilinear interpolation, the index is fractional.
+   * 
+   * @return {function(vals: Array<number>, val: number): number}
+   */
+  _getAxisIndexFn () {
+    return this._isBilinear() ? fractionalIndexOf : indexOfNearest
+  }
+  
+  /**
+   * Returns the range value function of the current subset,
+   * accepting fractional x/y indices for bilinear interpolation.
+   * 
+   * @param {string} xKey The name of the x axis in index objects.
+   * @param {string} yKey The name of the y axis in index objects.
+   * @param {Range} [range] The range to use instead of the displayed one.
+   * @return {function(idx: Object): number|null}
+   */
+  _getRangeValueFn (xKey, yKey, range=this._subsetRange) {
+    let vals = range.get
+    return this._isBilinear() ? bilinearValueFn(vals, xKey, yKey) : vals
   }
 
   /**
@@ -392,9 +895,10 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
    * @override
    * 
    * @param {L.Point} coords The tile coordinates (with z being zoom level).
+   * @param {function(error: *, tile: HTMLCanvasElement)} done Called when the tile is drawn.
    * @return {HTMLCanvasElement}
    */
-  createTile (coords) {
+  createTile (coords, done) {
     let tile = L.DomUtil.create('canvas', 'leaflet-tile')
 
     // setup tile width and height according to the options
@@ -402,7 +906,13 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
     tile.width = size.x
     tile.height = size.y
 
-    this.drawTile(tile, coords)
+    let drawn = this.drawTile(tile, coords)
+    if (drawn) {
+      drawn.then(() => done(null, tile))
+    } else {
+      // like L.GridLayer does for synchronous tiles, delay one frame for the opacity animation to happen
+      L.Util.requestAnimFrame(() => done(null, tile))
+    }
 
     return tile
   }
@@ -412,10 +922,15 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
    * 
    * @param {HTMLCanvasElement} The canvas to draw on.
    * @param {L.Point} coords The tile coordinates (with z being zoom level).
+   * @return {Promise|undefined} A Promise if the tile is drawn asynchronously in a worker.
    */
   drawTile (canvas, coords) {
     if (this._errored) return
     
+    if (this._canUseWorker()) {
+      return this._drawTileInWorker(canvas, coords)
+    }
+    
     let ctx = canvas.getContext('2d')
     let tileSize = this.getTileSize()
     
@@ -436,23 +951,35 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
         }
       }
     } else {
-      let {red, green, blue} = this.palette
+      let {red, green, blue, alpha} = this._colors
           
-      let getPaletteIndex = this.getPaletteIndex
       setPixel = (tileY, tileX, val) => {
-        let idx = getPaletteIndex(val)
+        let idx = this._getColorIndex(val)
         if (idx !== undefined) {
           rgba.set(tileY, tileX, 0, red[idx])
           rgba.set(tileY, tileX, 1, green[idx])
           rgba.set(tileY, tileX, 2, blue[idx])
-          rgba.set(tileY, tileX, 3, 255)
+          rgba.set(tileY, tileX, 3, alpha[idx])
         }
       }
     }
     
     
-    let vals = this._subsetRange.get
+    let vals = this._getRangeValueFn('x', 'y')
+    this._drawPixels(setPixel, coords, vals)
     
+    ctx.putImageData(imgData, 0, 0)    
+  }
+  
+  /**
+   * Sets the pixels of a tile, choosing the most efficient method for the domain and map projections.
+   * 
+   * @param {Function} setPixel A function with parameters (y,x,val) which 
+   *                            sets the color of a pixel on a tile.
+   * @param {L.Point} coords The tile coordinates.
+   * @param {function(idx: Object): number|null} vals Range value function.
+   */
+  _drawPixels (setPixel, coords, vals) {
     if (this._isDomainUsingEllipsoidalCRS()) {
       if (this._isRectilinearGeodeticMap()) {
         // here we can apply heavy optimizations as the map CRS matches the domain CRS 
@@ -471,8 +998,214 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
         this._drawProjectedCRSWithAnyMapProjection(setPixel, coords, vals)
       }
     }
+  }
+  
+  /**
+   * Returns whether tiles can be rendered in a worker.
+   * 
+   * Interpolated values are coloured in the worker with a lookup table that is evenly spaced in value,
+   * which is too coarse for curved palette scales like 'log'.
+   */
+  _canUseWorker () {
+    let scaleType = this.paletteScale.type || this.paletteScale
+    if (this._isBilinear() && scaleType !== 'linear' && scaleType !== 'diverging') {
+      return false
+    }
+    return this.options.useWorker && !this.options.valueToColor && !this._tileWorkerFailed && GridWorker.isSupported()
+  }
+  
+  /**
+   * Draws a tile in a worker. If the worker fails, it is discarded and
+   * the tile and all further tiles are drawn on the main thread.
+   * 
+   * @param {HTMLCanvasElement} The canvas to draw on.
+   * @param {L.Point} coords The tile coordinates (with z being zoom level).
+   * @return {Promise} A Promise succeeding when the tile is drawn.
+   */
+  _drawTileInWorker (canvas, coords) {
+    let tileSize = this.getTileSize()
+    return Promise.resolve()
+      .then(() => this._getTileWorker().render(this._getTileDomainCoordinates(coords)))
+      .then(rgba => {
+        canvas.getContext('2d').putImageData(new ImageData(rgba, tileSize.x, tileSize.y), 0, 0)
+      })
+      .catch(e => {
+        console.log(e)
+        this._tileWorkerFailed = true
+        if (this._tileWorker) {
+          this._tileWorker.terminate()
+          delete this._tileWorker
+        }
+        if (this._map) {
+          this.drawTile(canvas, coords)
+        }
+      })
+  }
+  
+  /**
+   * Returns the worker for rendering tiles, which is created on first use.
+   * The grid data is sent to the worker whenever the subset, palette, palette extent,
+   * or interpolation method has changed.
+   * 
+   * @return {GridWorker}
+   */
+  _getTileWorker () {
+    if (!this._tileWorker) {
+      this._tileWorker = new GridWorker()
+      delete this._tileWorkerState
+    }
+    let state = this._tileWorkerState
+    if (!state || state.range !== this._subsetRange || state.getPaletteIndex !== this.getPaletteIndex ||
+        state.colors !== this._colors || state.interpolation !== this._interpolation) {
+      this._tileWorker.setData(this._getTileWorkerData())
+      this._tileWorkerState = {
+        range: this._subsetRange,
+        getPaletteIndex: this.getPaletteIndex,
+        colors: this._colors,
+        interpolation: this._interpolation
+      }
+    }
+    return this._tileWorker
+  }
+  
+  /**
+   * Copies the current grid data into typed arrays for {@link GridWorker#setData}.
+   * 
+   * Palette indices are precomputed here so that the worker does not need to know
+   * how values are mapped to colors.
+   * 
+   * @return {Object}
+   */
+  _getTileWorkerData () {
+    let geodetic = this._isDomainUsingEllipsoidalCRS()
+    let bbox = this._getDomainBbox()
+    let X, Y
+    if (geodetic) {
+      // see _drawGeodeticCRSWithRectilinearMapProjection
+      X = this.domain.axes.get('x').values
+      Y = this.domain.axes.get('y').values
+      if (this._projX === 'y') {
+        bbox = [bbox[1], bbox[0], bbox[3], bbox[2]]
+      }
+    } else {
+      X = this.domain.axes.get(this._projX).values
+      Y = this.domain.axes.get(this._projY).values
+    }
+    let nx = X.length
+    let ny = Y.length
     
-    ctx.putImageData(imgData, 0, 0)    
+    let vals = this._subsetRange.get
+    let toIndex = val => {
+      let idx = this._getColorIndex(val)
+      return idx === undefined ? -1 : idx
+    }
+    
+    let {red, green, blue, alpha} = this._colors
+    let data = {
+      X: Float64Array.from(X),
+      Y: Float64Array.from(Y),
+      bbox,
+      geodetic,
+      lonRange: [bbox[0], bbox[0] + 360],
+      red: Uint8Array.from(red),
+      green: Uint8Array.from(green),
+      blue: Uint8Array.from(blue),
+      alpha: Uint8Array.from(alpha)
+    }
+    
+    if (this._isBilinear()) {
+      let values = new Float64Array(nx * ny)
+      let min = Infinity
+      let max = -Infinity
+      for (let j=0; j < ny; j++) {
+        for (let i=0; i < nx; i++) {
+          let val = vals({x: i, y: j})
+          if (val === null) {
+            val = NaN
+          } else {
+            min = Math.min(min, val)
+            max = Math.max(max, val)
+          }
+          values[j*nx + i] = val
+        }
+      }
+      // interpolated values never exceed the range of the grid values
+      let indices = new Int16Array(WORKER_LUT_SIZE).fill(-1)
+      if (min !== Infinity) {
+        for (let k=0; k < WORKER_LUT_SIZE; k++) {
+          indices[k] = toIndex(min + (max - min) * k / (WORKER_LUT_SIZE - 1))
+        }
+      }
+      data.values = values
+      data.lut = {min, max, indices, missing: toIndex(null)}
+    } else {
+      let indices = new Int16Array(nx * ny)
+      for (let j=0; j < ny; j++) {
+        for (let i=0; i < nx; i++) {
+          indices[j*nx + i] = toIndex(vals({x: i, y: j}))
+        }
+      }
+      data.indices = indices
+    }
+    return data
+  }
+  
+  /**
+   * Computes the domain CRS coordinates of the pixels of a tile for {@link GridWorker#render}.
+   * 
+   * For geodetic domains on rectilinear map projections, the exact coordinates of each pixel column and row
+   * are returned, otherwise coordinates of a mesh with points every TILE_MESH_STEP pixels.
+   * Longitudes are not wrapped here as wrapping would break the interpolation between mesh points.
+   * 
+   * @param {L.Point} coords The tile coordinates (with z being zoom level).
+   * @return {Object}
+   */
+  _getTileDomainCoordinates (coords) {
+    let map = this._map
+    let tileSize = this.getTileSize()
+    let startX = coords.x * tileSize.x
+    let startY = coords.y * tileSize.y
+    let zoom = coords.z
+    let geodetic = this._isDomainUsingEllipsoidalCRS()
+    let tile = {width: tileSize.x, height: tileSize.y}
+    
+    if (geodetic && this._isRectilinearGeodeticMap()) {
+      tile.xs = new Float64Array(tileSize.x)
+      for (let tileX = 0; tileX < tileSize.x; tileX++) {
+        tile.xs[tileX] = map.unproject(L.point(startX + tileX, startY), zoom).lng
+      }
+      tile.ys = new Float64Array(tileSize.y)
+      for (let tileY = 0; tileY < tileSize.y; tileY++) {
+        tile.ys[tileY] = map.unproject(L.point(startX, startY + tileY), zoom).lat
+      }
+      return tile
+    }
+    
+    let proj = this.projection
+    let meshWidth = Math.floor((tileSize.x - 1) / TILE_MESH_STEP) + 2
+    let meshHeight = Math.floor((tileSize.y - 1) / TILE_MESH_STEP) + 2
+    let meshX = new Float64Array(meshWidth * meshHeight)
+    let meshY = new Float64Array(meshWidth * meshHeight)
+    for (let j=0; j < meshHeight; j++) {
+      for (let i=0; i < meshWidth; i++) {
+        let k = j*meshWidth + i
+        let {lat,lng} = map.unproject(L.point(startX + i*TILE_MESH_STEP, startY + j*TILE_MESH_STEP), zoom)
+        if (geodetic) {
+          // keep longitudes continuous with the previous mesh point, the worker wraps them
+          let prev = i > 0 ? meshX[k - 1] : j > 0 ? meshX[k - meshWidth] : lng
+          meshX[k] = prev + L.Util.wrapNum(lng - prev, [-180, 180], true)
+          meshY[k] = lat
+        } else {
+          let {x,y} = proj.project({lat, lon: lng})
+          meshX[k] = x
+          meshY[k] = y
+        }
+      }
+    }
+    tile.meshStep = TILE_MESH_STEP
+    tile.meshX = meshX
+    tile.meshY = meshY
+    return tile
   }
   
   /**
@@ -546,7 +1279,7 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
     
     let lonRange = [bbox[0], bbox[0] + 360]
 
-    
+    let indexOf = this._getAxisIndexFn()
     
     for (let tileX = 0; tileX < tileSize.x; tileX++) {
       for (let tileY = 0; tileY < tileSize.y; tileY++) {
@@ -566,8 +1299,8 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
         // now we find the closest grid cell using simple binary search
         // for finding the closest latitude/longitude we use a simple binary search
         // (as there is no discontinuity)
-        let iLat = indexOfNearest(y, lat)
-        let iLon = indexOfNearest(x, lng)
+        let iLat = indexOf(y, lat)
+        let iLon = indexOf(x, lng)
 
         setPixel(tileY, tileX, vals({y: iLat, x: iLon}))
       }
@@ -589,6 +1322,7 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
     let bbox = this._getDomainBbox()
     
     let proj = this.projection
+    let indexOf = this._getAxisIndexFn()
 
     let tileSize = this.getTileSize()
     let startX = coords.x * tileSize.x
@@ -607,8 +1341,8 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
         }
 
         // now we find the closest grid cell using simple binary search
-        let iy = indexOfNearest(Y, y)
-        let ix = indexOfNearest(X, x)
+        let iy = indexOf(Y, y)
+        let ix = indexOf(X, x)
 
         setPixel(tileY, tileX, vals({y: iy, x: ix}))
       }
@@ -630,6 +1364,7 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
     let bbox = this._getDomainBbox()
     
     let proj = this.projection
+    let indexOf = this._getAxisIndexFn()
 
     let tileSize = this.getTileSize()
     let startX = coords.x * tileSize.x
@@ -662,8 +1397,8 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
         }
 
         // now we find the closest grid cell using simple binary search
-        let iy = indexOfNearest(Y, y)
-        let ix = indexOfNearest(X, x)
+        let iy = indexOf(Y, y)
+        let ix = indexOf(X, x)
 
         setPixel(tileY, tileX, vals({y: iy, x: ix}))
       }
@@ -700,13 +1435,16 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
     let startY = coords.y * tileSize.y
     let zoom = coords.z
     
+    let indexOf = this._getAxisIndexFn()
+    
     var latCache = new Float64Array(tileSize.y)
-    var iLatCache = new Uint32Array(tileSize.y)
+    // fractional indices in case of bilinear interpolation
+    var iLatCache = new Float64Array(tileSize.y)
     for (let tileY = 0; tileY < tileSize.y; tileY++) {
       var lat = map.unproject(L.point(startX, startY + tileY), zoom).lat
       latCache[tileY] = lat
       // find the index of the closest latitude in the grid using simple binary search
-      iLatCache[tileY] = indexOfNearest(y, lat)
+      iLatCache[tileY] = indexOf(y, lat)
     }
 
     for (let tileX = 0; tileX < tileSize.x; tileX++) {
@@ -718,7 +1456,7 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
 
       // find the index of the closest longitude in the grid using simple binary search
       // (as there is no discontinuity)
-      let iLon = indexOfNearest(x, lon)
+      let iLon = indexOf(x, lon)
 
       for (let tileY = 0; tileY < tileSize.y; tileY++) {
         // get geographic coordinates of tile pixel
@@ -777,3 +1515,10 @@ export class Grid extends PaletteMixin(CoverageMixin(L.GridLayer)) {
 function wrapLongitude (lon, range) {
   return L.Util.wrapNum(lon, range, true)
 }
+
+function checkInterpolation (interpolation) {
+  if (interpolation !== 'nearest' && interpolation !== 'bilinear') {
+    throw new Error('Unknown interpolation method: ' + interpolation)
+  }
+  return interpolation
+}
@@ -0,0 +1,259 @@
+/**
+ * Renders tiles of a {@link Grid} layer in a Web Worker.
+ *
+ * The worker holds a copy of the displayed grid (axis coordinates, values, and palette lookup)
+ * which is sent with {@link GridWorker#setData}. For each tile, the main thread only sends the
+ * domain CRS coordinates of the tile pixels, either per column and row (for rectilinear
+ * map projections) or as a coarse mesh which the worker interpolates.
+ *
+ * @example
+ * if (GridWorker.isSupported()) {
+ *   let worker = new GridWorker()
+ *   worker.setData({...})
+ *   worker.render({width: 256, height: 256, xs, ys}).then(rgba => ...)
+ * }
+ *
+ * @private
+ */
+export class GridWorker {
+  /**
+   * Returns whether Web Workers can be created from generated code in this environment.
+   *
+   * @return {boolean}
+   */
+  static isSupported () {
+    return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' &&
+      typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function'
+  }
+
+  /**
+   * Starts the worker. Throws an error if the worker cannot be created,
+   * for example if a Content Security Policy forbids blob URLs.
+   */
+  constructor () {
+    let url = URL.createObjectURL(new Blob(['(' + workerMain.toString() + ')()'], {type: 'application/javascript'}))
+    try {
+      this._worker = new Worker(url)
+    } finally {
+      URL.revokeObjectURL(url)
+    }
+    this._pending = new Map()
+    this._nextId = 0
+
+    this._worker.onmessage = ({data}) => {
+      let pending = this._pending.get(data.id)
+      if (!pending) return
+      this._pending.delete(data.id)
+      pending.resolve(data.rgba)
+    }
+    this._worker.onerror = e => {
+      this._error = new Error('Tile rendering worker failed: ' + e.message)
+      for (let pending of this._pending.values()) {
+        pending.reject(this._error)
+      }
+      this._pending.clear()
+    }
+  }
+
+  /**
+   * Replaces the grid data used for rendering.
+   * The typed arrays are transferred to the worker and cannot be used afterwards.
+   *
+   * @param {Object} data
+   * @param {Float64Array} data.X The x axis coordinates.
+   * @param {Float64Array} data.Y The y axis coordinates.
+   * @param {Array<number>} data.bbox The domain bounding box [xmin,ymin,xmax,ymax].
+   * @param {boolean} data.geodetic Whether x is longitude which has to be wrapped into `data.lonRange`.
+   * @param {Array<number>} [data.lonRange] The longitude range of the domain.
+   * @param {Int16Array} [data.indices] The palette index of each grid cell in row-major order, -1 for transparent,
+   *   for nearest neighbour rendering.
+   * @param {Float64Array} [data.values] The value of each grid cell in row-major order, NaN for missing values,
+   *   for bilinear rendering.
+   * @param {Object} [data.lut] Palette lookup table for bilinear rendering, with `min`, `max`,
+   *   `indices` (Int16Array of palette indices of evenly spaced values between min and max), and
+   *   `missing` (palette index of missing values) properties.
+   * @param {Uint8Array} data.red The red palette channel.
+   * @param {Uint8Array} data.green The green palette channel.
+   * @param {Uint8Array} data.blue The blue palette channel.
+   * @param {Uint8Array} data.alpha The alpha palette channel.
+   */
+  setData (data) {
+    let transfer = [data.X, data.Y, data.indices, data.values, data.lut && data.lut.indices]
+      .filter(arr => arr)
+      .map(arr => arr.buffer)
+    this._worker.postMessage({type: 'data', data}, transfer)
+  }
+
+  /**
+   * Renders a tile with the current data.
+   *
+   * @param {Object} tile
+   * @param {number} tile.width The tile width in pixels.
+   * @param {number} tile.height The tile height in pixels.
+   * @param {Float64Array} [tile.xs] The domain x coordinate of each pixel column.
+   * @param {Float64Array} [tile.ys] The domain y coordinate of each pixel row.
+   * @param {number} [tile.meshStep] The distance in pixels between mesh points, if no xs/ys are given.
+   * @param {Float64Array} [tile.meshX] The domain x coordinates of the mesh points in row-major order.
+   * @param {Float64Array} [tile.meshY] The domain y coordinates of the mesh points in row-major order.
+   * @return {Promise<Uint8ClampedArray>} The RGBA pixels of the tile in row-major order.
+   */
+  render (tile) {
+    if (this._error) {
+      return Promise.reject(this._error)
+    }
+    let id = this._nextId++
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, {resolve, reject})
+      let transfer = [tile.xs, tile.ys, tile.meshX, tile.meshY].filter(arr => arr).map(arr => arr.buffer)
+      this._worker.postMessage({type: 'render', id, tile}, transfer)
+    })
+  }
+
+  /**
+   * Stops the worker. Tiles that are still being rendered are discarded.
+   */
+  terminate () {
+    this._worker.terminate()
+    this._pending.clear()
+  }
+}
+
+/**
+ * The code that runs inside the worker.
+ *
+ * It is serialized with Function.prototype.toString, so it must be self-contained and
+ * written in plain ES5 such that transpilers don't introduce references to helper functions.
+ */
+function workerMain () {
+  var grid
+
+  function wrapLongitude (lon, range) {
+    var d = range[1] - range[0]
+    return lon === range[1] ? lon : ((lon - range[0]) % d + d) % d + range[0]
+  }
+
+  // same as indicesOfNearest of covutils, for ascending or descending arrays
+  function indicesOfNearest (a, x) {
+    var lo = -1
+    var hi = a.length
+    var ascending = a.length === 1 || a[0] < a[1]
+    while (hi - lo > 1) {
+      var mid = Math.round((lo + hi) / 2)
+      if (ascending ? a[mid] <= x : a[mid] >= x) {
+        lo = mid
+      } else {
+        hi = mid
+      }
+    }
+    if (a[lo] === x) hi = lo
+    if (lo === -1) lo = hi
+    if (hi === a.length) hi = lo
+    return [lo, hi]
+  }
+
+  function indexOfNearest (a, x) {
+    var i = indicesOfNearest(a, x)
+    return Math.abs(x - a[i[0]]) <= Math.abs(x - a[i[1]]) ? i[0] : i[1]
+  }
+
+  function fractionalIndexOf (a, x) {
+    var i = indicesOfNearest(a, x)
+    if (i[0] === i[1]) return i[0]
+    return i[0] + (x - a[i[0]]) / (a[i[1]] - a[i[0]])
+  }
+
+  // see bilinearValueFn in util/interpolation.js
+  function bilinearValue (fx, fy) {
+    var nx = grid.X.length
+    var vals = grid.values
+    var x0 = Math.floor(fx)
+    var y0 = Math.floor(fy)
+    var wx = fx - x0
+    var wy = fy - y0
+    var x1 = wx > 0 ? x0 + 1 : x0
+    var y1 = wy > 0 ? y0 + 1 : y0
+
+    if (isNaN(vals[(wy < 0.5 ? y0 : y1) * nx + (wx < 0.5 ? x0 : x1)])) {
+      return NaN
+    }
+    var sum = 0
+    var weights = 0
+    var corners = [[x0, y0, (1 - wx) * (1 - wy)], [x1, y0, wx * (1 - wy)], [x0, y1, (1 - wx) * wy], [x1, y1, wx * wy]]
+    for (var i = 0; i < 4; i++) {
+      var weight = corners[i][2]
+      var val = vals[corners[i][1] * nx + corners[i][0]]
+      if (weight === 0 || isNaN(val)) continue
+      sum += val * weight
+      weights += weight
+    }
+    return sum / weights
+  }
+
+  function paletteIndexAt (x, y) {
+    if (grid.indices) {
+      return grid.indices[indexOfNearest(grid.Y, y) * grid.X.length + indexOfNearest(grid.X, x)]
+    }
+    var val = bilinearValue(fractionalIndexOf(grid.X, x), fractionalIndexOf(grid.Y, y))
+    var lut = grid.lut
+    if (isNaN(val)) return lut.missing
+    var n = lut.indices.length
+    var k = lut.max === lut.min ? 0 : Math.round((val - lut.min) / (lut.max - lut.min) * (n - 1))
+    return lut.indices[Math.min(Math.max(k, 0), n - 1)]
+  }
+
+  function render (tile) {
+    var width = tile.width
+    var height = tile.height
+    var rgba = new Uint8ClampedArray(width * height * 4)
+    var bbox = grid.bbox
+    var meshWidth = tile.meshX ? Math.floor((width - 1) / tile.meshStep) + 2 : 0
+
+    for (var py = 0; py < height; py++) {
+      for (var px = 0; px < width; px++) {
+        var x, y
+        if (tile.xs) {
+          x = tile.xs[px]
+          y = tile.ys[py]
+        } else {
+          // bilinear interpolation between the surrounding mesh points
+          var mx = px / tile.meshStep
+          var my = py / tile.meshStep
+          var i = Math.floor(mx)
+          var j = Math.floor(my)
+          var tx = mx - i
+          var ty = my - j
+          var k = j * meshWidth + i
+          x = (tile.meshX[k] * (1 - tx) + tile.meshX[k + 1] * tx) * (1 - ty) +
+              (tile.meshX[k + meshWidth] * (1 - tx) + tile.meshX[k + meshWidth + 1] * tx) * ty
+          y = (tile.meshY[k] * (1 - tx) + tile.meshY[k + 1] * tx) * (1 - ty) +
+              (tile.meshY[k + meshWidth] * (1 - tx) + tile.meshY[k + meshWidth + 1] * tx) * ty
+        }
+        if (isNaN(x) || isNaN(y)) continue
+        if (grid.geodetic) {
+          x = wrapLongitude(x, grid.lonRange)
+        }
+        // we do not want to extrapolate beyond the domain bounding box
+        if (x < bbox[0] || x > bbox[2] || y < bbox[1] || y > bbox[3]) continue
+
+        var idx = paletteIndexAt(x, y)
+        if (idx === -1) continue
+        var offset = (py * width + px) * 4
+        rgba[offset] = grid.red[idx]
+        rgba[offset + 1] = grid.green[idx]
+        rgba[offset + 2] = grid.blue[idx]
+        rgba[offset + 3] = grid.alpha[idx]
+      }
+    }
+    return rgba
+  }
+
+  self.onmessage = function (e) {
+    var msg = e.data
+    if (msg.type === 'data') {
+      grid = msg.data
+    } else if (msg.type === 'render') {
+      var rgba = render(msg.tile)
+      self.postMessage({id: msg.id, rgba: rgba}, [rgba.buffer])
+    }
+  }
+}
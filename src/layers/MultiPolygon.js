@@ -36,6 +36,10 @@ export const DEFAULT_COLOR = 'black'
  * @emits {DataLayer#error} Error when loading data
  * @emits {PaletteMixin#paletteChange} Palette has changed
  * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ * @emits {PaletteMixin#displayUnitChange} Display unit has changed
+ * @emits {PaletteMixin#hiddenCategoriesChange} Categories were hidden or shown
  * @emits {MultiPolygon#click} when a polygon was clicked
  * 
  * @extends {L.Layer}
@@ -53,7 +57,20 @@ export class MultiPolygon extends PaletteMixin(CoverageMixin(L.Layer)) {
    * @param {Object} [options] The options object.
    * @param {string} [options.parameter] The key of the parameter to display, not needed for domain objects.
    * @param {Palette} [options.palette] The initial color palette to use, the default depends on the parameter type.
-   * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full' or specific: [-10,10].
+   * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full', 'fov', or specific: [-10,10].
+   *   With 'fov', only the polygons intersecting the map field of view are considered and the extent is
+   *   recomputed when the map is panned or zoomed.
+   *   Percentiles of all values, ignoring outliers, can be used with `{percentile: [2, 98]}`.
+   * @param {string} [options.displayUnit] The symbol of the unit in which values are shown, for example '°C'.
+   *   Explicit palette extents are given in this unit, see {@link registerUnitConversion}.
+   * @param {PaletteScale} [options.paletteScale='linear'] The initial palette scale, e.g. 'log', see {@link PaletteScale}.
+   * @param {ClassBreaks} [options.classBreaks] Colours values in classes instead of a gradient, see {@link ClassBreaks}.
+   * @param {string} [options.belowColor] The CSS color of values below the palette extent, for example `transparent`,
+   *  or `extend` to use the first palette color. By default, such values are drawn in `defaultColor`.
+   * @param {string} [options.aboveColor] Like `belowColor`, for values above the palette extent and the last palette color.
+   * @param {string} [options.noDataColor] The CSS color of missing values, instead of `defaultColor`.
+   * @param {Array<string>} [options.hiddenCategories] The IDs of categories which are not shown, for categorical parameters.
+   *   Polygons with values of these categories are not drawn.
    * @param {string} [options.defaultColor='black'] The color to use for missing data or if no parameter is set.
    */
   constructor (cov, options) {
@@ -66,7 +83,7 @@ export class MultiPolygon extends PaletteMixin(CoverageMixin(L.Layer)) {
     }
     
     if (!options.paletteExtent) {
-      options.paletteExtent = 'full'
+      options.paletteExtent = this.defaultPaletteExtent
     }
     
     L.Util.setOptions(this, options)
@@ -83,11 +100,12 @@ export class MultiPolygon extends PaletteMixin(CoverageMixin(L.Layer)) {
    */
   onAdd (map) {
     this._map = map
+    this._addFovListener(map)
     
     this.load()
+      .then(() => this._unproject())
       .then(() => this.initializePalette())
       .then(() => {
-        this._unproject()
         this._addPolygons()
         this._pointInPolygonPreprocess()
         this.fire('afterAdd')
@@ -104,6 +122,8 @@ export class MultiPolygon extends PaletteMixin(CoverageMixin(L.Layer)) {
       let {lat,lon} = unproject({x: coords[ix], y: coords[iy]})
       return [lon,lat]
     })))
+    // used for 'fov' palette extents, exterior rings are sufficient
+    this._polygonsBounds = this._polygonsLonLat.map(polygon => L.latLngBounds(polygon[0].map(([lon,lat]) => [lat,lon])))
   }
   
   /**
@@ -111,6 +131,7 @@ export class MultiPolygon extends PaletteMixin(CoverageMixin(L.Layer)) {
    * @override
    */
   onRemove (map) {
+    this._removeFovListener(map)
     this._removePolygons()
   }
   
@@ -166,6 +187,28 @@ export class MultiPolygon extends PaletteMixin(CoverageMixin(L.Layer)) {
       extent = minMaxOfRange(this.range)
       extent = enlargeExtentIfEqual(extent)
       return Promise.resolve(extent)
+    } else if (extent === 'fov') {
+      if (!this.parameter) {
+        throw new Error('palette extent cannot be computed when no parameter has been chosen')
+      }
+      
+      // scan the values of the polygons that are currently in field of view on the map for min/max
+      let bounds = this._map.getBounds()
+      let min = Infinity
+      let max = -Infinity
+      for (let i=0; i < this._polygonsBounds.length; i++) {
+        if (!bounds.intersects(this._polygonsBounds[i])) continue
+        let val = this._getValue(i)
+        if (val === null) continue
+        min = Math.min(min, val)
+        max = Math.max(max, val)
+      }
+      if (min === Infinity) {
+        // no data in view
+        return this._currentPaletteExtentOr('full')
+      }
+      extent = enlargeExtentIfEqual([min, max])
+      return Promise.resolve(extent)
     } else {
       throw new Error('Unknown extent specification: ' + extent)
     }
@@ -185,11 +228,14 @@ export class MultiPolygon extends PaletteMixin(CoverageMixin(L.Layer)) {
     
     let geojson = []
     for (let i=0; i < polygons.length; i++) {
+      let val = this._getValue(i)
+      if (this._isHiddenCategory(val)) continue
       geojson.push({
         "type": "Feature",
         "properties": {
           "index": i,
-          "color": this._getColor(this._getValue(i))
+          "color": this._getColor(val),
+          "fillOpacity": this._getFillOpacity(val)
         },
         "geometry": {
           "type": "Polygon",
@@ -201,7 +247,7 @@ export class MultiPolygon extends PaletteMixin(CoverageMixin(L.Layer)) {
     this._geojson = L.geoJson(geojson, {
       style: feature => ({
         color: feature.properties.color,
-        fillOpacity: 1,
+        fillOpacity: feature.properties.fillOpacity,
         stroke: false
       }),
       onEachFeature: (feature, layer) => {
@@ -243,18 +289,17 @@ export class MultiPolygon extends PaletteMixin(CoverageMixin(L.Layer)) {
   
   // NOTE: this returns a string, not an {r,g,b} object as in other classes!
   _getColor (val) {
-    if (val === null) {
-      // no-data
-      return this._defaultColor
-    } else if (val === undefined) {
+    if (val === undefined) {
       // not fixed to a param
       return this._defaultColor
-    } else {
-      // use a palette
-      let idx = this.getPaletteIndex(val)
-      let {red, green, blue} = this.palette
-      return `rgb(${red[idx]}, ${green[idx]}, ${blue[idx]})`
     }
+    let idx = this._getColorIndex(val)
+    if (idx === undefined) {
+      // no-data or outside of the palette extent, without a color for it
+      return this._defaultColor
+    }
+    let {red, green, blue} = this._colors
+    return `rgb(${red[idx]}, ${green[idx]}, ${blue[idx]})`
   }
   
   _updatePolygons () {
@@ -1,5 +1,5 @@
 import L from 'leaflet'
-import {indexOfNearest, minMaxOfRange, isDomain, fromDomain, ensureClockwisePolygon, getPointInPolygonsFn, asTime} from 'covutils'
+import {indexOfNearest, minMaxOfRange, isDomain, fromDomain, ensureClockwisePolygon, getPointInPolygonsFn} from 'covutils'
 
 import {enlargeExtentIfEqual} from './palettes.js'
 import {CoverageMixin} from './CoverageMixin.js'
@@ -7,6 +7,7 @@ import {EventMixin} from '../util/EventMixin.js'
 import {PaletteMixin} from './PaletteMixin.js'
 
 import {DEFAULT_COLOR} from './Point.js'
+import {getCalendar, parseTime, toTimestamp} from '../util/calendar.js'
 
 // TODO nearly identical to PolygonSeries
 
@@ -31,6 +32,10 @@ import {DEFAULT_COLOR} from './Point.js'
  * @emits {DataLayer#axisChange} Axis coordinate has changed (e.axis === 'time')
  * @emits {PaletteMixin#paletteChange} Palette has changed
  * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ * @emits {PaletteMixin#displayUnitChange} Display unit has changed
+ * @emits {PaletteMixin#hiddenCategoriesChange} Categories were hidden or shown
  * @emits {Point#click} when the polygon was clicked
  * 
  * @extends {L.Layer}
@@ -49,7 +54,20 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
    * @param {string} [options.parameter] The key of the parameter to display, not needed for domain objects.
    * @param {Date} [options.time] The initial time step to display.
    * @param {Palette} [options.palette] The initial color palette to use, the default depends on the parameter type.
-   * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full' or specific: [-10,10].
+   * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full', 'fov', or specific: [-10,10].
+   *   With 'fov', only the polygons intersecting the map field of view are considered and the extent is
+   *   recomputed when the map is panned or zoomed.
+   *   Percentiles of all values, ignoring outliers, can be used with `{percentile: [2, 98]}`.
+   * @param {string} [options.displayUnit] The symbol of the unit in which values are shown, for example '°C'.
+   *   Explicit palette extents are given in this unit, see {@link registerUnitConversion}.
+   * @param {PaletteScale} [options.paletteScale='linear'] The initial palette scale, e.g. 'log', see {@link PaletteScale}.
+   * @param {ClassBreaks} [options.classBreaks] Colours values in classes instead of a gradient, see {@link ClassBreaks}.
+   * @param {string} [options.belowColor] The CSS color of values below the palette extent, for example `transparent`,
+   *  or `extend` to use the first palette color. By default, such values are drawn in `defaultColor`.
+   * @param {string} [options.aboveColor] Like `belowColor`, for values above the palette extent and the last palette color.
+   * @param {string} [options.noDataColor] The CSS color of missing values, instead of `defaultColor`.
+   * @param {Array<string>} [options.hiddenCategories] The IDs of categories which are not shown, for categorical parameters.
+   *   Polygons whose current value belongs to one of them are not drawn.
    * @param {string} [options.defaultColor='black'] The color to use for missing data or if no parameter is set.
    */
   constructor (cov, options) {
@@ -62,7 +80,7 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
     }
     
     if (!options.paletteExtent) {
-      options.paletteExtent = 'full'
+      options.paletteExtent = this.defaultPaletteExtent
     }
     
     L.Util.setOptions(this, options)
@@ -82,12 +100,13 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
    */
   onAdd (map) {
     this._map = map
+    this._addFovListener(map)
 
     this.load()
     .then(() => this._updateTimeIndex())
+    .then(() => this._unproject())
     .then(() => this.initializePalette())
       .then(() => {
-        this._unproject()
         this._addPolygons()
         this._pointInPolygonPreprocess()
         this.fire('afterAdd')
@@ -108,6 +127,8 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
         })
       )
     )
+    // used for 'fov' palette extents, exterior rings are sufficient
+    this._polygonsBounds = this._polygonsLonLat.map(polygon => L.latLngBounds(polygon[0].map(([lon,lat]) => [lat,lon])))
   }
     
   _updateTimeIndex () {
@@ -115,8 +136,9 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
     if (t.coordPref == undefined) {
       t.idx = t.coord = undefined
     } else {
-      let vals = this.domain.axes.get('t').values.map(v => asTime(v))
-      t.idx = indexOfNearest(vals, asTime(t.coordPref))
+      let calendar = getCalendar(this.domain)
+      let vals = this.domain.axes.get('t').values.map(v => toTimestamp(v, calendar))
+      t.idx = indexOfNearest(vals, toTimestamp(t.coordPref, calendar))
       t.coord = vals[t.idx]
     }
   }
@@ -125,7 +147,8 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
    * @ignore
    * @override
    */
-  onRemove () {
+  onRemove (map) {
+    this._removeFovListener(map)
     this._removePolygon()
   }
   
@@ -196,13 +219,14 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
   }
   
   /**
-   * Sets the currently active time to the one closest to the given Date object.
+   * Sets the currently active time to the one closest to the given Date object,
+   * or {@link CalendarDate} object for non-Gregorian calendars.
    * 
-   * @type {Date|undefined}
+   * @type {Date|CalendarDate|undefined}
    */
   set time (val) {
     let old = this.time
-    this._axesSubset.t.coordPref = val ? new Date(asTime(val)).toISOString() : undefined
+    this._axesSubset.t.coordPref = val ? parseTime(val, getCalendar(this.domain)).toISOString() : undefined
     
     this._updateTimeIndex()
     if (old === this.time) return
@@ -211,26 +235,27 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
   }
     
   /**
-   * The currently active time on the temporal axis as Date object, 
+   * The currently active time on the temporal axis as Date or {@link CalendarDate} object, 
    * or undefined if no time is set.
    * 
-   * @type {Date|undefined}
+   * @type {Date|CalendarDate|undefined}
    */
   get time () {
     if (!this._axesSubset.t.coord) {
       return
     }
     let time = this.domain.axes.get('t').values[this._axesSubset.t.idx]
-    return new Date(time)
+    return parseTime(time, getCalendar(this.domain))
   }
   
   /**
    * The time slices that make up the coverage.
    * 
-   * @type {Array<Date>}
+   * @type {Array<Date|CalendarDate>}
    */
   get timeSlices () {
-    return this.domain.axes.get('t').values.map(t => new Date(t))
+    let calendar = getCalendar(this.domain)
+    return this.domain.axes.get('t').values.map(t => parseTime(t, calendar))
   }
     
   /**
@@ -256,6 +281,31 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
       extent = minMaxOfRange(this.range)
       extent = enlargeExtentIfEqual(extent)
       return Promise.resolve(extent)
+    } else if (extent === 'fov') {
+      if (!this.parameter) {
+        throw new Error('palette extent cannot be computed when no parameter has been chosen')
+      }
+      
+      // scan the values of all time steps of the polygons that are currently in field of view on the map for min/max
+      let bounds = this._map.getBounds()
+      let tLength = this.domain.axes.get('t').values.length
+      let min = Infinity
+      let max = -Infinity
+      for (let i=0; i < this._polygonsBounds.length; i++) {
+        if (!bounds.intersects(this._polygonsBounds[i])) continue
+        for (let t=0; t < tLength; t++) {
+          let val = this.range.get({t, composite: i})
+          if (val === null) continue
+          min = Math.min(min, val)
+          max = Math.max(max, val)
+        }
+      }
+      if (min === Infinity) {
+        // no data in view
+        return this._currentPaletteExtentOr('full')
+      }
+      extent = enlargeExtentIfEqual([min, max])
+      return Promise.resolve(extent)
     } else {
       throw new Error('Unknown extent specification: ' + extent)
     }
@@ -275,11 +325,14 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
     
     let geojson = []
     for (let i=0; i < polygons.length; i++) {
+      let val = this._getValue(i)
+      if (this._isHiddenCategory(val)) continue
       geojson.push({
         "type": "Feature",
         "properties": {
           "index": i,
-          "color": this._getColor(this._getValue(i))
+          "color": this._getColor(val),
+          "fillOpacity": this._getFillOpacity(val)
         },
         "geometry": {
           "type": "Polygon",
@@ -291,7 +344,7 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
     this._geojson = L.geoJson(geojson, {
       style: feature => ({
         color: feature.properties.color,
-        fillOpacity: 1,
+        fillOpacity: feature.properties.fillOpacity,
         stroke: false
       }),
       onEachFeature: (feature, layer) => {
@@ -311,10 +364,17 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
     
   _updatePolygons () {
     if (!this._geojson) return
+    if (this.hiddenCategories.length > 0) {
+      // polygons may appear or disappear
+      this.redraw()
+      return
+    }
     const layers = this._geojson.getLayers()
     for (let i in layers) {
+      let val = this._getValue(i)
       layers[i].setStyle({
-        fillColor: this._getColor(this._getValue(i)),
+        fillColor: this._getColor(val),
+        fillOpacity: this._getFillOpacity(val)
       })
     }
   }
@@ -324,6 +384,22 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
     delete this._geojson
   }
     
+  /**
+   * Returns the displayed values of all polygons for computing class breaks, percentile extents, and histograms,
+   * the values of other time steps are not shown.
+   * 
+   * @ignore
+   * @override
+   */
+  getPaletteValues () {
+    let values = []
+    for (let i=0; i < this._polygonsLonLat.length; i++) {
+      let val = this._getValue(i)
+      if (val != null) values.push(val)
+    }
+    return values
+  }
+  
   /**
    * Return the displayed value (number, or null for no-data),
    * or undefined if not fixed to a t-coordinate or parameter.
@@ -354,18 +430,17 @@ export class MultiPolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
   
   // NOTE: this returns a string, not an {r,g,b} object as in other classes!
   _getColor (val) {
-    if (val === null) {
-      // no-data
-      return this._defaultColor
-    } else if (val === undefined) {
+    if (val === undefined) {
       // not fixed to a param or z-coordinate
       return this._defaultColor
-    } else {
-      // use a palette
-      let idx = this.getPaletteIndex(val)
-      let {red, green, blue} = this.palette
-      return `rgb(${red[idx]}, ${green[idx]}, ${blue[idx]})`
     }
+    let idx = this._getColorIndex(val)
+    if (idx === undefined) {
+      // no-data or outside of the palette extent, without a color for it
+      return this._defaultColor
+    }
+    let {red, green, blue} = this._colors
+    return `rgb(${red[idx]}, ${green[idx]}, ${blue[idx]})`
   }
   
   /**
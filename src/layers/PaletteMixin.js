@@ -1,4 +1,21 @@
-import {linearPalette, directPalette, paletteFromObject, scale} from './palettes.js'
+import {iterateRange} from 'covutils'
+
+import {linearPalette, directPalette, paletteFromObject, scale, scaleNormalized, paletteScaleFns, classPaletteIndex,
+  enlargeExtentIfEqual} from './palettes.js'
+import {equalIntervalBreaks, quantileBreaks, jenksBreaks, classIndexOf, percentiles} from '../util/classBreaks.js'
+import {debounce} from '../util/debounce.js'
+import {getUnitConversion} from '../util/units.js'
+
+const CLASS_BREAK_METHODS = {
+  equal: (layer, classes) => equalIntervalBreaks(layer._paletteExtent, classes),
+  quantile: (layer, classes) => quantileBreaks(layer.getPaletteValues(), classes),
+  jenks: (layer, classes) => jenksBreaks(layer.getPaletteValues(), classes)
+}
+
+// offsets of the extra colors after the palette colors in the color table, see _updateColors()
+const BELOW_OFFSET = 0
+const ABOVE_OFFSET = 1
+const NO_DATA_OFFSET = 2
 
 const DEFAULT_CONTINUOUS_PALETTE = () => linearPalette(['#deebf7', '#3182bd']) // blues
 const DEFAULT_CATEGORICAL_PALETTE = n => {
@@ -21,6 +38,53 @@ const DEFAULT_CATEGORICAL_PALETTE = n => {
  * @typedef {L.Event} PaletteMixin#paletteExtentChange
  */
 
+/**
+ * The `paletteScaleChange` event, signalling that the palette scale has changed.
+ * 
+ * @typedef {L.Event} PaletteMixin#paletteScaleChange
+ */
+
+/**
+ * The `classBreaksChange` event, signalling that the class breaks have changed.
+ * 
+ * @typedef {L.Event} PaletteMixin#classBreaksChange
+ */
+
+/**
+ * The `hiddenCategoriesChange` event, signalling that categories were hidden or shown.
+ * 
+ * @typedef {L.Event} PaletteMixin#hiddenCategoriesChange
+ */
+
+/**
+ * The `displayUnitChange` event, signalling that the unit in which values are shown has changed.
+ * 
+ * @typedef {L.Event} PaletteMixin#displayUnitChange
+ */
+
+/**
+ * Class breaks for colouring continuous values in bins instead of a gradient.
+ * 
+ * Either an array of ascending values, where each pair of consecutive values forms a class, for example
+ * `[0, 5, 10, 25]` for the three classes 0-5, 5-10, and 10-25,
+ * or an object `{method, classes}` with `method` being one of
+ * `equal` (classes of equal width within the palette extent),
+ * `quantile` (classes with about the same number of values), or
+ * `jenks` (Jenks natural breaks), and `classes` the number of classes (default 5).
+ * 
+ * Explicit break values are in the display unit of the layer if it has one.
+ * Classes include their lower break, the last class also includes its upper break.
+ * Values outside the breaks are treated like values outside the palette extent.
+ * 
+ * Breaks from a method are recomputed from the currently displayed data whenever the palette extent is updated.
+ * 
+ * @example
+ * layer.classBreaks = [0, 5, 10, 25]
+ * layer.classBreaks = {method: 'jenks', classes: 6}
+ * 
+ * @typedef {Array<number>|Object} ClassBreaks
+ */
+
 /**
  * A mixin that encapsulates the palette logic of a coverage layer,
  * supporting categorical and continuous coverage parameters.
@@ -29,14 +93,41 @@ const DEFAULT_CATEGORICAL_PALETTE = n => {
  * 
  * - initializePalette() - to be called once data has been loaded so that computePaletteExtent can be called
  * - get/set palette
- * - get/set paletteExtent
+ * - get/set paletteExtent - besides the specifications supported by computePaletteExtent, this supports
+ *   percentile extents like `{percentile: [2, 98]}` which ignore outliers; explicit extents are in the display unit
+ * - get/set displayUnit - the symbol of the unit values are shown in, see {@link registerUnitConversion}
+ * - get/set paletteScale - see {@link PaletteScale}, ignored for categorical parameters
+ * - get/set classBreaks - see {@link ClassBreaks}, the getter returns the current break values, ignored for categorical parameters;
+ *   explicit break values are in the display unit
+ * - get/set belowColor, aboveColor, noDataColor - CSS colors of values below/above the palette extent and of missing values,
+ *   below/above may also be `extend` to use the first/last palette color
+ * - get/set hiddenCategories - the IDs of categories which are not shown, for categorical parameters
+ * - get defaultPaletteExtent - the extent specification used if none is given, 'full' unless overridden by the base class
  * - setPaletteExtent(extent) - like set paletteExtent, but returns a Promise to know when calculations etc. are done
  * - getPaletteIndex(val) - returns the color index for the given value
+ * - getPaletteValues() - returns the non-missing values the palette applies to, used for example by legend histograms
+ * - _getColorIndex(val) - returns the index of the color for the given value in _colors,
+ *   considering the below/above/no-data colors, or undefined if the value is not colored
+ * - _colors - the color table with red, green, blue, and alpha arrays, holding the palette colors
+ *   followed by the below/above/no-data colors
+ * - _getFillOpacity(val) - returns the opacity of the color for the given value, for vector layers
+ * - _isHiddenCategory(val) - returns whether the value belongs to a hidden category, for vector layers to leave out shapes
+ * - _paletteExtent - the current extent in the unit of the parameter, to be used instead of paletteExtent internally
+ * - _paletteExtentSpec - the last string extent specification (e.g. 'fov'), or undefined if an explicit extent was set
+ * - _addFovListener(map)/_removeFovListener(map) - to be called in onAdd/onRemove if the 'fov' extent is supported
+ * - _currentPaletteExtentOr(extent) - returns a Promise with the current extent, or the computed fallback extent if there is none yet
  * 
  * The base class must supply the following functions/properties:
  * 
  * - options.palette (optional)
  * - options.paletteExtent (optional) - initial value that computePaletteExtent is called with
+ * - options.paletteScale (optional)
+ * - options.classBreaks (optional)
+ * - options.belowColor, options.aboveColor, options.noDataColor (optional)
+ * - options.hiddenCategories (optional)
+ * - options.displayUnit (optional)
+ * - range or getPaletteValues() (optional) - the values the palette applies to, for quantile and Jenks class breaks,
+ *   percentile extents, and legend histograms
  * - parameter
  * - redraw()
  * - computePaletteExtent(extent) - returns a Promise with the computed extent; gets called when .paletteExtent is set to a string value
@@ -80,10 +171,25 @@ export function PaletteMixin (base) {
         throw new Error('Categorical palettes must match the number of categories of the parameter')
       }
             
-      this._paletteExtent = this._paletteExtent || options.paletteExtent
+      if (this._displayUnit === undefined && options.displayUnit !== undefined) {
+        this._unitConversion = getUnitConversion(parameter.unit, options.displayUnit)
+        this._displayUnit = options.displayUnit
+      }
+      this._paletteExtent = this._paletteExtent || this._fromDisplayUnit(options.paletteExtent)
+      if (!this._paletteScale && options.paletteScale) {
+        paletteScaleFns(options.paletteScale) // throws for unsupported scales
+        this._paletteScale = options.paletteScale
+      }
+      if (this._classBreaksSpec === undefined && options.classBreaks) {
+        checkClassBreaks(options.classBreaks)
+        this._classBreaksSpec = this._fromDisplayUnit(options.classBreaks)
+      }
 
-      this._extendMax = !!options.extendMax
-      this._extendMin = !!options.extendMin
+      if (this._belowColor === undefined) this._belowColor = options.belowColor
+      if (this._aboveColor === undefined) this._aboveColor = options.aboveColor
+      if (this._noDataColor === undefined) this._noDataColor = options.noDataColor
+      if (this._hiddenCategories === undefined) this._hiddenCategories = options.hiddenCategories
+      this._updateHiddenCategories()
       
       if (this.parameter.categoryEncoding) {
         // categorical parameter, does not depend on palette extent
@@ -93,23 +199,49 @@ export function PaletteMixin (base) {
           if (val === null || val < 0 || val > max) return
           let idx = valIdxMap[val]
           if (idx === 255) return
+          if (this._hiddenCategoryIdx && this._hiddenCategoryIdx.has(idx)) return
           return idx
         }
       }
       
       if (!this.canUsePalette || this.canUsePalette()) {
-        return this.setPaletteExtent(this._paletteExtent, true)
-          .then(() => this._updatePaletteIndexFn())
+        return this.setPaletteExtent(this.paletteExtent, true)
+          .then(() => {
+            this._updateClassBreaks()
+            this._updatePaletteIndexFn()
+          })
       } else {
         return Promise.resolve()
       }
     }
     
     _updatePaletteIndexFn () {
-      if (!this.parameter.categoryEncoding) {
+      this._isOffScale = () => false
+      if (!this.parameter.categoryEncoding && this._classBreaks) {
+        // continuous parameter, coloured in classes
+        let palette = this.palette
+        let breaks = this._classBreaks
+        let classes = breaks.length - 1
+        this.getPaletteIndex = val => {
+          if (val === null) return
+          if (val > breaks[classes]) {
+            return this._extendMax ? classPaletteIndex(classes - 1, classes, palette) : undefined
+          }
+          if (val < breaks[0]) {
+            return this._extendMin ? classPaletteIndex(0, classes, palette) : undefined
+          }
+          return classPaletteIndex(classIndexOf(breaks, val), classes, palette)
+        }
+      } else if (!this.parameter.categoryEncoding) {
         // continuous parameter
         let palette = this.palette
-        let extent = this.paletteExtent
+        let extent = this._paletteExtent
+        let linear = this.paletteScale === 'linear'
+        let normalize = paletteScaleFns(this.paletteScale).normalize
+        if (!linear) {
+          // values without a position on the scale, e.g. zero with 'log'
+          this._isOffScale = val => !(normalize(val, extent) >= 0)
+        }
         this.getPaletteIndex = val => {
           if (val === null) return
           if (val > extent[1]) {
@@ -126,10 +258,177 @@ export function PaletteMixin (base) {
               return
             }
           }
-          let idx = scale(val, palette, extent)
-          return idx
+          if (linear) {
+            let idx = scale(val, palette, extent)
+            return idx
+          }
+          let idx = scaleNormalized(normalize(val, extent), palette)
+          if (!(idx >= 0)) {
+            // values without a position on the scale are treated like values below the extent
+            return this._extendMin ? 0 : undefined
+          }
+          return Math.min(idx, palette.steps - 1)
         }
       }
+      this._updateColors()
+    }
+    
+    /**
+     * Builds the color table of the palette colors with alpha, followed by the below-range, above-range,
+     * and no-data colors, and determines which of the latter are in use.
+     */
+    _updateColors () {
+      let palette = this.palette
+      if (!palette) {
+        delete this._colors
+        return
+      }
+      let steps = palette.steps
+      let isColor = color => color !== undefined && color !== 'extend'
+      let extraColors = [this._belowColor, this._aboveColor, this._noDataColor]
+      let extra = directPalette(extraColors.map(color => isColor(color) ? color : 'transparent'))
+      let colors = {steps: steps + extraColors.length}
+      for (let channel of ['red', 'green', 'blue', 'alpha']) {
+        colors[channel] = new Uint8Array(colors.steps).fill(255)
+        if (palette[channel]) colors[channel].set(palette[channel])
+        if (extra[channel]) colors[channel].set(extra[channel], steps)
+      }
+      this._colors = colors
+      this._belowIdx = isColor(this._belowColor) ? steps + BELOW_OFFSET : undefined
+      this._aboveIdx = isColor(this._aboveColor) ? steps + ABOVE_OFFSET : undefined
+      this._noDataIdx = isColor(this._noDataColor) ? steps + NO_DATA_OFFSET : undefined
+      this._extendMin = this._belowColor === 'extend' || !!this.options.extendMin
+      this._extendMax = this._aboveColor === 'extend' || !!this.options.extendMax
+      
+      if (this.parameter.categoryEncoding) {
+        this._colorBounds = [-Infinity, Infinity]
+      } else if (this._classBreaks) {
+        this._colorBounds = [this._classBreaks[0], this._classBreaks[this._classBreaks.length - 1]]
+      } else {
+        this._colorBounds = this._paletteExtent || [-Infinity, Infinity]
+      }
+    }
+    
+    /**
+     * Returns the index of the color for the given value in the color table `_colors`.
+     * 
+     * @param {number|null|undefined} val
+     * @return {number|undefined} The color index, or undefined if the value is not colored.
+     */
+    _getColorIndex (val) {
+      if (val === undefined || !this._colors) return
+      if (val === null) return this._noDataIdx
+      if ((val < this._colorBounds[0] || this._isOffScale(val)) && this._belowIdx !== undefined) return this._belowIdx
+      if (val > this._colorBounds[1] && this._aboveIdx !== undefined) return this._aboveIdx
+      return this.getPaletteIndex(val)
+    }
+    
+    /**
+     * The CSS color of values below the palette extent (or the lowest class break), or `extend`
+     * to use the first palette color. If undefined, such values are not colored.
+     * 
+     * @type {string|undefined}
+     */
+    get belowColor () {
+      return this._belowColor
+    }
+    
+    set belowColor (color) {
+      this._belowColor = color
+      this._onExtraColorChange()
+    }
+    
+    /**
+     * The CSS color of values above the palette extent (or the highest class break), or `extend`
+     * to use the last palette color. If undefined, such values are not colored.
+     * 
+     * @type {string|undefined}
+     */
+    get aboveColor () {
+      return this._aboveColor
+    }
+    
+    set aboveColor (color) {
+      this._aboveColor = color
+      this._onExtraColorChange()
+    }
+    
+    /**
+     * The CSS color of missing values. If undefined, such values are not colored.
+     * 
+     * @type {string|undefined}
+     */
+    get noDataColor () {
+      return this._noDataColor
+    }
+    
+    set noDataColor (color) {
+      this._noDataColor = color
+      this._onExtraColorChange()
+    }
+    
+    _onExtraColorChange () {
+      if (!this._colors) return
+      this._updatePaletteIndexFn()
+      this.redraw()
+      this.fire('paletteChange')
+    }
+    
+    /**
+     * The IDs of the categories which are not shown, for categorical parameters.
+     * Grid cells of hidden categories are transparent, points and polygons are left out.
+     * 
+     * @type {Array<string>}
+     */
+    get hiddenCategories () {
+      return this._hiddenCategories || []
+    }
+    
+    set hiddenCategories (ids) {
+      ids = ids || []
+      let old = this.hiddenCategories
+      if (old.length === ids.length && old.every(id => ids.indexOf(id) !== -1)) {
+        return
+      }
+      this._hiddenCategories = ids
+      this._updateHiddenCategories()
+      if (this._colors) {
+        // a new color table makes sure that cached colors are not used anymore
+        this._updateColors()
+        this.redraw()
+      }
+      this.fire('hiddenCategoriesChange')
+    }
+    
+    /**
+     * Determines the indices of the hidden categories.
+     */
+    _updateHiddenCategories () {
+      let categories = this.parameter && this.parameter.observedProperty.categories
+      let hidden = this.hiddenCategories
+      if (!categories || hidden.length === 0) {
+        delete this._hiddenCategoryIdx
+        return
+      }
+      this._hiddenCategoryIdx = new Set()
+      categories.forEach((category, idx) => {
+        if (hidden.indexOf(category.id) !== -1) {
+          this._hiddenCategoryIdx.add(idx)
+        }
+      })
+    }
+    
+    /**
+     * Returns whether the given value belongs to a hidden category.
+     * 
+     * @param {number|null|undefined} val
+     * @return {boolean}
+     */
+    _isHiddenCategory (val) {
+      if (!this._hiddenCategoryIdx || !this._categoryIdxMap || val === null || val === undefined) {
+        return false
+      }
+      return this._hiddenCategoryIdx.has(this._categoryIdxMap[val])
     }
     
     get palette () {
@@ -145,12 +444,155 @@ export function PaletteMixin (base) {
       this.fire('paletteChange')
     }
     
+    /**
+     * The scale by which values are mapped to palette colors, see {@link PaletteScale}.
+     * 
+     * @type {PaletteScale}
+     */
+    get paletteScale () {
+      return this._paletteScale || 'linear'
+    }
+    
+    set paletteScale (paletteScale) {
+      paletteScaleFns(paletteScale) // throws for unsupported scales
+      this._paletteScale = paletteScale
+      this._updatePaletteIndexFn()
+      this.redraw()
+      this.fire('paletteScaleChange')
+    }
+    
+    /**
+     * The current class break values, or undefined if values are coloured continuously.
+     * Can be set to explicit breaks, a method, or undefined, see {@link ClassBreaks}.
+     * Like explicit palette extents, break values are in the display unit if there is one.
+     * 
+     * @type {Array<number>|undefined}
+     */
+    get classBreaks () {
+      let breaks = this._classBreaks
+      if (breaks && this._unitConversion) {
+        return breaks.map(this._unitConversion.convert)
+      }
+      return breaks
+    }
+    
+    set classBreaks (classBreaks) {
+      checkClassBreaks(classBreaks)
+      this._classBreaksSpec = this._fromDisplayUnit(classBreaks)
+      this._updateClassBreaks()
+      this._updatePaletteIndexFn()
+      this.redraw()
+    }
+    
+    /**
+     * Computes the class break values from the class breaks specification.
+     */
+    _updateClassBreaks () {
+      let spec = this._classBreaksSpec
+      let breaks
+      if (this.parameter.observedProperty.categories || !spec) {
+        breaks = undefined
+      } else if (Array.isArray(spec)) {
+        breaks = spec
+      } else {
+        breaks = CLASS_BREAK_METHODS[spec.method](this, spec.classes || 5)
+        if (breaks.length < 2) {
+          // no data to compute the breaks from
+          breaks = undefined
+        }
+      }
+      let old = this._classBreaks
+      this._classBreaks = breaks
+      let hasChanged = !old || !breaks ? old !== breaks :
+        old.length !== breaks.length || old.some((val, i) => val !== breaks[i])
+      if (hasChanged) {
+        this.fire('classBreaksChange')
+      }
+    }
+    
+    /**
+     * Returns the non-missing values the palette applies to, for computing class breaks, percentile extents,
+     * and histograms.
+     * 
+     * @return {Array<number>}
+     */
+    getPaletteValues () {
+      let values = []
+      iterateRange(this.range, val => {
+        if (val !== null) values.push(val)
+      })
+      return values
+    }
+    
+    /**
+     * Returns the fill opacity of vector shapes for the given value, according to the alpha channel of its color.
+     * Values without color are opaque as they are drawn in a default color.
+     * 
+     * @param {number|null|undefined} val
+     * @return {number} The opacity in [0,1].
+     */
+    _getFillOpacity (val) {
+      let idx = this._getColorIndex(val)
+      return idx === undefined ? 1 : this._colors.alpha[idx] / 255
+    }
+    
     set paletteExtent (extent) {
       this.setPaletteExtent(extent)
     }
     
+    /**
+     * The palette extent specification used if none is given, and to which an explicit extent can be reset.
+     * 
+     * @type {string}
+     */
+    get defaultPaletteExtent () {
+      return 'full'
+    }
+    
+    /**
+     * The palette extent. Explicit extents like `[0, 30]` are in the display unit if there is one,
+     * the range data itself is not converted.
+     * 
+     * @type {Array<number>|string|Object}
+     */
     get paletteExtent () {
-      return this._paletteExtent
+      let extent = this._paletteExtent
+      if (Array.isArray(extent) && this._unitConversion) {
+        return extent.map(this._unitConversion.convert)
+      }
+      return extent
+    }
+    
+    /**
+     * The symbol of the unit in which values are shown, for example `'°C'` for a parameter in Kelvin,
+     * or undefined to show values in the unit of the parameter.
+     * A conversion between both units must be registered, see {@link registerUnitConversion}.
+     * 
+     * @type {string|undefined}
+     */
+    get displayUnit () {
+      return this._displayUnit
+    }
+    
+    set displayUnit (unit) {
+      if (unit === this._displayUnit) return
+      this._unitConversion = getUnitConversion(this.parameter.unit, unit) // throws for unsupported units
+      this._displayUnit = unit
+      this.fire('displayUnitChange')
+      if (Array.isArray(this._paletteExtent)) {
+        // the extent values in the display unit have changed
+        this.fire('paletteExtentChange')
+      }
+    }
+    
+    /**
+     * Converts an explicit extent or explicit class breaks from the display unit to the unit of the parameter.
+     */
+    _fromDisplayUnit (extent) {
+      if (Array.isArray(extent) && this._unitConversion) {
+        return extent.map(this._unitConversion.invert)
+      }
+      return extent
     }
     
     setPaletteExtent (extent, skipRedraw) {
@@ -158,18 +600,30 @@ export function PaletteMixin (base) {
         return Promise.resolve()
       }
       
-      let oldExtent = this.paletteExtent
+      // remember string specifications like 'fov' so that they can be re-evaluated later,
+      // an explicit extent ends that mode
+      this._paletteExtentSpec = Array.isArray(extent) ? undefined : extent
+      
+      let oldExtent = this._paletteExtent
       let hasChanged = newExtent => {
         if (!Array.isArray(oldExtent)) return true
         if (oldExtent[0] !== newExtent[0] || oldExtent[1] !== newExtent[1]) return true
         return false
       }
-      let res = Array.isArray(extent) ? Promise.resolve(extent) : this.computePaletteExtent(extent)
+      let res
+      if (Array.isArray(extent)) {
+        res = Promise.resolve(this._fromDisplayUnit(extent))
+      } else if (extent.percentile) {
+        res = Promise.resolve(this._computePercentileExtent(extent.percentile))
+      } else {
+        res = this.computePaletteExtent(extent)
+      }
       return res.then(newExtent => {
         // ignore invalid extents (may come from using ParameterSync)
         if (Array.isArray(newExtent) && isNaN(newExtent[0])) return
         if (!hasChanged(newExtent)) return
         this._paletteExtent = newExtent
+        this._updateClassBreaks()
         this._updatePaletteIndexFn()
         if (!skipRedraw) {
           this.redraw()
@@ -177,6 +631,51 @@ export function PaletteMixin (base) {
         this.fire('paletteExtentChange')
       })
     }
+    
+    /**
+     * Computes the extent between two percentiles of the values the palette applies to.
+     * 
+     * @param {Array<number>} range The lower and upper percentile, in [0,100].
+     * @return {Array<number>}
+     */
+    _computePercentileExtent (range) {
+      if (range.length !== 2 || !(range[0] >= 0 && range[0] < range[1] && range[1] <= 100)) {
+        throw new Error('Invalid percentile range: ' + range)
+      }
+      return enlargeExtentIfEqual(percentiles(this.getPaletteValues(), range))
+    }
+    
+    /**
+     * Recomputes the palette extent whenever the map view changes while the 'fov' extent is in use.
+     */
+    _addFovListener (map) {
+      if (!this._onMapViewChange) {
+        this._onMapViewChange = debounce(() => {
+          // _map is unset by Leaflet when the layer was removed in the meantime
+          if (this._map && this._paletteExtentSpec === 'fov') {
+            this.setPaletteExtent('fov')
+          }
+        }, 300)
+      }
+      map.on('moveend zoomend', this._onMapViewChange)
+    }
+    
+    _removeFovListener (map) {
+      if (this._onMapViewChange) {
+        map.off('moveend zoomend', this._onMapViewChange)
+      }
+    }
+    
+    /**
+     * Used when an extent specification like 'fov' cannot be computed at the moment,
+     * for example when no data is visible.
+     */
+    _currentPaletteExtentOr (extent) {
+      if (Array.isArray(this._paletteExtent)) {
+        return Promise.resolve(this._paletteExtent)
+      }
+      return this.computePaletteExtent(extent)
+    }
             
     /**
      * Sets up a lookup table from categorical range value to palette index.
@@ -226,3 +725,14 @@ export function PaletteMixin (base) {
     }
   }
 }
+
+function checkClassBreaks (classBreaks) {
+  if (!classBreaks) return
+  if (Array.isArray(classBreaks)) {
+    if (classBreaks.length < 2 || classBreaks.some((val, i) => i > 0 && val <= classBreaks[i-1])) {
+      throw new Error('Class breaks must be at least two ascending values')
+    }
+  } else if (!(classBreaks.method in CLASS_BREAK_METHODS)) {
+    throw new Error('Unknown class break method: ' + classBreaks.method)
+  }
+}
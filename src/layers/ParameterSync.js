@@ -65,11 +65,15 @@ function defaultMatch (p1, p2) {
  * @example
  * let paramSync = new C.ParameterSync({
  *   syncProperties: {
+ *     // before paletteExtent, as explicit extents are in the display unit
+ *     displayUnit: (u1, u2) => u1,
  *     palette: (p1, p2) => p1,
- *     paletteExtent: (e1, e2) => e1 && e2 ? [Math.min(e1[0], e2[0]), Math.max(e1[1], e2[1])] : null
+ *     paletteExtent: (e1, e2) => e1 && e2 ? [Math.min(e1[0], e2[0]), Math.max(e1[1], e2[1])] : null,
+ *     paletteScale: (s1, s2) => s1,
+ *     hiddenCategories: (h1, h2) => h1
  *   }
  * }).on('parameterAdd', e => {
- *   // The virtual sync layer proxies the synced palette, paletteExtent, and parameter.
+ *   // The virtual sync layer proxies the synced displayUnit, palette, paletteExtent, hiddenCategories, and parameter.
  *   // The sync layer will fire a 'remove' event once all real layers for that parameter were removed.
  *   let layer = e.syncLayer
  *   if (layer.palette) {
@@ -236,6 +240,7 @@ class SyncLayer extends EventMixin(L.Class) {
       }
     })
     let layers = () => paramSync._paramLayers.get(param)
+    this._layers = layers
     for (let prop of Object.keys(paramSync._syncProps)) {
       Object.defineProperty(this, prop, {
         get: () => layers().values().next().value[prop],
@@ -255,4 +260,9 @@ class SyncLayer extends EventMixin(L.Class) {
   get parameter () {
     return this._param
   }
+  
+  get defaultPaletteExtent () {
+    // the synced layers have the same parameter, the first one is representative
+    return this._layers().values().next().value.defaultPaletteExtent
+  }
 }
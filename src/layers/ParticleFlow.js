@@ -0,0 +1,268 @@
+import L from 'leaflet'
+
+import {VectorField} from './VectorField.js'
+import {paletteColor} from './palettes.js'
+
+// distance in pixels between the screen positions at which the vector field is sampled
+const FIELD_RESOLUTION = 4
+
+/**
+ * Animated particle renderer for vector fields (e.g. wind or currents) of Coverages conforming
+ * to the `Grid` domain type of CovJSON.
+ *
+ * Particles are seeded at random positions within the map view and move along the vectors
+ * derived from the eastward (u) and northward (v) component parameters, leaving fading trails.
+ * Each trail is coloured according to the vector magnitude (speed).
+ * The animation is drawn on a single 2D canvas covering the map view and restarts
+ * when the map is panned or zoomed, or when the time or vertical slice changes.
+ *
+ * Data, time, vertical, palette, and palette extent handling is identical to {@link VectorField},
+ * meaning that {@link TimeAxis}, {@link VerticalAxis}, and legends can be used the same way.
+ *
+ * @example
+ * var cov = ... // get Coverage data
+ * var layer = new C.ParticleFlow(cov, {
+ *   parameters: ['u_wind', 'v_wind'],
+ *   particleCount: 5000
+ * })
+ *
+ * @see https://covjson.org/domain-types/#grid
+ *
+ * @emits {DataLayer#afterAdd} Layer is initialized and was added to the map
+ * @emits {DataLayer#dataLoading} Data loading has started
+ * @emits {DataLayer#dataLoad} Data loading has finished (also in case of errors)
+ * @emits {DataLayer#error} Error when loading data
+ * @emits {DataLayer#axisChange} Axis coordinate has changed (e.axis === 'time'|'vertical')
+ * @emits {PaletteMixin#paletteChange} Palette has changed
+ * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ *
+ * @extends {VectorField}
+ * @implements {DataLayer}
+ */
+export class ParticleFlow extends VectorField {
+
+  /**
+   * Supports all options of {@link VectorField} except the glyph options, and in addition the following.
+   *
+   * @param {Coverage} cov The coverage object to visualize.
+   * @param {Object} options The options object.
+   * @param {Array<string>} options.parameters The keys of the eastward (u) and northward (v) component parameters.
+   * @param {number} [options.particleCount=3000] The number of particles that are animated at the same time.
+   * @param {number} [options.speedScale=0.2] The distance in pixels that a particle moves per animation frame
+   *  and unit of the parameters.
+   * @param {number} [options.fade=0.95] The fraction of the trail opacity that is kept from one animation frame
+   *  to the next, between 0 (no trails) and 1 (trails never fade).
+   * @param {number} [options.maxAge=100] The number of animation frames after which a particle is re-seeded.
+   * @param {number} [options.lineWidth=1] The line width of the trails in pixels.
+   */
+  constructor (cov, options={}) {
+    super(cov, options)
+
+    this._particleCount = options.particleCount || 3000
+    this._speedScale = options.speedScale || 0.2
+    this._fade = options.fade !== undefined ? options.fade : 0.95
+    this._maxAge = options.maxAge || 100
+    this._lineWidth = options.lineWidth || 1
+
+    this._onMoveStart = () => this._stopAnimation()
+    this._onMoveEnd = () => this._resetAnimation()
+    this._onAxisChange = () => this._resetAnimation()
+  }
+
+  /**
+   * @ignore
+   * @override
+   */
+  onAdd (map) {
+    this._canvas = L.DomUtil.create('canvas', 'leaflet-layer')
+    this.getPane().appendChild(this._canvas)
+
+    map.on('movestart zoomstart', this._onMoveStart)
+    map.on('moveend resize', this._onMoveEnd)
+    this.on('axisChange', this._onAxisChange)
+    this.once('afterAdd', this._onMoveEnd)
+
+    super.onAdd(map)
+  }
+
+  /**
+   * @ignore
+   * @override
+   */
+  onRemove (map) {
+    this._stopAnimation()
+    map.off('movestart zoomstart', this._onMoveStart)
+    map.off('moveend resize', this._onMoveEnd)
+    this.off('axisChange', this._onAxisChange)
+    this.off('afterAdd', this._onMoveEnd)
+    L.DomUtil.remove(this._canvas)
+    delete this._canvas
+
+    super.onRemove(map)
+  }
+
+  /**
+   * The particle trails are drawn on a separate canvas, therefore tiles are left empty.
+   *
+   * @ignore
+   * @override
+   */
+  createTile () {
+    return L.DomUtil.create('div', 'leaflet-tile')
+  }
+
+  /**
+   * Stops the animation and clears the canvas.
+   */
+  _stopAnimation () {
+    if (this._frame) {
+      L.Util.cancelAnimFrame(this._frame)
+      this._frame = null
+    }
+    if (this._canvas) {
+      this._canvas.getContext('2d').clearRect(0, 0, this._canvas.width, this._canvas.height)
+    }
+  }
+
+  /**
+   * Aligns the canvas with the current map view, samples the vector field for the view,
+   * re-seeds all particles, and starts the animation.
+   */
+  _resetAnimation () {
+    this._stopAnimation()
+    if (!this._map || !this._canvas || !this._subsetRange || this._errored) return
+
+    let map = this._map
+    let size = map.getSize()
+    this._canvas.width = size.x
+    this._canvas.height = size.y
+    L.DomUtil.setPosition(this._canvas, map.containerPointToLayerPoint([0, 0]))
+
+    this._field = this._sampleField(size)
+    this._particles = []
+    for (let i=0; i < this._particleCount; i++) {
+      this._particles.push(this._seedParticle({}))
+    }
+    this._frame = L.Util.requestAnimFrame(() => this._animate())
+  }
+
+  /**
+   * Samples the u and v values on a regular lattice of container pixel positions.
+   *
+   * @param {L.Point} size The map size in pixels.
+   * @return {Object} An object with nx, ny, u, and v properties, where u and v hold the values
+   *  in row-major order, NaN for missing values.
+   */
+  _sampleField (size) {
+    let nx = Math.ceil(size.x / FIELD_RESOLUTION) + 1
+    let ny = Math.ceil(size.y / FIELD_RESOLUTION) + 1
+    let u = new Float32Array(nx * ny).fill(NaN)
+    let v = new Float32Array(nx * ny).fill(NaN)
+    let [uVals, vVals] = this._getComponentValueFns()
+    for (let j=0; j < ny; j++) {
+      for (let i=0; i < nx; i++) {
+        let latlng = this._map.containerPointToLatLng([i * FIELD_RESOLUTION, j * FIELD_RESOLUTION])
+        let idx = this._getIndexAt(latlng)
+        if (!idx) continue
+        let uVal = uVals(idx)
+        let vVal = vVals(idx)
+        if (uVal === null || vVal === null) continue
+        u[j*nx + i] = uVal
+        v[j*nx + i] = vVal
+      }
+    }
+    return {nx, ny, u, v}
+  }
+
+  /**
+   * Returns the bilinearly interpolated u and v values at the given container pixel position,
+   * or undefined if any of the surrounding samples is missing.
+   *
+   * @return {Array<number>|undefined}
+   */
+  _getVectorAt (x, y) {
+    let {nx, ny, u, v} = this._field
+    let fi = x / FIELD_RESOLUTION
+    let fj = y / FIELD_RESOLUTION
+    let i = Math.floor(fi)
+    let j = Math.floor(fj)
+    if (i < 0 || j < 0 || i >= nx - 1 || j >= ny - 1) return
+    let tx = fi - i
+    let ty = fj - j
+    let k = j*nx + i
+    let interpolate = vals => {
+      let top = vals[k] * (1 - tx) + vals[k + 1] * tx
+      let bottom = vals[k + nx] * (1 - tx) + vals[k + nx + 1] * tx
+      return top * (1 - ty) + bottom * ty
+    }
+    let uVal = interpolate(u)
+    let vVal = interpolate(v)
+    if (isNaN(uVal) || isNaN(vVal)) return
+    return [uVal, vVal]
+  }
+
+  /**
+   * Moves the given particle to a random position within the map view and gives it a random age,
+   * which avoids that all particles are re-seeded in the same frame.
+   */
+  _seedParticle (particle) {
+    particle.x = Math.random() * this._canvas.width
+    particle.y = Math.random() * this._canvas.height
+    particle.age = Math.floor(Math.random() * this._maxAge)
+    return particle
+  }
+
+  /**
+   * Draws a single animation frame and schedules the next one.
+   */
+  _animate () {
+    let ctx = this._canvas.getContext('2d')
+
+    // fade existing trails
+    ctx.globalCompositeOperation = 'destination-in'
+    ctx.fillStyle = 'rgba(0,0,0,' + this._fade + ')'
+    ctx.fillRect(0, 0, this._canvas.width, this._canvas.height)
+    ctx.globalCompositeOperation = 'source-over'
+
+    // trail segments are grouped by colour to reduce the number of stroke calls
+    let colors = this._colors
+    let segments = new Map()
+    for (let particle of this._particles) {
+      let vec = particle.age < this._maxAge ? this._getVectorAt(particle.x, particle.y) : undefined
+      if (!vec) {
+        this._seedParticle(particle)
+        particle.age = 0
+        continue
+      }
+      let [u, v] = vec
+      // canvas y coordinates point down
+      let x = particle.x + u * this._speedScale
+      let y = particle.y - v * this._speedScale
+      let idx = this._getColorIndex(Math.sqrt(u*u + v*v))
+      if (idx !== undefined) {
+        if (!segments.has(idx)) {
+          segments.set(idx, [])
+        }
+        segments.get(idx).push(particle.x, particle.y, x, y)
+      }
+      particle.x = x
+      particle.y = y
+      particle.age++
+    }
+
+    ctx.lineWidth = this._lineWidth
+    for (let [idx, coords] of segments) {
+      ctx.strokeStyle = paletteColor(colors, idx)
+      ctx.beginPath()
+      for (let i=0; i < coords.length; i += 4) {
+        ctx.moveTo(coords[i], coords[i+1])
+        ctx.lineTo(coords[i+2], coords[i+3])
+      }
+      ctx.stroke()
+    }
+
+    this._frame = L.Util.requestAnimFrame(() => this._animate())
+  }
+}
@@ -41,6 +41,10 @@ export const DEFAULT_COLOR = 'black'
  * @emits {DataLayer#error} Error when loading data
  * @emits {PaletteMixin#paletteChange} Palette has changed
  * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ * @emits {PaletteMixin#displayUnitChange} Display unit has changed
+ * @emits {PaletteMixin#hiddenCategoriesChange} Categories were hidden or shown
  * @emits {Point#click} when the point was clicked
  * 
  * @extends {L.Layer}
@@ -58,6 +62,16 @@ export class Point extends PaletteMixin(CircleMarkerMixin(CoverageMixin(L.Layer)
    * @param {string} [options.parameter] The key of the parameter to display, not needed for domain objects.
    * @param {Palette} [options.palette] The initial color palette to use, the default depends on the parameter type.
    * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full' or specific: [-10,10].
+   * @param {string} [options.displayUnit] The symbol of the unit in which values are shown, for example '°C'.
+   *   Explicit palette extents are given in this unit, see {@link registerUnitConversion}.
+   * @param {PaletteScale} [options.paletteScale='linear'] The initial palette scale, e.g. 'log', see {@link PaletteScale}.
+   * @param {ClassBreaks} [options.classBreaks] Colours values in classes instead of a gradient, see {@link ClassBreaks}.
+   * @param {string} [options.belowColor] The CSS color of values below the palette extent, for example `transparent`,
+   *  or `extend` to use the first palette color. By default, such values are drawn in `defaultColor`.
+   * @param {string} [options.aboveColor] Like `belowColor`, for values above the palette extent and the last palette color.
+   * @param {string} [options.noDataColor] The CSS color of missing values, instead of `defaultColor`. Requires `showNoData`.
+   * @param {Array<string>} [options.hiddenCategories] The IDs of categories which are not shown, for categorical parameters.
+   *   The point is not drawn if its value belongs to one of them.
    * @param {string} [options.defaultColor='black'] The color to use for missing data or if no parameter is set.
    * @param {boolean} [options.showNoData=false] Whether to draw the point if there is no data.
    */
@@ -71,7 +85,7 @@ export class Point extends PaletteMixin(CircleMarkerMixin(CoverageMixin(L.Layer)
     }
     
     if (!options.paletteExtent) {
-      options.paletteExtent = 'full'
+      options.paletteExtent = this.defaultPaletteExtent
     }
     
     L.Util.setOptions(this, options)
@@ -194,17 +208,16 @@ export class Point extends PaletteMixin(CircleMarkerMixin(CoverageMixin(L.Layer)
   }
   
   _getColor (val) {
-    if (val === null) {
-      // no-data
-      return this._defaultColor
-    } else if (val === undefined) {
+    if (val === undefined) {
       // not fixed to a param
       return this._defaultColor
-    } else {
-      // use a palette
-      let idx = this.getPaletteIndex(val)
-      let {red, green, blue} = this.palette
-      return {r: red[idx], g: green[idx], b: blue[idx]}
     }
+    let idx = this._getColorIndex(val)
+    if (idx === undefined) {
+      // no-data or outside of the palette extent, without a color for it
+      return this._defaultColor
+    }
+    let {red, green, blue} = this._colors
+    return {r: red[idx], g: green[idx], b: blue[idx]}
   }
 }
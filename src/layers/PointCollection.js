@@ -15,6 +15,10 @@ import {kdTree} from '../util/kdTree.js'
  * @emits {DataLayer#error} Error when loading data
  * @emits {PaletteMixin#paletteChange} Palette has changed
  * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ * @emits {PaletteMixin#displayUnitChange} Display unit has changed
+ * @emits {PaletteMixin#hiddenCategoriesChange} Categories were hidden or shown
  * @emits {Point#click} when the point was clicked
  * 
  * @extends {L.Layer}
@@ -27,6 +31,19 @@ export class PointCollection extends PaletteMixin(L.Layer) {
    * @param {string} [options.parameter] The key of the parameter to display.
    * @param {Palette} [options.palette] The initial color palette to use, the default depends on the parameter type.
    * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full', 'fov', or specific: [-10,10].
+   *   With 'fov', only the points within the map field of view are considered and the extent is
+   *   recomputed when the map is panned or zoomed.
+   *   Percentiles of all values, ignoring outliers, can be used with `{percentile: [2, 98]}`.
+   * @param {string} [options.displayUnit] The symbol of the unit in which values are shown, for example '°C'.
+   *   Explicit palette extents are given in this unit, see {@link registerUnitConversion}.
+   * @param {PaletteScale} [options.paletteScale='linear'] The initial palette scale, e.g. 'log', see {@link PaletteScale}.
+   * @param {ClassBreaks} [options.classBreaks] Colours values in classes instead of a gradient, see {@link ClassBreaks}.
+   * @param {string} [options.belowColor] The CSS color of values below the palette extent, for example `transparent`,
+   *  or `extend` to use the first palette color. By default, such values are drawn in `defaultColor`.
+   * @param {string} [options.aboveColor] Like `belowColor`, for values above the palette extent and the last palette color.
+   * @param {string} [options.noDataColor] The CSS color of missing values, instead of `defaultColor`.
+   * @param {Array<string>} [options.hiddenCategories] The IDs of categories which are not shown, for categorical parameters.
+   *   Points with values of these categories are not drawn.
    * @param {string} [options.defaultColor='black'] The color to use for missing data or if no parameter is set.
    * @param {class} [options.pointClass=Point] The {@link PointDataLayer} class to use for the individual points.
    * @param {function} [options.pointOptionsFn] A function that returns additional options to apply for each point class instance.  
@@ -37,7 +54,7 @@ export class PointCollection extends PaletteMixin(L.Layer) {
     // TODO how should we handle collection paging?
     
     if (!options.paletteExtent) {
-      options.paletteExtent = 'full'
+      options.paletteExtent = this.defaultPaletteExtent
     }
     
     L.Util.setOptions(this, options)
@@ -55,6 +72,14 @@ export class PointCollection extends PaletteMixin(L.Layer) {
     this.on('paletteChange', () => {
       for (let layer of this._layers) {
         layer.palette = this.palette
+        layer.belowColor = this.belowColor
+        layer.aboveColor = this.aboveColor
+        layer.noDataColor = this.noDataColor
+      }
+    })
+    this.on('displayUnitChange', () => {
+      for (let layer of this._layers) {
+        layer.displayUnit = this.displayUnit
       }
     })
     this.on('paletteExtentChange', () => {
@@ -62,6 +87,21 @@ export class PointCollection extends PaletteMixin(L.Layer) {
         layer.paletteExtent = this.paletteExtent
       }
     })
+    this.on('paletteScaleChange', () => {
+      for (let layer of this._layers) {
+        layer.paletteScale = this.paletteScale
+      }
+    })
+    this.on('classBreaksChange', () => {
+      for (let layer of this._layers) {
+        layer.classBreaks = this.classBreaks
+      }
+    })
+    this.on('hiddenCategoriesChange', () => {
+      for (let layer of this._layers) {
+        layer.hiddenCategories = this.hiddenCategories
+      }
+    })
   }
   
   /**
@@ -70,6 +110,7 @@ export class PointCollection extends PaletteMixin(L.Layer) {
    */
   onAdd (map) {
     this._map = map
+    this._addFovListener(map)
     this._layerLoadCount = 0
     this._layerErrors = []
     
@@ -77,7 +118,14 @@ export class PointCollection extends PaletteMixin(L.Layer) {
       keys: this._param ? [this._param.key] : undefined,
       defaultColor: this._defaultColor,
       palette: this.palette,
-      paletteExtent: this.paletteExtent
+      paletteExtent: this.paletteExtent,
+      displayUnit: this._displayUnit || this.options.displayUnit,
+      paletteScale: this.paletteScale,
+      classBreaks: this.classBreaks,
+      belowColor: this.options.belowColor,
+      aboveColor: this.options.aboveColor,
+      noDataColor: this.options.noDataColor,
+      hiddenCategories: this._hiddenCategories || this.options.hiddenCategories
     }
     if (this.options.pointOptionsFn) {
       let opts = this.options.pointOptionsFn()
@@ -104,6 +152,7 @@ export class PointCollection extends PaletteMixin(L.Layer) {
    * @override
    */
   onRemove (map) {
+    this._removeFovListener(map)
     map.removeLayer(this._layerGroup)
     this._layerGroup = L.layerGroup()
     this._layers = []
@@ -193,6 +242,16 @@ export class PointCollection extends PaletteMixin(L.Layer) {
   get parameter () {
     return this._param
   }
+  
+  /**
+   * Returns the displayed values of all points for computing class breaks and percentile extents.
+   * 
+   * @ignore
+   * @override
+   */
+  getPaletteValues () {
+    return this._layers.map(layer => layer.getValue()).filter(val => val != null)
+  }
     
   /**
    * See {@link PaletteMixin}.
@@ -223,6 +282,10 @@ export class PointCollection extends PaletteMixin(L.Layer) {
         max = Math.max(max, val)
       }
     }
+    if (min === Infinity && extent === 'fov') {
+      // no data in view
+      return this._currentPaletteExtentOr('full')
+    }
     extent = enlargeExtentIfEqual([min, max])
     return Promise.resolve(extent)
   }
@@ -1,5 +1,5 @@
 import L from 'leaflet'
-import {isDomain, fromDomain, indexOfNearest, minMaxOfRange, asTime} from 'covutils'
+import {isDomain, fromDomain, indexOfNearest, minMaxOfRange} from 'covutils'
 
 import {enlargeExtentIfEqual} from './palettes.js'
 import {CoverageMixin} from './CoverageMixin.js'
@@ -8,6 +8,7 @@ import {PaletteMixin} from './PaletteMixin.js'
 import {EventMixin} from '../util/EventMixin.js'
 
 import {DEFAULT_COLOR} from './Point.js'
+import {getCalendar, parseTime, toTimestamp} from '../util/calendar.js'
 
 // TODO nearly identical to VerticalProfile
 
@@ -34,6 +35,10 @@ import {DEFAULT_COLOR} from './Point.js'
  * @emits {DataLayer#error} Error when loading data
  * @emits {PaletteMixin#paletteChange} Palette has changed
  * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ * @emits {PaletteMixin#displayUnitChange} Display unit has changed
+ * @emits {PaletteMixin#hiddenCategoriesChange} Categories were hidden or shown
  * @emits {Point#click} when the point was clicked
  * 
  * @extends {L.Layer}
@@ -55,6 +60,16 @@ export class PointSeries extends PaletteMixin(CircleMarkerMixin(CoverageMixin(L.
    * @param {Date} [options.time] The initial time step to display.
    * @param {Palette} [options.palette] The initial color palette to use, the default depends on the parameter type.
    * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full' or specific: [-10,10].
+   * @param {string} [options.displayUnit] The symbol of the unit in which values are shown, for example '°C'.
+   *   Explicit palette extents are given in this unit, see {@link registerUnitConversion}.
+   * @param {PaletteScale} [options.paletteScale='linear'] The initial palette scale, e.g. 'log', see {@link PaletteScale}.
+   * @param {ClassBreaks} [options.classBreaks] Colours values in classes instead of a gradient, see {@link ClassBreaks}.
+   * @param {string} [options.belowColor] The CSS color of values below the palette extent, for example `transparent`,
+   *  or `extend` to use the first palette color. By default, such values are drawn in `defaultColor`.
+   * @param {string} [options.aboveColor] Like `belowColor`, for values above the palette extent and the last palette color.
+   * @param {string} [options.noDataColor] The CSS color of missing values, instead of `defaultColor`. Requires `showNoData`.
+   * @param {Array<string>} [options.hiddenCategories] The IDs of categories which are not shown, for categorical parameters.
+   *   The point is not drawn if its current value belongs to one of them.
    * @param {string} [options.defaultColor='black'] The color to use for missing data or if no parameter is set.
    * @param {boolean} [options.showNoData=false] Whether to draw the point if there is no data.
    */
@@ -68,7 +83,7 @@ export class PointSeries extends PaletteMixin(CircleMarkerMixin(CoverageMixin(L.
     }
     
     if (!options.paletteExtent) {
-      options.paletteExtent = 'full'
+      options.paletteExtent = this.defaultPaletteExtent
     }
     
     L.Util.setOptions(this, options)
@@ -107,8 +122,9 @@ export class PointSeries extends PaletteMixin(CircleMarkerMixin(CoverageMixin(L.
     if (t.coordPref == undefined) {
       t.idx = t.coord = undefined
     } else {
-      let vals = this.domain.axes.get("t").values.map((v) => asTime(v))
-      t.idx = indexOfNearest(vals, asTime(t.coordPref))
+      let calendar = getCalendar(this.domain)
+      let vals = this.domain.axes.get("t").values.map(v => toTimestamp(v, calendar))
+      t.idx = indexOfNearest(vals, toTimestamp(t.coordPref, calendar))
       t.coord = vals[t.idx]
     }
   }
@@ -161,13 +177,14 @@ export class PointSeries extends PaletteMixin(CircleMarkerMixin(CoverageMixin(L.
   }
   
   /**
-   * Sets the currently active time to the one closest to the given Date object.
+   * Sets the currently active time to the one closest to the given Date object,
+   * or {@link CalendarDate} object for non-Gregorian calendars.
    * 
-   * @type {Date|undefined}
+   * @type {Date|CalendarDate|undefined}
    */
   set time (val) {
     let old = this.time
-    this._axesSubset.t.coordPref = val ? val.toISOString() : undefined
+    this._axesSubset.t.coordPref = val ? parseTime(val, getCalendar(this.domain)).toISOString() : undefined
     
     this._updateTimeIndex()
     if (old === this.time) return
@@ -176,26 +193,27 @@ export class PointSeries extends PaletteMixin(CircleMarkerMixin(CoverageMixin(L.
   }
   
   /**
-   * The currently active time on the temporal axis as Date object, 
+   * The currently active time on the temporal axis as Date or {@link CalendarDate} object, 
    * or undefined if no time is set.
    * 
-   * @type {Date|undefined}
+   * @type {Date|CalendarDate|undefined}
    */
   get time () {
     if (!this._axesSubset.t.coord) {
       return
     }
     let time = this.domain.axes.get('t').values[this._axesSubset.t.idx]
-    return new Date(time)
+    return parseTime(time, getCalendar(this.domain))
   }
   
   /**
    * The time slices that make up the coverage.
    * 
-   * @type {Array<Date>}
+   * @type {Array<Date|CalendarDate>}
    */
   get timeSlices () {
-    return this.domain.axes.get('t').values.map(t => new Date(t))
+    let calendar = getCalendar(this.domain)
+    return this.domain.axes.get('t').values.map(t => parseTime(t, calendar))
   }
   
   /**
@@ -226,6 +244,18 @@ export class PointSeries extends PaletteMixin(CircleMarkerMixin(CoverageMixin(L.
     }
   }
     
+  /**
+   * Returns the displayed value for computing class breaks, percentile extents, and histograms,
+   * the values of other time steps are not shown.
+   * 
+   * @ignore
+   * @override
+   */
+  getPaletteValues () {
+    let val = this.getValue()
+    return val != null ? [val] : []
+  }
+  
   /**
    * Return the displayed value (number, or null for no-data),
    * or undefined if not fixed to a t-coordinate or parameter.
@@ -256,17 +286,16 @@ export class PointSeries extends PaletteMixin(CircleMarkerMixin(CoverageMixin(L.
   
   _getColor () {
     let val = this.getValue()
-    if (val === null) {
-      // no-data
-      return this._defaultColor
-    } else if (val === undefined) {
+    if (val === undefined) {
       // not fixed to a param or z-coordinate
       return this._defaultColor
-    } else {
-      // use a palette
-      let idx = this.getPaletteIndex(val)
-      let {red, green, blue} = this.palette
-      return {r: red[idx], g: green[idx], b: blue[idx]}
     }
+    let idx = this._getColorIndex(val)
+    if (idx === undefined) {
+      // no-data or outside of the palette extent, without a color for it
+      return this._defaultColor
+    }
+    let {red, green, blue} = this._colors
+    return {r: red[idx], g: green[idx], b: blue[idx]}
   }
 }
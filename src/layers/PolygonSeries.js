@@ -1,5 +1,5 @@
 import L from 'leaflet'
-import {indexOfNearest, minMaxOfRange, isDomain, fromDomain, ensureClockwisePolygon, getPointInPolygonsFn, asTime} from 'covutils'
+import {indexOfNearest, minMaxOfRange, isDomain, fromDomain, ensureClockwisePolygon, getPointInPolygonsFn} from 'covutils'
 
 import {enlargeExtentIfEqual} from './palettes.js'
 import {CoverageMixin} from './CoverageMixin.js'
@@ -7,6 +7,7 @@ import {EventMixin} from '../util/EventMixin.js'
 import {PaletteMixin} from './PaletteMixin.js'
 
 import {DEFAULT_COLOR} from './Point.js'
+import {getCalendar, parseTime, toTimestamp} from '../util/calendar.js'
 
 // TODO nearly identical to VerticalProfile
 
@@ -31,6 +32,10 @@ import {DEFAULT_COLOR} from './Point.js'
  * @emits {DataLayer#axisChange} Axis coordinate has changed (e.axis === 'time')
  * @emits {PaletteMixin#paletteChange} Palette has changed
  * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ * @emits {PaletteMixin#displayUnitChange} Display unit has changed
+ * @emits {PaletteMixin#hiddenCategoriesChange} Categories were hidden or shown
  * @emits {Point#click} when the polygon was clicked
  * 
  * @extends {L.Layer}
@@ -49,7 +54,20 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
    * @param {string} [options.parameter] The key of the parameter to display, not needed for domain objects.
    * @param {Date} [options.time] The initial time step to display.
    * @param {Palette} [options.palette] The initial color palette to use, the default depends on the parameter type.
-   * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full' or specific: [-10,10].
+   * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full', 'fov', or specific: [-10,10].
+   *   With 'fov', the polygon values are only considered if the polygon intersects the map field of view,
+   *   and the extent is recomputed when the map is panned or zoomed.
+   *   Percentiles of all values, ignoring outliers, can be used with `{percentile: [2, 98]}`.
+   * @param {string} [options.displayUnit] The symbol of the unit in which values are shown, for example '°C'.
+   *   Explicit palette extents are given in this unit, see {@link registerUnitConversion}.
+   * @param {PaletteScale} [options.paletteScale='linear'] The initial palette scale, e.g. 'log', see {@link PaletteScale}.
+   * @param {ClassBreaks} [options.classBreaks] Colours values in classes instead of a gradient, see {@link ClassBreaks}.
+   * @param {string} [options.belowColor] The CSS color of values below the palette extent, for example `transparent`,
+   *  or `extend` to use the first palette color. By default, such values are drawn in `defaultColor`.
+   * @param {string} [options.aboveColor] Like `belowColor`, for values above the palette extent and the last palette color.
+   * @param {string} [options.noDataColor] The CSS color of missing values, instead of `defaultColor`.
+   * @param {Array<string>} [options.hiddenCategories] The IDs of categories which are not shown, for categorical parameters.
+   *   The polygon is not drawn if its current value belongs to one of them.
    * @param {string} [options.defaultColor='black'] The color to use for missing data or if no parameter is set.
    */
   constructor (cov, options) {
@@ -62,7 +80,7 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
     }
     
     if (!options.paletteExtent) {
-      options.paletteExtent = 'full'
+      options.paletteExtent = this.defaultPaletteExtent
     }
     
     L.Util.setOptions(this, options)
@@ -82,12 +100,13 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
    */
   onAdd (map) {
     this._map = map
+    this._addFovListener(map)
 
     this.load()
       .then(() => this._updateTimeIndex())
+      .then(() => this._unproject())
       .then(() => this.initializePalette())
       .then(() => {
-        this._unproject()
         this._addPolygon()
         this._pointInPolygonPreprocess()
         this.fire('afterAdd')
@@ -104,6 +123,8 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
       let {lat,lon} = unproject({x: coords[ix], y: coords[iy]})
       return [lon,lat]
     }))
+    // used for 'fov' palette extents, the exterior ring is sufficient
+    this._polygonBounds = L.latLngBounds(this._polygonLonLat[0].map(([lon,lat]) => [lat,lon]))
   }
     
   _updateTimeIndex () {
@@ -111,8 +132,9 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
     if (t.coordPref == undefined) {
       t.idx = t.coord = undefined
     } else {
-      let vals = this.domain.axes.get('t').values.map(v => asTime(v))
-      t.idx = indexOfNearest(vals, asTime(t.coordPref))
+      let calendar = getCalendar(this.domain)
+      let vals = this.domain.axes.get('t').values.map(v => toTimestamp(v, calendar))
+      t.idx = indexOfNearest(vals, toTimestamp(t.coordPref, calendar))
       t.coord = vals[t.idx]
     }
   }
@@ -121,7 +143,8 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
    * @ignore
    * @override
    */
-  onRemove () {
+  onRemove (map) {
+    this._removeFovListener(map)
     this._removePolygon()
   }
   
@@ -192,13 +215,14 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
   }
   
   /**
-   * Sets the currently active time to the one closest to the given Date object.
+   * Sets the currently active time to the one closest to the given Date object,
+   * or {@link CalendarDate} object for non-Gregorian calendars.
    * 
-   * @type {Date|undefined}
+   * @type {Date|CalendarDate|undefined}
    */
   set time (val) {
     let old = this.time
-    this._axesSubset.t.coordPref = val ? new Date(asTime(val)).toISOString() : undefined
+    this._axesSubset.t.coordPref = val ? parseTime(val, getCalendar(this.domain)).toISOString() : undefined
     
     this._updateTimeIndex()
     if (old === this.time) return
@@ -207,26 +231,27 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
   }
   
   /**
-   * The currently active time on the temporal axis as Date object, 
+   * The currently active time on the temporal axis as Date or {@link CalendarDate} object, 
    * or undefined if no time is set.
    * 
-   * @type {Date|undefined}
+   * @type {Date|CalendarDate|undefined}
    */
   get time () {
     if (!this._axesSubset.t.coord) {
       return
     }
     let time = this.domain.axes.get('t').values[this._axesSubset.t.idx]
-    return new Date(time)
+    return parseTime(time, getCalendar(this.domain))
   }
   
   /**
    * The time slices that make up the coverage.
    * 
-   * @type {Array<Date>}
+   * @type {Array<Date|CalendarDate>}
    */
   get timeSlices () {
-    return this.domain.axes.get('t').values.map(t => new Date(t))
+    let calendar = getCalendar(this.domain)
+    return this.domain.axes.get('t').values.map(t => parseTime(t, calendar))
   }
     
   /**
@@ -252,6 +277,16 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
       extent = minMaxOfRange(this.range)
       extent = enlargeExtentIfEqual(extent)
       return Promise.resolve(extent)
+    } else if (extent === 'fov') {
+      if (!this.parameter) {
+        throw new Error('palette extent cannot be computed when no parameter has been chosen')
+      }
+      
+      // the polygon is either entirely considered or not at all
+      if (!this._map.getBounds().intersects(this._polygonBounds)) {
+        return this._currentPaletteExtentOr('full')
+      }
+      return this.computePaletteExtent('full')
     } else {
       throw new Error('Unknown extent specification: ' + extent)
     }
@@ -269,10 +304,12 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
   
   _addPolygon () {
     let polygon = this._polygonLonLat
+    let val = this.getValue()
     let geojson = {
       "type": "Feature",
       "properties": {
-        "color": this._getColor(this.getValue())
+        "color": this._getColor(val),
+        "fillOpacity": this._getFillOpacity(val)
       },
       "geometry": {
         "type": "Polygon",
@@ -280,10 +317,11 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
       }
     }
     
-    this._geojson = L.geoJson(geojson, {
+    // an empty layer if hidden, so that it can be updated like a shown polygon
+    this._geojson = L.geoJson(this._isHiddenCategory(val) ? [] : geojson, {
       style: feature => ({
         color: feature.properties.color,
-        fillOpacity: 1,
+        fillOpacity: feature.properties.fillOpacity,
         stroke: false
       }),
       onEachFeature: (feature, layer) => {
@@ -305,13 +343,32 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
 
   _updatePolygon () {
     if(!this._geojson) return
+    if (this.hiddenCategories.length > 0) {
+      // the polygon may appear or disappear
+      this.redraw()
+      return
+    }
+    let val = this.getValue()
     for (let layer of this._geojson.getLayers()) {
       layer.setStyle({
-        fillColor: this._getColor(this.getValue()),
+        fillColor: this._getColor(val),
+        fillOpacity: this._getFillOpacity(val)
       })
     }
   }
     
+  /**
+   * Returns the displayed value for computing class breaks, percentile extents, and histograms,
+   * the values of other time steps are not shown.
+   * 
+   * @ignore
+   * @override
+   */
+  getPaletteValues () {
+    let val = this.getValue()
+    return val != null ? [val] : []
+  }
+  
   /**
    * Return the displayed value (number, or null for no-data),
    * or undefined if not fixed to a t-coordinate or parameter.
@@ -343,18 +400,17 @@ export class PolygonSeries extends PaletteMixin(CoverageMixin(L.Layer)) {
   
   // NOTE: this returns a string, not an {r,g,b} object as in other classes!
   _getColor (val) {
-    if (val === null) {
-      // no-data
-      return this._defaultColor
-    } else if (val === undefined) {
+    if (val === undefined) {
       // not fixed to a param or z-coordinate
       return this._defaultColor
-    } else {
-      // use a palette
-      let idx = this.getPaletteIndex(val)
-      let {red, green, blue} = this.palette
-      return `rgb(${red[idx]}, ${green[idx]}, ${blue[idx]})`
     }
+    let idx = this._getColorIndex(val)
+    if (idx === undefined) {
+      // no-data or outside of the palette extent, without a color for it
+      return this._defaultColor
+    }
+    let {red, green, blue} = this._colors
+    return `rgb(${red[idx]}, ${green[idx]}, ${blue[idx]})`
   }
   
   /**
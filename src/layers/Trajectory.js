@@ -29,6 +29,9 @@ import {DEFAULT_COLOR} from './Point.js'
  * @emits {DataLayer#error} Error when loading data
  * @emits {PaletteMixin#paletteChange} Palette has changed
  * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ * @emits {PaletteMixin#displayUnitChange} Display unit has changed
  * @emits {Point#click} when a point was clicked
  * 
  * @extends {L.FeatureGroup}
@@ -47,7 +50,18 @@ export class Trajectory extends PaletteMixin(CoverageMixin(L.FeatureGroup)) {
    * @param {Object} [options] The options object.
    * @param {string} [options.parameter] The key of the parameter to display, not needed for domain objects.
    * @param {Palette} [options.palette] The initial color palette to use, the default depends on the parameter type.
-   * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full' or specific: [-10,10].
+   * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full', 'fov', or specific: [-10,10].
+   *   With 'fov', only the points within the map field of view are considered and the extent is
+   *   recomputed when the map is panned or zoomed.
+   *   Percentiles of all values, ignoring outliers, can be used with `{percentile: [2, 98]}`.
+   * @param {string} [options.displayUnit] The symbol of the unit in which values are shown, for example '°C'.
+   *   Explicit palette extents are given in this unit, see {@link registerUnitConversion}.
+   * @param {PaletteScale} [options.paletteScale='linear'] The initial palette scale, e.g. 'log', see {@link PaletteScale}.
+   * @param {ClassBreaks} [options.classBreaks] Colours values in classes instead of a gradient, see {@link ClassBreaks}.
+   * @param {string} [options.belowColor] The CSS color of values below the palette extent, for example `transparent`,
+   *  or `extend` to use the first palette color. By default, such values are drawn in `defaultColor`.
+   * @param {string} [options.aboveColor] Like `belowColor`, for values above the palette extent and the last palette color.
+   * @param {string} [options.noDataColor] The CSS color of missing values, instead of `defaultColor`.
    * @param {string} [options.defaultColor='black'] The color to use for missing data or if no parameter is set.
    */
   constructor (cov, options) {
@@ -60,7 +74,7 @@ export class Trajectory extends PaletteMixin(CoverageMixin(L.FeatureGroup)) {
     }
     
     if (!options.paletteExtent) {
-      options.paletteExtent = 'full'
+      options.paletteExtent = this.defaultPaletteExtent
     }
     
     L.Util.setOptions(this, options)
@@ -77,6 +91,7 @@ export class Trajectory extends PaletteMixin(CoverageMixin(L.FeatureGroup)) {
    */
   onAdd (map) {
     this._map = map
+    this._addFovListener(map)
     
     this.load()
       .then(() => this.initializePalette())
@@ -85,6 +100,15 @@ export class Trajectory extends PaletteMixin(CoverageMixin(L.FeatureGroup)) {
         this.fire('afterAdd')
       })
   }
+  
+  /**
+   * @ignore
+   * @override
+   */
+  onRemove (map) {
+    this._removeFovListener(map)
+    super.onRemove(map)
+  }
     
   /**
    * The coverage object associated to this layer.
@@ -114,19 +138,30 @@ export class Trajectory extends PaletteMixin(CoverageMixin(L.FeatureGroup)) {
         
     if (extent === 'full') {
       // scan the whole range for min/max values
-      
+      extent = minMaxOfRange(range)
     } else if (extent === 'fov') {
       // scan the values that are currently in field of view on the map for min/max
       let bounds = this._map.getBounds()
-
-      // TODO implement
-      throw new Error('NOT IMPLEMENTED YET')      
+      let points = this.getLatLngs()
+      let min = Infinity
+      let max = -Infinity
+      for (let i=0; i < points.length; i++) {
+        if (!bounds.contains(points[i])) continue
+        let val = this._getValue(i)
+        if (val === null) continue
+        min = Math.min(min, val)
+        max = Math.max(max, val)
+      }
+      if (min === Infinity) {
+        // no data in view
+        return this._currentPaletteExtentOr('full')
+      }
+      extent = [min, max]
     } else {
       throw new Error('Unknown extent specification: ' + extent)
     }
 
-    extent = minMaxOfRange(range)
-    extent = enlargeExtentIfEqual(extent)    
+    extent = enlargeExtentIfEqual(extent)
     return Promise.resolve(extent)
   }
   
@@ -134,10 +169,13 @@ export class Trajectory extends PaletteMixin(CoverageMixin(L.FeatureGroup)) {
     // add a Polyline in black, and coloured CircleMarker's for each domain point
     let points = this.getLatLngs()
     for (let i=0; i < points.length; i++) {
+      let val = this._getValue(i)
+      // the alpha of the color applies to the outline as well, e.g. for a transparent belowColor
+      let opacity = this._getFillOpacity(val)
       let marker = new L.CircleMarker(points[i], {
-        color: this._getColor(this._getValue(i)),
-        opacity: 1,
-        fillOpacity: 1
+        color: this._getColor(val),
+        opacity,
+        fillOpacity: opacity
       })
       this.addLayer(marker)
     }
@@ -204,18 +242,17 @@ export class Trajectory extends PaletteMixin(CoverageMixin(L.FeatureGroup)) {
   
   // NOTE: this returns a string, not an {r,g,b} object as in other classes!
   _getColor (val) {
-    if (val === null) {
-      // no-data
-      return this._defaultColor
-    } else if (val === undefined) {
+    if (val === undefined) {
       // not fixed to a param
       return this._defaultColor
-    } else {
-      // use a palette
-      let idx = this.getPaletteIndex(val)
-      let {red, green, blue} = this.palette
-      return `rgb(${red[idx]}, ${green[idx]}, ${blue[idx]})`
     }
+    let idx = this._getColorIndex(val)
+    if (idx === undefined) {
+      // no-data or outside of the palette extent, without a color for it
+      return this._defaultColor
+    }
+    let {red, green, blue} = this._colors
+    return `rgb(${red[idx]}, ${green[idx]}, ${blue[idx]})`
   }
   
   /**
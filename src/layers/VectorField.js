@@ -0,0 +1,325 @@
+import {Grid} from './Grid.js'
+import {paletteColor} from './palettes.js'
+import {getLanguageMap} from '../util/i18n.js'
+
+const GLYPHS = ['arrow', 'barb']
+
+/**
+ * Renderer for vector fields (e.g. wind or currents) of Coverages conforming to the `Grid` domain type of CovJSON.
+ *
+ * The vectors are derived from two parameters holding the eastward (u) and northward (v) components
+ * and are drawn as arrows or wind barbs on a regular screen-space lattice, which means that
+ * glyphs are thinned out when zooming out. Each glyph is coloured according to the vector magnitude (speed).
+ *
+ * Time, vertical, palette, and palette extent handling is identical to {@link Grid},
+ * meaning that {@link TimeAxis}, {@link VerticalAxis}, and legends can be used the same way.
+ * The palette and legends refer to the speed, see {@link VectorField#parameter}.
+ *
+ * @example
+ * var cov = ... // get Coverage data
+ * var layer = new C.VectorField(cov, {
+ *   parameters: ['u_wind', 'v_wind'],
+ *   glyph: 'barb'
+ * })
+ *
+ * @see https://covjson.org/domain-types/#grid
+ *
+ * @emits {DataLayer#afterAdd} Layer is initialized and was added to the map
+ * @emits {DataLayer#dataLoading} Data loading has started
+ * @emits {DataLayer#dataLoad} Data loading has finished (also in case of errors)
+ * @emits {DataLayer#error} Error when loading data
+ * @emits {DataLayer#axisChange} Axis coordinate has changed (e.axis === 'time'|'vertical')
+ * @emits {PaletteMixin#paletteChange} Palette has changed
+ * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ *
+ * @extends {Grid}
+ * @implements {DataLayer}
+ */
+export class VectorField extends Grid {
+
+  /**
+   * Supports all options of {@link Grid} except `parameter`, `valueToColor`, and `noDataColor`
+   * (vectors with missing components cannot be drawn), and in addition the following.
+   *
+   * @param {Coverage} cov The coverage object to visualize.
+   * @param {Object} options The options object.
+   * @param {Array<string>} options.parameters The keys of the eastward (u) and northward (v) component parameters,
+   *  in that order. Both must be continuous parameters with the same unit.
+   * @param {string} [options.glyph='arrow'] How vectors are drawn, either `arrow` (pointing in the direction
+   *  the vector points to) or `barb` (wind barb with the staff pointing in the direction the vector comes from;
+   *  pennants, full barbs, and half barbs stand for 50, 10, and 5 units of the parameters).
+   * @param {number} [options.glyphSpacing=40] The distance in pixels between neighbouring glyphs.
+   * @param {number} [options.glyphSize] The length of the arrows and barb staffs in pixels,
+   *  defaults to 80% of the glyph spacing.
+   * @param {number} [options.lineWidth=1.5] The line width of the glyphs in pixels.
+   */
+  constructor (cov, options={}) {
+    if (!Array.isArray(options.parameters) || options.parameters.length !== 2) {
+      throw new Error('The "parameters" option must contain the keys of the u and v parameters')
+    }
+    let [uKey, vKey] = options.parameters
+    options.parameter = uKey
+    super(cov, options)
+
+    let uParam = cov.parameters.get(uKey)
+    let vParam = cov.parameters.get(vKey)
+    if (!uParam || !vParam) {
+      throw new Error('Parameter not found: ' + (uParam ? vKey : uKey))
+    }
+    if (uParam.categoryEncoding || vParam.categoryEncoding) {
+      throw new Error('Vectors cannot be derived from categorical parameters')
+    }
+    this._vectorParams = [uParam, vParam]
+
+    // the palette, legends, and palette extent refer to the vector magnitude
+    this._param = {
+      key: uKey + '+' + vKey,
+      unit: uParam.unit,
+      observedProperty: {
+        label: getLanguageMap('vectorSpeed')
+      }
+    }
+
+    this._glyph = checkGlyph(options.glyph || 'arrow')
+    this._glyphSpacing = options.glyphSpacing || 40
+    this._glyphSize = options.glyphSize || this._glyphSpacing * 0.8
+    this._lineWidth = options.lineWidth || 1.5
+  }
+
+  /**
+   * The speed parameter derived from the u and v components, which is used for colouring the glyphs.
+   *
+   * @type {Parameter}
+   */
+  get parameter () {
+    return this._param
+  }
+
+  /**
+   * The u and v component parameters.
+   *
+   * @type {Array<Parameter>}
+   */
+  get parameters () {
+    return this._vectorParams
+  }
+
+  /**
+   * How vectors are drawn, either `arrow` or `barb`.
+   *
+   * @type {string}
+   */
+  get glyph () {
+    return this._glyph
+  }
+
+  set glyph (val) {
+    this._glyph = checkGlyph(val)
+    this.redraw()
+  }
+
+  /**
+   * Loads both components and returns a range of the vector magnitudes
+   * which additionally holds the component ranges in its `components` property.
+   *
+   * @ignore
+   * @override
+   */
+  _loadRange (cov) {
+    let [uParam, vParam] = this._vectorParams
+    return Promise.all([cov.loadRange(uParam.key), cov.loadRange(vParam.key)]).then(([uRange, vRange]) => {
+      return {
+        shape: uRange.shape,
+        dataType: 'float',
+        get: idx => {
+          let u = uRange.get(idx)
+          let v = vRange.get(idx)
+          if (u === null || v === null) {
+            return null
+          }
+          return Math.sqrt(u*u + v*v)
+        },
+        components: [uRange, vRange]
+      }
+    })
+  }
+
+  /**
+   * Return the displayed vector at a given geographic position.
+   * If out of bounds, then undefined is returned, otherwise an object or null (for no data).
+   *
+   * The returned object has a `speed` property (the vector magnitude) and a `direction` property
+   * (the direction the vector points to, in degrees clockwise from north).
+   *
+   * @param {L.LatLng} latlng
+   * @returns {Object|null|undefined}
+   */
+  getValueAt (latlng) {
+    let idx = this._getIndexAt(latlng)
+    if (!idx) {
+      return
+    }
+    let [u, v] = this._getComponentValueFns().map(vals => vals(idx))
+    if (u === null || v === null) {
+      return null
+    }
+    return toSpeedDirection(u, v)
+  }
+
+  /**
+   * Returns functions that return the u and v values for a given index object,
+   * taking into account the interpolation method.
+   *
+   * @return {Array<function(idx: Object): number|null>}
+   */
+  _getComponentValueFns () {
+    return this._subsetRange.components.map(range => this._getRangeValueFn(this._projX, this._projY, range))
+  }
+
+  /**
+   * @ignore
+   * @override
+   */
+  drawTile (canvas, coords) {
+    if (this._errored) return
+
+    let ctx = canvas.getContext('2d')
+    ctx.lineWidth = this._lineWidth
+    ctx.lineCap = 'round'
+    ctx.lineJoin = 'round'
+
+    let tileSize = this.getTileSize()
+    let x0 = coords.x * tileSize.x
+    let y0 = coords.y * tileSize.y
+    let spacing = this._glyphSpacing
+    // glyphs of neighbouring lattice points may reach into this tile
+    let margin = this._glyphSize
+
+    let colors = this._colors
+    let [uVals, vVals] = this._getComponentValueFns()
+
+    // the lattice is anchored at global pixel coordinates so that glyphs line up across tiles
+    let startX = Math.ceil((x0 - margin) / spacing) * spacing
+    let startY = Math.ceil((y0 - margin) / spacing) * spacing
+    for (let py = startY; py <= y0 + tileSize.y + margin; py += spacing) {
+      for (let px = startX; px <= x0 + tileSize.x + margin; px += spacing) {
+        let latlng = this._map.unproject([px, py], coords.z)
+        let idx = this._getIndexAt(latlng)
+        if (!idx) continue
+        let u = uVals(idx)
+        let v = vVals(idx)
+        if (u === null || v === null) continue
+
+        let speed = Math.sqrt(u*u + v*v)
+        let colorIdx = this._getColorIndex(speed)
+        if (colorIdx === undefined) continue
+        let color = paletteColor(colors, colorIdx)
+        ctx.strokeStyle = color
+        ctx.fillStyle = color
+
+        ctx.save()
+        ctx.translate(px - x0, py - y0)
+        if (this._glyph === 'arrow') {
+          drawArrow(ctx, u, v, this._glyphSize)
+        } else {
+          drawBarb(ctx, u, v, this._glyphSize)
+        }
+        ctx.restore()
+      }
+    }
+  }
+}
+
+function checkGlyph (glyph) {
+  if (GLYPHS.indexOf(glyph) === -1) {
+    throw new Error('Unsupported glyph: ' + glyph + ', must be one of ' + GLYPHS.join(', '))
+  }
+  return glyph
+}
+
+/**
+ * Converts u and v vector components to speed and direction (degrees clockwise from north
+ * that the vector points to).
+ *
+ * @example
+ * toSpeedDirection(0, 2) // {speed: 2, direction: 0}
+ * toSpeedDirection(-1, 0) // {speed: 1, direction: 270}
+ */
+function toSpeedDirection (u, v) {
+  let speed = Math.sqrt(u*u + v*v)
+  let direction = (Math.atan2(u, v) * 180 / Math.PI + 360) % 360
+  return {speed, direction}
+}
+
+/**
+ * Draws an arrow centred on the origin pointing in the direction of the vector.
+ * Note that canvas y coordinates point down, so the northward component is flipped.
+ */
+function drawArrow (ctx, u, v, length) {
+  let head = Math.max(length / 4, 3)
+  ctx.rotate(Math.atan2(-v, u))
+  ctx.beginPath()
+  ctx.moveTo(-length / 2, 0)
+  ctx.lineTo(length / 2, 0)
+  ctx.moveTo(length / 2 - head, -head / 2)
+  ctx.lineTo(length / 2, 0)
+  ctx.lineTo(length / 2 - head, head / 2)
+  ctx.stroke()
+}
+
+/**
+ * Draws a wind barb whose staff starts at the origin and points into the direction the vector comes from.
+ * The speed is rounded to the nearest 5 units, speeds below 2.5 units are drawn as a circle (calm).
+ */
+function drawBarb (ctx, u, v, length) {
+  let speed = Math.round(Math.sqrt(u*u + v*v) / 5) * 5
+  if (speed === 0) {
+    ctx.beginPath()
+    ctx.arc(0, 0, length / 8, 0, 2 * Math.PI)
+    ctx.stroke()
+    return
+  }
+  let pennants = Math.floor(speed / 50)
+  let barbs = Math.floor((speed % 50) / 10)
+  let halfBarb = speed % 10 === 5
+
+  let featherLength = length * 0.4
+  let gap = length * 0.15
+
+  ctx.rotate(Math.atan2(v, -u))
+  ctx.beginPath()
+  ctx.moveTo(0, 0)
+  ctx.lineTo(length, 0)
+  ctx.stroke()
+
+  // feathers are drawn from the end of the staff inwards, on its right-hand side as seen from the origin (northern hemisphere convention)
+  let pos = length
+  for (let i=0; i < pennants; i++) {
+    ctx.beginPath()
+    ctx.moveTo(pos, 0)
+    ctx.lineTo(pos, featherLength)
+    ctx.lineTo(pos - gap, 0)
+    ctx.closePath()
+    ctx.fill()
+    pos -= gap * 1.5
+  }
+  for (let i=0; i < barbs; i++) {
+    ctx.beginPath()
+    ctx.moveTo(pos, 0)
+    ctx.lineTo(pos + featherLength * 0.3, featherLength)
+    ctx.stroke()
+    pos -= gap
+  }
+  if (halfBarb) {
+    if (pos === length) {
+      // a lone half barb is set back from the end of the staff to distinguish it from a full barb
+      pos -= gap
+    }
+    ctx.beginPath()
+    ctx.moveTo(pos, 0)
+    ctx.lineTo(pos + featherLength * 0.15, featherLength / 2)
+    ctx.stroke()
+  }
+}
@@ -34,6 +34,9 @@ import {DEFAULT_COLOR} from './Point.js'
  * @emits {DataLayer#axisChange} Axis coordinate has changed (e.axis === 'vertical')
  * @emits {PaletteMixin#paletteChange} Palette has changed
  * @emits {PaletteMixin#paletteExtentChange} Palette extent has changed
+ * @emits {PaletteMixin#paletteScaleChange} Palette scale has changed
+ * @emits {PaletteMixin#classBreaksChange} Class breaks have changed
+ * @emits {PaletteMixin#displayUnitChange} Display unit has changed
  * @emits {Point#click} when the point was clicked
  * 
  * @extends {L.Layer}
@@ -55,6 +58,14 @@ export class VerticalProfile extends PaletteMixin(CircleMarkerMixin(CoverageMixi
    * @param {number} [options.vertical] The initial vertical slice to display.
    * @param {Palette} [options.palette] The initial color palette to use, the default depends on the parameter type.
    * @param {string} [options.paletteExtent='full'] The initial palette extent, either 'full' or specific: [-10,10].
+   * @param {string} [options.displayUnit] The symbol of the unit in which values are shown, for example '°C'.
+   *   Explicit palette extents are given in this unit, see {@link registerUnitConversion}.
+   * @param {PaletteScale} [options.paletteScale='linear'] The initial palette scale, e.g. 'log', see {@link PaletteScale}.
+   * @param {ClassBreaks} [options.classBreaks] Colours values in classes instead of a gradient, see {@link ClassBreaks}.
+   * @param {string} [options.belowColor] The CSS color of values below the palette extent, for example `transparent`,
+   *  or `extend` to use the first palette color. By default, such values are drawn in `defaultColor`.
+   * @param {string} [options.aboveColor] Like `belowColor`, for values above the palette extent and the last palette color.
+   * @param {string} [options.noDataColor] The CSS color of missing values, instead of `defaultColor`. Requires `showNoData`.
    * @param {string} [options.defaultColor='black'] The color to use for missing data or if no parameter is set.
    * @param {boolean} [options.showNoData=false] Whether to draw the point if there is no data.
    */
@@ -68,7 +79,7 @@ export class VerticalProfile extends PaletteMixin(CircleMarkerMixin(CoverageMixi
     }
     
     if (!options.paletteExtent) {
-      options.paletteExtent = 'full'
+      options.paletteExtent = this.defaultPaletteExtent
     }
     
     L.Util.setOptions(this, options)
@@ -253,17 +264,16 @@ export class VerticalProfile extends PaletteMixin(CircleMarkerMixin(CoverageMixi
   }
   
   _getColor (val) {
-    if (val === null) {
-      // no-data
-      return this._defaultColor
-    } else if (val === undefined) {
+    if (val === undefined) {
       // not fixed to a param or z-coordinate
       return this._defaultColor
-    } else {
-      // use a palette
-      let idx = this.getPaletteIndex(val)
-      let {red, green, blue} = this.palette
-      return {r: red[idx], g: green[idx], b: blue[idx]}
     }
+    let idx = this._getColorIndex(val)
+    if (idx === undefined) {
+      // no-data or outside of the palette extent, without a color for it
+      return this._defaultColor
+    }
+    let {red, green, blue} = this._colors
+    return {r: red[idx], g: green[idx], b: blue[idx]}
   }
 }
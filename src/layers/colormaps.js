@@ -0,0 +1,75 @@
+/**
+ * Colour stops of the built-in named palettes, see {@link namedPalette}.
+ * 
+ * Each entry has a `type` (`sequential`, `diverging`, or `qualitative`) and
+ * the colours as space-separated hex triplets, from the lowest to the highest value.
+ * Continuous colormaps are sampled at evenly spaced positions and linearly interpolated when used.
+ * 
+ * Sources:
+ * - matplotlib: viridis, magma, inferno, plasma (CC0), cividis (Nuñez et al. 2018), turbo (Google, Apache 2.0)
+ * - cmocean: Thyng et al. 2016, https://matplotlib.org/cmocean/ (MIT)
+ * - colorbrewer: Cynthia Brewer, http://colorbrewer2.org (Apache 2.0)
+ * 
+ * @private
+ */
+export const COLORMAPS = {
+  // matplotlib
+  'matplotlib.viridis': {type: 'sequential', colors: '440154 481a6c 472f7d 414487 39568c 31688e 2a788e 23888e 1f988b 22a884 35b779 54c568 7ad151 a5db36 d2e21b fde725'},
+  'matplotlib.magma': {type: 'sequential', colors: '000004 0b0924 20114b 3b0f70 57157e 721f81 8c2981 a8327d c43c75 de4968 f1605d fa7f5e fe9f6d febf84 fddea0 fcfdbf'},
+  'matplotlib.inferno': {type: 'sequential', colors: '000004 0c0826 240c4f 420a68 5d126e 781c6d 932667 ae305c c73e4c dd513a ed6925 f8850f fca50a fac62d f2e661 fcffa4'},
+  'matplotlib.plasma': {type: 'sequential', colors: '0d0887 330597 5002a2 6a00a8 8405a7 9c179e b12a90 c33d80 d35171 e16462 ed7953 f68f44 fca636 fec029 f9dc24 f0f921'},
+  'matplotlib.cividis': {type: 'sequential', colors: '002051 022c65 14386d 2b446e 42506e 575c6e 696970 787573 868276 948f78 a49d78 b6ab73 caba6a e0c95d f2d950 fdea45'},
+  'matplotlib.turbo': {type: 'sequential', colors: '23171b 4a41b5 426ff2 2f9df5 25c6d8 2ee5ae 4df884 7bfe5f aff444 dedd32 feb927 ff8e1f f65f18 d0330e a51403 900c00'},
+  // cmocean
+  'cmocean.thermal': {type: 'sequential', colors: '032333 0d3064 35329b 5d3e99 7e4d8f 9e5987 c16479 e17161 f68b45 fbad3c f6d346 e7fa5a'},
+  'cmocean.haline': {type: 'sequential', colors: '29186b 2a23a0 0f4799 125f8e 267489 358888 419d85 51b27c 6fc66b a0d65b d4e170 fdee99'},
+  'cmocean.solar': {type: 'sequential', colors: '331317 4f1c21 6c2424 872f20 9d4219 ae5814 bc6f13 c78916 d1a420 d9c02c dede3b e0fd4a'},
+  'cmocean.ice': {type: 'sequential', colors: '030512 191933 2c2a57 3a3c7d 3e53a0 3e6db2 4886bb 599fc4 72b8cd 95cfd8 c0e5e8 eafcfd'},
+  'cmocean.deep': {type: 'sequential', colors: 'fdfdcc ceecb3 9cdba5 6fc9a3 56b1a3 4c99a0 44829b 3e6c96 3e528f 403c73 362b4d 271a2c'},
+  'cmocean.dense': {type: 'sequential', colors: 'e6f0f0 bfdde5 9cc9e2 81b4e3 739ae4 757fdd 7864ca 774aaf 71328d 641f68 501442 360e24'},
+  'cmocean.algae': {type: 'sequential', colors: 'd6f9cf bae4ae 9cd18f 7cbf73 55ae5b 259d51 078a4e 0d7547 175f3d 194b31 173723 112414'},
+  'cmocean.matter': {type: 'sequential', colors: 'fdedb0 facd91 f6ad77 f08e62 e76d54 d85053 c3385a a82860 8a1d63 6b185d 4c1550 2f0f3d'},
+  'cmocean.turbid': {type: 'sequential', colors: 'e8f5ab dcdb89 d1c16b c7a853 ba8f42 aa793c 97673a 815738 684835 503b2e 392d25 221e1b'},
+  'cmocean.speed': {type: 'sequential', colors: 'fefccd efe19c ddc96a c2b63b 9da715 749905 4b8a14 237924 0b642c 124e2b 193822 172312'},
+  'cmocean.amp': {type: 'sequential', colors: 'f1ecec e6d1cb ddb6aa d59c89 cd8167 c46649 ba4a2f ac2c24 951327 780e28 590d1f 3c0911'},
+  'cmocean.tempo': {type: 'sequential', colors: 'fef5f4 dee0d2 bdceb5 99bd9c 6ead8a 419d81 19897d 127475 195e6a 1c485d 193350 141d43'},
+  'cmocean.balance': {type: 'diverging', colors: '171c42 293a8f 0b66bd 4590b9 8eb5c2 d2d8db e6d2cc d59d89 c46548 ac2b24 780e28 3c0911'},
+  'cmocean.delta': {type: 'diverging', colors: '101f3f 263e90 1e6ea1 3c9aab 8cc1ba d9e5da efe29c c3b63b 739805 227824 124e2b 172312'},
+  'cmocean.curl': {type: 'diverging', colors: '141d43 1c485d 127375 3f9c81 99bd9c dfe1d3 f1dace e0a089 cb6563 a43660 6f175b 330d35'},
+  // ColorBrewer
+  'colorbrewer.Blues': {type: 'sequential', colors: 'f7fbff deebf7 c6dbef 9ecae1 6baed6 4292c6 2171b5 08519c 08306b'},
+  'colorbrewer.Greens': {type: 'sequential', colors: 'f7fcf5 e5f5e0 c7e9c0 a1d99b 74c476 41ab5d 238b45 006d2c 00441b'},
+  'colorbrewer.Greys': {type: 'sequential', colors: 'ffffff f0f0f0 d9d9d9 bdbdbd 969696 737373 525252 252525 000000'},
+  'colorbrewer.Oranges': {type: 'sequential', colors: 'fff5eb fee6ce fdd0a2 fdae6b fd8d3c f16913 d94801 a63603 7f2704'},
+  'colorbrewer.Purples': {type: 'sequential', colors: 'fcfbfd efedf5 dadaeb bcbddc 9e9ac8 807dba 6a51a3 54278f 3f007d'},
+  'colorbrewer.Reds': {type: 'sequential', colors: 'fff5f0 fee0d2 fcbba1 fc9272 fb6a4a ef3b2c cb181d a50f15 67000d'},
+  'colorbrewer.BuGn': {type: 'sequential', colors: 'f7fcfd e5f5f9 ccece6 99d8c9 66c2a4 41ae76 238b45 006d2c 00441b'},
+  'colorbrewer.BuPu': {type: 'sequential', colors: 'f7fcfd e0ecf4 bfd3e6 9ebcda 8c96c6 8c6bb1 88419d 810f7c 4d004b'},
+  'colorbrewer.GnBu': {type: 'sequential', colors: 'f7fcf0 e0f3db ccebc5 a8ddb5 7bccc4 4eb3d3 2b8cbe 0868ac 084081'},
+  'colorbrewer.OrRd': {type: 'sequential', colors: 'fff7ec fee8c8 fdd49e fdbb84 fc8d59 ef6548 d7301f b30000 7f0000'},
+  'colorbrewer.PuBu': {type: 'sequential', colors: 'fff7fb ece7f2 d0d1e6 a6bddb 74a9cf 3690c0 0570b0 045a8d 023858'},
+  'colorbrewer.PuBuGn': {type: 'sequential', colors: 'fff7fb ece2f0 d0d1e6 a6bddb 67a9cf 3690c0 02818a 016c59 014636'},
+  'colorbrewer.PuRd': {type: 'sequential', colors: 'f7f4f9 e7e1ef d4b9da c994c7 df65b0 e7298a ce1256 980043 67001f'},
+  'colorbrewer.RdPu': {type: 'sequential', colors: 'fff7f3 fde0dd fcc5c0 fa9fb5 f768a1 dd3497 ae017e 7a0177 49006a'},
+  'colorbrewer.YlGn': {type: 'sequential', colors: 'ffffe5 f7fcb9 d9f0a3 addd8e 78c679 41ab5d 238443 006837 004529'},
+  'colorbrewer.YlGnBu': {type: 'sequential', colors: 'ffffd9 edf8b1 c7e9b4 7fcdbb 41b6c4 1d91c0 225ea8 253494 081d58'},
+  'colorbrewer.YlOrBr': {type: 'sequential', colors: 'ffffe5 fff7bc fee391 fec44f fe9929 ec7014 cc4c02 993404 662506'},
+  'colorbrewer.YlOrRd': {type: 'sequential', colors: 'ffffcc ffeda0 fed976 feb24c fd8d3c fc4e2a e31a1c bd0026 800026'},
+  'colorbrewer.BrBG': {type: 'diverging', colors: '543005 8c510a bf812d dfc27d f6e8c3 f5f5f5 c7eae5 80cdc1 35978f 01665e 003c30'},
+  'colorbrewer.PRGn': {type: 'diverging', colors: '40004b 762a83 9970ab c2a5cf e7d4e8 f7f7f7 d9f0d3 a6dba0 5aae61 1b7837 00441b'},
+  'colorbrewer.PiYG': {type: 'diverging', colors: '8e0152 c51b7d de77ae f1b6da fde0ef f7f7f7 e6f5d0 b8e186 7fbc41 4d9221 276419'},
+  'colorbrewer.PuOr': {type: 'diverging', colors: '2d004b 542788 8073ac b2abd2 d8daeb f7f7f7 fee0b6 fdb863 e08214 b35806 7f3b08'},
+  'colorbrewer.RdBu': {type: 'diverging', colors: '67001f b2182b d6604d f4a582 fddbc7 f7f7f7 d1e5f0 92c5de 4393c3 2166ac 053061'},
+  'colorbrewer.RdGy': {type: 'diverging', colors: '67001f b2182b d6604d f4a582 fddbc7 ffffff e0e0e0 bababa 878787 4d4d4d 1a1a1a'},
+  'colorbrewer.RdYlBu': {type: 'diverging', colors: 'a50026 d73027 f46d43 fdae61 fee090 ffffbf e0f3f8 abd9e9 74add1 4575b4 313695'},
+  'colorbrewer.RdYlGn': {type: 'diverging', colors: 'a50026 d73027 f46d43 fdae61 fee08b ffffbf d9ef8b a6d96a 66bd63 1a9850 006837'},
+  'colorbrewer.Spectral': {type: 'diverging', colors: '9e0142 d53e4f f46d43 fdae61 fee08b ffffbf e6f598 abdda4 66c2a5 3288bd 5e4fa2'},
+  'colorbrewer.Accent': {type: 'qualitative', colors: '7fc97f beaed4 fdc086 ffff99 386cb0 f0027f bf5b17 666666'},
+  'colorbrewer.Dark2': {type: 'qualitative', colors: '1b9e77 d95f02 7570b3 e7298a 66a61e e6ab02 a6761d 666666'},
+  'colorbrewer.Paired': {type: 'qualitative', colors: 'a6cee3 1f78b4 b2df8a 33a02c fb9a99 e31a1c fdbf6f ff7f00 cab2d6 6a3d9a ffff99 b15928'},
+  'colorbrewer.Pastel1': {type: 'qualitative', colors: 'fbb4ae b3cde3 ccebc5 decbe4 fed9a6 ffffcc e5d8bd fddaec f2f2f2'},
+  'colorbrewer.Pastel2': {type: 'qualitative', colors: 'b3e2cd fdcdac cbd5e8 f4cae4 e6f5c9 fff2ae f1e2cc cccccc'},
+  'colorbrewer.Set1': {type: 'qualitative', colors: 'e41a1c 377eb8 4daf4a 984ea3 ff7f00 ffff33 a65628 f781bf 999999'},
+  'colorbrewer.Set2': {type: 'qualitative', colors: '66c2a5 fc8d62 8da0cb e78ac3 a6d854 ffd92f e5c494 b3b3b3'},
+  'colorbrewer.Set3': {type: 'qualitative', colors: '8dd3c7 ffffb3 bebada fb8072 80b1d3 fdb462 b3de69 fccde5 d9d9d9 bc80bd ccebc5 ffed6f'}
+}
@@ -1,3 +1,12 @@
+import {COLORMAPS} from './colormaps.js'
+import {parseCpt, parseSld, parseQml} from '../util/colorTables.js'
+
+const COLOR_TABLE_PARSERS = {
+  cpt: parseCpt,
+  sld: parseSld,
+  qml: parseQml
+}
+
 /**
  * The `change` event, signalling that a different vertical coordinate value has been selected.
  * 
@@ -6,6 +15,8 @@
  * @property {Array<number>} red Array of integers in [0,255] of length `steps`.
  * @property {Array<number>} green Array of integers in [0,255] of length `steps`.
  * @property {Array<number>} blue Array of integers in [0,255] of length `steps`.
+ * @property {Array<number>} [alpha] Array of integers in [0,255] of length `steps`, 0 being fully transparent.
+ *   If missing, all colors are opaque.
  */
 
 /**
@@ -14,12 +25,17 @@
  * @example
  * var grayscale = C.linearPalette(['#FFFFFF', '#000000'])
  * var rainbow = C.linearPalette(['#0000FF', '#00FFFF', '#00FF00', '#FFFF00', '#FF0000'])
+ * // fade in low values, e.g. for precipitation
+ * var rain = C.linearPalette(['rgba(49,130,189,0)', 'rgba(49,130,189,0.8)', '#08306b'])
  * 
- * @param {Array<string>} colors An array of CSS colors.
+ * @param {Array<string>} colors An array of CSS colors, optionally with alpha (e.g. `rgba(...)`).
+ *   If any color is not fully opaque, the palette has an `alpha` array.
  * @param {number} [steps=256] The number of palette colors to generate.
+ * @param {Array<number>} [positions] The ascending positions of the colors in [0,1], evenly spaced by default.
+ *   Two colors at the same position result in a sharp transition.
  * @return {Palette}
  */
-export function linearPalette (colors, steps=256) {
+export function linearPalette (colors, steps=256, positions) {
   if (steps === 1) {
     // work-around, a gradient with 1 pixel becomes black otherwise
     return directPalette([colors[0]])
@@ -32,7 +48,7 @@ export function linearPalette (colors, steps=256) {
   var gradient = ctx.createLinearGradient(0, 0, steps - 1, 0)
   var num = colors.length
   for (var i = 0; i < num; i++) {
-    gradient.addColorStop(i / (num - 1), colors[i])
+    gradient.addColorStop(positions ? positions[i] : i / (num - 1), colors[i])
   }
   ctx.fillStyle = gradient
   ctx.fillRect(0, 0, steps, 1)
@@ -41,20 +57,22 @@ export function linearPalette (colors, steps=256) {
   var red = new Uint8Array(steps)
   var green = new Uint8Array(steps)
   var blue = new Uint8Array(steps)
+  var alpha = new Uint8Array(steps)
 
   var pix = ctx.getImageData(0, 0, steps, 1).data
   for (let i = 0, j = 0; i < pix.length; i += 4, j++) {
     red[j] = pix[i]
     green[j] = pix[i + 1]
     blue[j] = pix[i + 2]
+    alpha[j] = pix[i + 3]
   }
 
-  return {
+  return withAlpha({
     steps: red.length,
     red: red,
     green: green,
     blue: blue
-  }
+  }, alpha)
 }
 
 /**
@@ -64,7 +82,8 @@ export function linearPalette (colors, steps=256) {
  * var bw = C.directPalette(['#000000', '#FFFFFF'])
  * // bw.steps == 2
  * 
- * @param {Array<string>} colors An array of CSS colors.
+ * @param {Array<string>} colors An array of CSS colors, optionally with alpha (e.g. `rgba(...)`).
+ *   If any color is not fully opaque, the palette has an `alpha` array.
  * @return {Palette}
  */
 export function directPalette (colors) {
@@ -78,22 +97,129 @@ export function directPalette (colors) {
   var red = new Uint8Array(steps)
   var green = new Uint8Array(steps)
   var blue = new Uint8Array(steps)
+  var alpha = new Uint8Array(steps)
   
   for (var i=0; i < colors.length; i++) {
+    // translucent colors would be blended with the previous one otherwise
+    ctx.clearRect(0, 0, 1, 1)
     ctx.fillStyle = colors[i]
     ctx.fillRect(0, 0, 1, 1)
     var pix = ctx.getImageData(0, 0, 1, 1).data
     red[i] = pix[0]
     green[i] = pix[1]
     blue[i] = pix[2]
+    alpha[i] = pix[3]
   }
   
-  return {
+  return withAlpha({
     steps: red.length,
     red: red,
     green: green,
     blue: blue
+  }, alpha)
+}
+
+/**
+ * Adds the alpha channel to the palette unless all colors are opaque.
+ */
+function withAlpha (palette, alpha) {
+  if (alpha.some(a => a < 255)) {
+    palette.alpha = alpha
+  }
+  return palette
+}
+
+/**
+ * Returns a palette from the built-in catalogue of named colormaps.
+ * 
+ * The catalogue contains the perceptually uniform colormaps of matplotlib (e.g. `matplotlib.viridis`),
+ * the oceanographic colormaps of cmocean (e.g. `cmocean.thermal`, `cmocean.balance`),
+ * and the sequential, diverging, and qualitative ColorBrewer schemes (e.g. `colorbrewer.YlGnBu`,
+ * `colorbrewer.RdBu`, `colorbrewer.Set1`). See {@link namedPaletteNames} for all names.
+ * 
+ * Appending `_r` to a name reverses the palette.
+ * 
+ * Qualitative palettes are not interpolated. By default they have as many steps as colors,
+ * if more steps are requested the colors are repeated.
+ * 
+ * @example
+ * var thermal = C.namedPalette('cmocean.thermal', 100)
+ * var bluesReversed = C.namedPalette('colorbrewer.Blues_r')
+ * 
+ * @param {string} name The name of the palette, optionally with `_r` suffix.
+ * @param {number} [steps] The number of palette colors to generate,
+ *   defaults to 256, or the number of colors for qualitative palettes.
+ * @return {Palette}
+ * @throws {Error} If there is no palette with the given name.
+ */
+export function namedPalette (name, steps) {
+  let {colormap, reverse} = getColormap(name)
+  let colors = colormap.colors.split(' ').map(hex => '#' + hex)
+  let palette
+  if (colormap.type === 'qualitative') {
+    let count = steps || colors.length
+    let repeated = []
+    for (let i=0; i < count; i++) {
+      repeated.push(colors[i % colors.length])
+    }
+    palette = directPalette(repeated)
+  } else {
+    palette = linearPalette(colors, steps)
+  }
+  return reverse ? reversePalette(palette) : palette
+}
+
+/**
+ * Returns the names of the built-in palettes usable with {@link namedPalette}.
+ * 
+ * @example
+ * var diverging = C.namedPaletteNames('diverging') // ['cmocean.balance', ..., 'colorbrewer.RdBu', ...]
+ * 
+ * @param {string} [type] Restricts the names to one type of palette,
+ *   one of `sequential`, `diverging`, or `qualitative`.
+ * @return {Array<string>}
+ */
+export function namedPaletteNames (type) {
+  return Object.keys(COLORMAPS).filter(name => !type || COLORMAPS[name].type === type)
+}
+
+/**
+ * Returns a palette with the colors in reverse order.
+ * 
+ * @example
+ * var whiteToBlack = C.reversePalette(C.linearPalette(['#000000', '#FFFFFF']))
+ * 
+ * @param {Palette} palette The palette to reverse.
+ * @return {Palette} A new palette.
+ */
+export function reversePalette (palette) {
+  let reversed = {
+    steps: palette.steps,
+    red: Uint8Array.from(palette.red).reverse(),
+    green: Uint8Array.from(palette.green).reverse(),
+    blue: Uint8Array.from(palette.blue).reverse()
   }
+  if (palette.alpha) {
+    reversed.alpha = Uint8Array.from(palette.alpha).reverse()
+  }
+  return reversed
+}
+
+/**
+ * Returns the CSS color of a palette entry, including its alpha if the palette has an alpha channel.
+ * 
+ * @param {Palette} palette The palette.
+ * @param {number} idx The palette index.
+ * @return {string} An `rgb(...)` or `rgba(...)` CSS color.
+ * 
+ * @private
+ */
+export function paletteColor (palette, idx) {
+  let rgb = palette.red[idx] + ',' + palette.green[idx] + ',' + palette.blue[idx]
+  if (palette.alpha) {
+    return 'rgba(' + rgb + ',' + +(palette.alpha[idx] / 255).toFixed(3) + ')'
+  }
+  return 'rgb(' + rgb + ')'
 }
 
 /**
@@ -129,12 +255,23 @@ export function cssToRGB (cssColor) {
  *   "colors": ["red", "blue", ..]
  * }
  * 
+ * A color table file can be given as well, see {@link importPalette}.
+ * Only its colors are used, not the values they are defined for.
+ * 
+ * {
+ *   "format": "cpt",
+ *   "data": "0 blue 10 red\n..."
+ * }
+ * 
  * @return {Palette}
  */
 export function paletteFromObject (paletteSpec) {
   if (!paletteSpec) {
     return
   }
+  if (paletteSpec.format) {
+    return importPalette(paletteSpec.data, paletteSpec.format, paletteSpec).palette
+  }
   let colors = paletteSpec.colors
   let palette
   if (paletteSpec.interpolation === 'linear') {
@@ -146,7 +283,160 @@ export function paletteFromObject (paletteSpec) {
 }
 
 /**
- * Linearly scales a value to a given palette and value extent.
+ * A palette imported from a color table file together with the values it is defined for.
+ * All properties can be used as layer options.
+ * 
+ * @typedef {Object} ImportedPalette
+ * @property {Palette} palette The palette.
+ * @property {Array<number>} paletteExtent The lowest and highest value of the color table.
+ * @property {Array<number>} [classBreaks] The class breaks if colors are discrete, see {@link ClassBreaks}.
+ * @property {string} [belowColor] The CSS color of values below the extent, if defined by the file.
+ * @property {string} [aboveColor] The CSS color of values above the extent, if defined by the file.
+ * @property {string} [noDataColor] The CSS color of missing values, if defined by the file.
+ */
+
+/**
+ * Imports a palette from the contents of a color table file.
+ * 
+ * Supported formats:
+ * 
+ * - `cpt`: GMT color palette tables with RGB colors. Tables in which each slice has a single color
+ *   are discrete and result in class breaks, others are interpolated.
+ *   The B, F, and N colors become the below-range, above-range, and no-data colors.
+ * - `sld`: The `ColorMap` of an OGC Styled Layer Descriptor, of type `ramp` (interpolated) or `intervals` (discrete).
+ * - `qml`: The `colorrampshader` of a QGIS raster style, of type `INTERPOLATED` or `DISCRETE`.
+ * 
+ * Interpolated colors are sampled at evenly spaced values between the first and last value of the table,
+ * so that unevenly spaced colors are preserved with a linear palette scale.
+ * 
+ * @example
+ * fetch('precip.cpt').then(res => res.text()).then(text => {
+ *   var imported = C.importPalette(text, 'cpt')
+ *   var layer = C.dataLayer(cov, Object.assign({parameter: 'precip'}, imported))
+ *   paletteManager.add('precip', imported.palette)
+ * })
+ * 
+ * @param {string} text The file contents.
+ * @param {string} format The file format, one of `cpt`, `sld`, `qml`.
+ * @param {Object} [options]
+ * @param {number} [options.steps=256] The number of palette colors to generate for interpolated colors.
+ * @return {ImportedPalette}
+ * @throws {Error} If the format is not supported or the file is malformed, with a message describing the problem.
+ */
+export function importPalette (text, format, {steps=256} = {}) {
+  let parse = COLOR_TABLE_PARSERS[format]
+  if (!parse) {
+    throw new Error('Unsupported color table format: ' + format + ', supported are ' +
+      Object.keys(COLOR_TABLE_PARSERS).join(', '))
+  }
+  let table = parse(text)
+  let values = table.values
+  let extent = [values[0], values[values.length - 1]]
+  let imported
+  if (table.interpolate) {
+    let positions = values.map(val => (val - extent[0]) / (extent[1] - extent[0]))
+    imported = {
+      palette: linearPalette(table.colors, steps, positions),
+      paletteExtent: extent
+    }
+  } else {
+    imported = {
+      palette: directPalette(table.colors),
+      paletteExtent: extent,
+      classBreaks: values
+    }
+  }
+  if (table.below) imported.belowColor = table.below
+  if (table.above) imported.aboveColor = table.above
+  if (table.noData) imported.noDataColor = table.noData
+  return imported
+}
+
+/**
+ * The scale by which values within the palette extent are mapped to palette colors.
+ * 
+ * Either one of the strings `linear` (default), `log`, `sqrt`, `symlog`, `diverging`,
+ * or an object with such a `type` and further properties:
+ * 
+ * - `symlog`: `constant` (default 1), the range around zero within which the scale is approximately linear.
+ * - `diverging`: `center` (default 0), the value mapped to the middle of the palette.
+ *   Values below and above the center are scaled linearly onto the lower and upper half of the palette.
+ * 
+ * With `log`, a lower extent bound of zero or below is replaced by a thousandth of the upper bound,
+ * and values of zero or below are treated like values below the extent.
+ * `sqrt` and `symlog` preserve the sign of negative values.
+ * 
+ * @example
+ * layer.paletteScale = 'log'
+ * layer.paletteScale = {type: 'diverging', center: 0}
+ * 
+ * @typedef {string|Object} PaletteScale
+ */
+
+/**
+ * Returns functions for converting between values and their relative position
+ * within the palette extent, according to the given palette scale.
+ * 
+ * @example
+ * let {normalize, denormalize} = paletteScaleFns('log')
+ * normalize(10, [1, 100]) // 0.5
+ * denormalize(0.5, [1, 100]) // 10
+ * 
+ * @param {PaletteScale} [paletteScale='linear'] The palette scale.
+ * @return {Object} An object with `normalize(val, extent)` returning a number which is in [0,1] for values
+ *   within the extent, and the inverse function `denormalize(position, extent)`.
+ * @throws {Error} If the palette scale is not supported.
+ * 
+ * @private
+ */
+export function paletteScaleFns (paletteScale='linear') {
+  let params = typeof paletteScale === 'string' ? {type: paletteScale} : paletteScale
+  switch (params.type) {
+  case 'linear':
+    return transformedScale(v => v, v => v)
+  case 'log':
+    return transformedScale(Math.log, Math.exp, ([lo, hi]) => [lo > 0 ? lo : hi / 1000, hi])
+  case 'sqrt':
+    return transformedScale(v => Math.sign(v) * Math.sqrt(Math.abs(v)), v => Math.sign(v) * v * v)
+  case 'symlog': {
+    let c = params.constant || 1
+    return transformedScale(v => Math.sign(v) * Math.log1p(Math.abs(v) / c), v => Math.sign(v) * Math.expm1(Math.abs(v)) * c)
+  }
+  case 'diverging': {
+    let c = params.center || 0
+    return {
+      normalize: (val, [lo, hi]) => {
+        if (val < c) return 0.5 * (val - lo) / (c - lo)
+        if (val > c) return 0.5 + 0.5 * (val - c) / (hi - c)
+        return 0.5
+      },
+      denormalize: (t, [lo, hi]) => t < 0.5 ? lo + 2 * t * (c - lo) : c + (2 * t - 1) * (hi - c)
+    }
+  }
+  default:
+    throw new Error('Unsupported palette scale: ' + params.type)
+  }
+}
+
+/**
+ * Returns normalize/denormalize functions of a scale which is linear after applying
+ * the monotonic function f to values and extents.
+ */
+function transformedScale (f, fInverse, adjustExtent = extent => extent) {
+  return {
+    normalize: (val, extent) => {
+      let [lo, hi] = adjustExtent(extent).map(f)
+      return (f(val) - lo) / (hi - lo)
+    },
+    denormalize: (t, extent) => {
+      let [lo, hi] = adjustExtent(extent).map(f)
+      return fInverse(lo + t * (hi - lo))
+    }
+  }
+}
+
+/**
+ * Scales a value to a given palette and value extent, linearly by default.
  * 
  * @example
  * var value = 20
@@ -158,17 +448,57 @@ export function paletteFromObject (paletteSpec) {
  * @param {object} palette The palette onto which the value is scaled.
  * @param {Array} extent The lower and upper bound within which the value is scaled,
  *   typically the value extent of a legend.
+ * @param {PaletteScale} [paletteScale='linear'] The scale to use, see {@link PaletteScale}.
  * @return {number} The scaled value.
  * 
  * @private
  */
-export function scale (val, palette, extent) {
+export function scale (val, palette, extent, paletteScale='linear') {
+  if (paletteScale !== 'linear') {
+    return scaleNormalized(paletteScaleFns(paletteScale).normalize(val, extent), palette)
+  }
   // scale val to [0,paletteSize-1] using the palette extent
   // (IDL bytscl formula: http://www.exelisvis.com/docs/BYTSCL.html)
   let scaled = Math.trunc((palette.steps - 1 + 0.9999) * (val - extent[0]) / (extent[1] - extent[0]))
   return scaled
 }
 
+/**
+ * Scales a relative position within the palette extent, as returned by the `normalize` function
+ * of {@link paletteScaleFns}, to a palette index.
+ * 
+ * @param {number} position The position, in [0,1] for values within the extent.
+ * @param {object} palette The palette.
+ * @return {number} The palette index.
+ * 
+ * @private
+ */
+export function scaleNormalized (position, palette) {
+  return Math.trunc((palette.steps - 1 + 0.9999) * position)
+}
+
+/**
+ * Returns the palette index used for a class of class-break colouring.
+ * If the palette has as many colors as there are classes, each class gets its own color,
+ * otherwise the colors are picked evenly from the palette.
+ * 
+ * @param {number} classIdx The index of the class.
+ * @param {number} classes The number of classes.
+ * @param {object} palette The palette.
+ * @return {number} The palette index.
+ * 
+ * @private
+ */
+export function classPaletteIndex (classIdx, classes, palette) {
+  if (classes === palette.steps) {
+    return classIdx
+  }
+  if (classes === 1) {
+    return Math.round((palette.steps - 1) / 2)
+  }
+  return Math.round(classIdx * (palette.steps - 1) / (classes - 1))
+}
+
 /**
  * Return enlarged extent if start and end are the same value,
  * otherwise return unchanged.
@@ -197,15 +527,26 @@ export function enlargeExtentIfEqual (extent, amount=0.1) {
  * palettes.addLinear('grayscalehd', ['#FFFFFF', '#000000'], {steps: 200}) // high-resolution palette
  * palettes.add('breweroranges3', ['#fee6ce', '#fdae6b', '#e6550d']) // palette of those 3 colors
  * palettes.add('mycustom', {red: [0,255], green: [0,0], blue: [10,20]}) // different syntax
+ * palettes.add('fadein', {red: [0,0], green: [0,0], blue: [255,255], alpha: [0,255]}) // transparent to opaque blue
+ * 
+ * @example <caption>Built-in named palettes</caption>
+ * var palettes = new C.PaletteManager({named: ['cmocean.thermal', 'cmocean.balance_r']})
+ * palettes.addNamed('colorbrewer.Set1')
+ * var thermal = palettes.get('cmocean.thermal')
  */
 export class PaletteManager {
   
   /**
-   * @param {Integer} defaultSteps The default number of steps when adding palettes with addLinear().
+   * @param {Integer} defaultSteps The default number of steps when adding palettes with addLinear() or addNamed().
+   * @param {boolean|Array<string>} [named=false] Names of built-in palettes to register initially,
+   *   or `true` for all of them, see {@link namedPalette}.
    */
-  constructor({defaultSteps=256} = {}) {
+  constructor({defaultSteps=256, named=false} = {}) {
     this._defaultSteps = defaultSteps
     this._palettes = new Map()
+    if (named) {
+      this.addNamed(named === true ? namedPaletteNames() : named)
+    }
   }
   
   /**
@@ -224,13 +565,14 @@ export class PaletteManager {
       palette = directPalette(palette)
     }
     
-    if (![palette.red, palette.green, palette.blue].every(arr => arr.length === palette.red.length)) {
-      throw new Error('The red, green, blue arrays of the palette must be of equal lengths')
+    let channels = ['red', 'green', 'blue'].concat(palette.alpha ? ['alpha'] : [])
+    if (!channels.every(c => palette[c].length === palette.red.length)) {
+      throw new Error('The ' + channels.join(', ') + ' arrays of the palette must be of equal lengths')
     }
-    if (!(palette.red instanceof Uint8Array)) {
-      palette.red = _asUint8Array(palette.red)
-      palette.green = _asUint8Array(palette.green)
-      palette.blue = _asUint8Array(palette.blue)
+    for (let c of channels) {
+      if (!(palette[c] instanceof Uint8Array)) {
+        palette[c] = _asUint8Array(palette[c])
+      }
     }
     palette.steps = palette.red.length // for convenience in clients
     this._palettes.set(name, palette)
@@ -252,9 +594,29 @@ export class PaletteManager {
     this.add(name, linearPalette(colors, steps ? steps : this._defaultSteps))
   }
   
+  /**
+   * Store one or more palettes of the built-in catalogue under their names, see {@link namedPalette}.
+   * Qualitative palettes keep their number of colors unless `steps` is given.
+   * 
+   * @example
+   * var palettes = new C.PaletteManager()
+   * palettes.addNamed('matplotlib.viridis')
+   * palettes.addNamed(['cmocean.thermal', 'cmocean.thermal_r'], {steps: 100})
+   * 
+   * @param {string|Array<string>} names The palette names, optionally with `_r` suffix.
+   * @param {number} steps Use a different number of steps than the default of this manager.
+   * @throws {Error} If there is no palette with one of the given names.
+   */
+  addNamed (names, {steps} = {}) {
+    for (let name of Array.isArray(names) ? names : [names]) {
+      let qualitative = getColormap(name).colormap.type === 'qualitative'
+      this.add(name, namedPalette(name, steps ? steps : (qualitative ? undefined : this._defaultSteps)))
+    }
+  }
+  
   /**
    * Return the palette stored under the given name, or throw an error if not found.
-   * The palette is an object with properties steps, red, green, and blue.
+   * The palette is an object with properties steps, red, green, blue, and optionally alpha.
    * Each of the color arrays is an Uint8Array of length steps.
    * 
    * @param {string} name The unique name of the palette
@@ -273,6 +635,15 @@ export class PaletteManager {
   }
 }
 
+function getColormap (name) {
+  let reverse = name.endsWith('_r')
+  let colormap = COLORMAPS[reverse ? name.substr(0, name.length - 2) : name]
+  if (!colormap) {
+    throw new Error('Unknown palette name: ' + name)
+  }
+  return {colormap, reverse}
+}
+
 function _asUint8Array (arr) {
   var ta = new Uint8Array(arr.length)
   for (var i=0; i < arr.length; i++) {
@@ -2,6 +2,11 @@ import L from 'leaflet'
 import c3 from 'c3'
 import {getLanguageString, stringifyUnit} from 'covutils'
 
+import {getUnitConversion} from '../util/units.js'
+import {getCalendar, toTimestamp, fromTimestamp} from '../util/calendar.js'
+import {formatNumber} from '../util/ticks.js'
+import {getLocale, getMessages, formatDate, formatTime, formatDateTime} from '../util/i18n.js'
+
 // TODO DRY: nearly identical to VerticalProfilePlot
 
 /**
@@ -29,15 +34,26 @@ export class TimeSeriesPlot extends L.Popup {
    *   Each group array is ordered as the coverage array and determines which parameter of each coverage
    *   is displayed in a single plot. In each group, at least one item must be defined.
    *   The default for multiple coverages is to display all parameters and treat each one as a separate group.
-   * @param {string} [options.language] A language tag, indicating the preferred language to use for labels.
+   * @param {string} [options.language] A language tag, indicating the preferred language to use for labels,
+   *   built-in messages, and number formats. Defaults to the locale set with {@link setLocale}.
+   * @param {Object} [options.messages] Built-in messages to replace, by key, see {@link registerMessages}.
    * @param {string} [options.precision=4] The number of significant digits to display.
+   * @param {string|function(Date|CalendarDate):string} [options.timeFormat] The format of the time axis labels.
+   *   A function receives a {@link CalendarDate} object for non-Gregorian calendars,
+   *   a string is a d3 time format (see c3 docs) and only suitable for the Gregorian calendar.
+   *   By default, dates and UTC times are formatted according to the language.
+   * @param {Object} [options.displayUnits] The symbols of the units in which values are shown, by parameter key,
+   *   for example `{TEMP: '°C'}`. The key of the first parameter of a group applies to the whole group,
+   *   see {@link registerUnitConversion}.
    */
   constructor (coverage, options = {}) {
     options.maxWidth = options.maxWidth || 350
     super(options)
     this._covs = Array.isArray(coverage) ? coverage : [coverage]
-    this._language = options.language
+    this._language = options.language || getLocale()
+    this._messages = getMessages(this._language, options.messages)
     this._precision = options.precision || 4
+    this._displayUnits = options.displayUnits || {}
     
     this._labels = options.labels ? options.labels : new Array(this._covs.length)
 
@@ -136,6 +152,10 @@ export class TimeSeriesPlot extends L.Popup {
     this.setContent(el)
   }
   
+  _formatNumber (val) {
+    return formatNumber(val, {significantDigits: this._precision, locale: this._language})
+  }
+  
   _getRefParam (paramKeyGroup) {
     // use first defined parameter as representative for the group
     let covsWithParamKey = zip(this._covs, paramKeyGroup)
@@ -146,14 +166,18 @@ export class TimeSeriesPlot extends L.Popup {
   
   _getPlotElement (paramKeyGroup) {    
     let refDomain = this._domains[0]
+    // times are plotted as timestamps within the calendar so that dates like February 30 keep their order
+    let calendar = getCalendar(refDomain)
+    let toDate = t => fromTimestamp(+t, calendar)
     let covsWithParamKey = zip(this._covs, paramKeyGroup)
     
     let refParam = this._getRefParam(paramKeyGroup)
     
     // axis labels
-    let xLabel = 'Time'
+    let xLabel = this._messages.time
     
-    let unit = stringifyUnit(refParam.unit, this._language)
+    let displayUnit = this._displayUnits[refParam.key]
+    let unit = displayUnit || stringifyUnit(refParam.unit, this._language)
     let obsPropLabel = getLanguageString(refParam.observedProperty.label, this._language)
     
     // http://c3js.org/samples/simple_xy_multiple.html
@@ -177,7 +201,10 @@ export class TimeSeriesPlot extends L.Popup {
       xs[yname] = xname
       
       let tVals = this._domains[i].axes.get('t').values
+      let tCalendar = getCalendar(this._domains[i])
       let vals = this._ranges[i].get(paramKey)
+      // the parameters of a group may have different units
+      let {convert} = getUnitConversion(this._covs[i].parameters.get(paramKey).unit, displayUnit)
       let x = [xname]
       let y = [yname]
       for (let j=0; j < tVals.length; j++) {
@@ -185,15 +212,27 @@ export class TimeSeriesPlot extends L.Popup {
         if (val === null) {
           continue
         }
-        let t = new Date(tVals[j])
-        x.push(t)
-        y.push(val)
+        x.push(toTimestamp(tVals[j], tCalendar))
+        y.push(convert(val))
       }
       
       columns.push(x)
       columns.push(y)
     }
     
+    let timeFormat = this.options.timeFormat
+    if (typeof timeFormat === 'function') {
+      let format = timeFormat
+      timeFormat = t => format(toDate(t))
+    } else if (!timeFormat) {
+      // label days, and times within days
+      timeFormat = t => {
+        let date = toDate(t)
+        return date.getUTCHours() || date.getUTCMinutes() ?
+          formatTime(date, this._language) : formatDate(date, this._language)
+      }
+    }
+    
     let height = 300
     
     let el = document.createElement('div')
@@ -212,8 +251,10 @@ export class TimeSeriesPlot extends L.Popup {
       axis: {
         x: {
           type: 'timeseries',
+          // ticks at UTC days and hours, like the labels
+          localtime: false,
           tick: {
-            format: this.options.timeFormat
+            format: timeFormat
           },
           label: {
             text: xLabel,
@@ -223,7 +264,7 @@ export class TimeSeriesPlot extends L.Popup {
         y: {
           tick: {
             count: 7,
-            format: x => x.toPrecision(this._precision)
+            format: x => this._formatNumber(x)
           },
           label: {
             text: obsPropLabel + (unit ? ' (' + unit + ')' : ''),
@@ -244,7 +285,8 @@ export class TimeSeriesPlot extends L.Popup {
       },
       tooltip: {
         format: {
-          value: (value, ratio, id) => value.toPrecision(this._precision) + ' ' + unit
+          title: t => formatDateTime(toDate(t), this._language),
+          value: (value, ratio, id) => this._formatNumber(value) + ' ' + unit
         }
       },
       zoom: {
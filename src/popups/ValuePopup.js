@@ -2,6 +2,10 @@ import L from 'leaflet'
 
 import {getLanguageString as i18n, stringifyUnit, getCategory} from 'covutils'
 
+import {getUnitConversion} from '../util/units.js'
+import {formatNumber} from '../util/ticks.js'
+import {getLocale, getMessages} from '../util/i18n.js'
+
 /**
  * A popup that contains the parameter values of the given coverage layers at the location of the popup.
  * 
@@ -19,12 +23,17 @@ export class ValuePopup extends L.Popup {
    * @param {number} [options.maxDistanceForPointsInPx=20]
    *   The maximum distance in pixels from the popup location for which point-data values should be included.
    * @param {Array<DataLayer>} [options.layers] An initial set of coverage data layers.
+   * @param {string} [options.language] A language tag, indicating the preferred language to use for labels,
+   *   built-in messages, and number formats. Defaults to the locale set with {@link setLocale}.
+   * @param {Object} [options.messages] Built-in messages to replace, by key, see {@link registerMessages}.
    * @param {L.Layer} [source] Used to tag the popup with a reference to the Layer to which it refers.
    */
   constructor (options, source) {
     super(options, source)
     let layers = this.options.layers || []
     this._maxDistanceForPointsInPx = this.options.maxDistanceForPointsInPx || 20
+    this._language = this.options.language || getLocale()
+    this._messages = getMessages(this._language, this.options.messages)
 
     /**
      * The coverage data layers added to this popup.
@@ -112,16 +121,30 @@ export class ValuePopup extends L.Popup {
       if (val == null) continue
       let param = layer.parameter
       
-      let unit = !param.observedProperty.categories ? stringifyUnit(param.unit) : ''
+      let language = this._language
+      let unit = ''
+      let format = val => val
+      if (!param.observedProperty.categories) {
+        // values are shown in the display unit of the layer, if any
+        let {convert} = getUnitConversion(param.unit, layer.displayUnit)
+        format = val => formatNumber(convert(val), {significantDigits: 12, locale: language})
+        unit = layer.displayUnit || stringifyUnit(param.unit, language)
+      }
       if (param.categoryEncoding) {
         let cat = getCategory(param, val)
-        val = i18n(cat.label)
-      }  
-      html += '<div><strong>' + i18n(param.observedProperty.label) + '</strong>: ' + val + ' ' + unit + '</div>'
+        val = i18n(cat.label, language)
+      } else if (typeof val === 'object') {
+        // vector values, see VectorField
+        val = format(val.speed) + ' ' + unit + ', ' + Math.round(val.direction) + '°'
+        unit = ''
+      } else {
+        val = format(val)
+      }
+      html += '<div><strong>' + i18n(param.observedProperty.label, language) + '</strong>: ' + val + ' ' + unit + '</div>'
     }
     if (!html) {
       this._hasData = false
-      html = 'No data.'
+      html = this._messages.noDataAtLocation
     }
     this._hasData = true
     this.setContent(html)
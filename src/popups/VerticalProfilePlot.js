@@ -2,6 +2,10 @@ import L from 'leaflet'
 import c3 from 'c3'
 import {getLanguageString, stringifyUnit, getReferenceObject} from 'covutils'
 
+import {getUnitConversion} from '../util/units.js'
+import {formatNumber} from '../util/ticks.js'
+import {getLocale, getMessages} from '../util/i18n.js'
+
 /**
  * Displays a popup with an interactive plot showing the data
  * of the vertical profile coverage.
@@ -25,15 +29,22 @@ export class VerticalProfilePlot extends L.Popup {
    *   Each group array is ordered as the coverage array and determines which parameter of each coverage
    *   is displayed in a single plot. In each group, at least one item must be defined.
    *   The default for multiple coverages is to display all parameters and treat each one as a separate group.
-   * @param {string} [options.language] A language tag, indicating the preferred language to use for labels.
+   * @param {string} [options.language] A language tag, indicating the preferred language to use for labels,
+   *   built-in messages, and number formats. Defaults to the locale set with {@link setLocale}.
+   * @param {Object} [options.messages] Built-in messages to replace, by key, see {@link registerMessages}.
    * @param {string} [options.precision=4] The number of significant digits to display.
+   * @param {Object} [options.displayUnits] The symbols of the units in which values are shown, by parameter key,
+   *   for example `{TEMP: '°C'}`. The key of the first parameter of a group applies to the whole group,
+   *   see {@link registerUnitConversion}.
    */
   constructor (coverage, options = {}) {
     options.maxWidth = options.maxWidth || 350
     super(options)
     this._covs = Array.isArray(coverage) ? coverage : [coverage]
-    this._language = options.language
+    this._language = options.language || getLocale()
+    this._messages = getMessages(this._language, options.messages)
     this._precision = options.precision || 4
+    this._displayUnits = options.displayUnits || {}
     
     this._labels = options.labels ? options.labels : new Array(this._covs.length)
     
@@ -132,6 +143,10 @@ export class VerticalProfilePlot extends L.Popup {
     this.setContent(el)
   }
   
+  _formatNumber (val) {
+    return formatNumber(val, {significantDigits: this._precision, locale: this._language})
+  }
+  
   _getRefParam (paramKeyGroup) {
     // use first defined parameter as representative for the group
     let covsWithParamKey = zip(this._covs, paramKeyGroup)
@@ -147,7 +162,7 @@ export class VerticalProfilePlot extends L.Popup {
     let refParam = this._getRefParam(paramKeyGroup)
     
     // axis labels
-    let zName = 'Vertical'
+    let zName = this._messages.vertical
     let zUnit = ''
     
     let vertRef = getReferenceObject(refDomain, 'z')
@@ -167,7 +182,8 @@ export class VerticalProfilePlot extends L.Popup {
       xLabel += ' (' + zUnit + ')'
     }
     
-    let unit = stringifyUnit(refParam.unit, this._language)
+    let displayUnit = this._displayUnits[refParam.key]
+    let unit = displayUnit || stringifyUnit(refParam.unit, this._language)
     let obsPropLabel = getLanguageString(refParam.observedProperty.label, this._language)
     
     // http://c3js.org/samples/simple_xy_multiple.html
@@ -192,6 +208,8 @@ export class VerticalProfilePlot extends L.Popup {
       
       let zVals = this._domains[i].axes.get('z').values
       let vals = this._ranges[i].get(paramKey)
+      // the parameters of a group may have different units
+      let {convert} = getUnitConversion(this._covs[i].parameters.get(paramKey).unit, displayUnit)
       let x = [xname]
       let y = [yname]
       for (let j=0; j < zVals.length; j++) {
@@ -201,7 +219,7 @@ export class VerticalProfilePlot extends L.Popup {
         }
         let z = zVals[j]
         x.push(z)
-        y.push(val)
+        y.push(convert(val))
       }
       
       columns.push(x)
@@ -229,7 +247,7 @@ export class VerticalProfilePlot extends L.Popup {
         x: {
           tick: {
             count: 10,
-            format: x => x.toPrecision(this._precision)
+            format: x => this._formatNumber(x)
           },
           label: {
             text: xLabel,
@@ -239,7 +257,7 @@ export class VerticalProfilePlot extends L.Popup {
         y: {
           tick: {
             count: 7,
-            format: x => x.toPrecision(this._precision)
+            format: x => this._formatNumber(x)
           },
           label: {
             text: obsPropLabel + (unit ? ' (' + unit + ')' : ''),
@@ -260,8 +278,8 @@ export class VerticalProfilePlot extends L.Popup {
       },
       tooltip: {
         format: {
-          title: d => zName + ': ' + d.toPrecision(this._precision) + ' ' + zUnit,
-          value: (value, ratio, id) => value.toPrecision(this._precision) + ' ' + unit
+          title: d => zName + ': ' + this._formatNumber(d) + ' ' + zUnit,
+          value: (value, ratio, id) => this._formatNumber(value) + ' ' + unit
         }
       },
       zoom: {
@@ -0,0 +1,131 @@
+/**
+ * A static k-d tree for nearest neighbour queries on points of fixed dimension.
+ *
+ * @example
+ * // three 2D points
+ * let tree = new StaticKDTree(new Float64Array([0,0, 10,0, 0,10]), 2)
+ * tree.nearest([9,1]) // {id: 1, distance2: 2}
+ *
+ * @private
+ */
+export class StaticKDTree {
+  /**
+   * @param {Float64Array|Array<number>} coords The point coordinates, `dims` consecutive numbers per point.
+   *   Points with a NaN coordinate are not indexed.
+   * @param {number} dims The number of dimensions.
+   * @param {number} [nodeSize=16] The number of points in leaf nodes which are scanned linearly.
+   */
+  constructor (coords, dims, nodeSize=16) {
+    this._coords = coords
+    this._dims = dims
+    this._nodeSize = nodeSize
+
+    let count = coords.length / dims
+    let ids = []
+    for (let id=0; id < count; id++) {
+      let valid = true
+      for (let d=0; d < dims; d++) {
+        if (isNaN(coords[id*dims + d])) valid = false
+      }
+      if (valid) ids.push(id)
+    }
+    this._ids = Uint32Array.from(ids)
+    this._build(0, this._ids.length - 1, 0)
+  }
+
+  /**
+   * Returns the indexed point closest to the given point.
+   *
+   * @param {Array<number>} point The query point.
+   * @return {Object|undefined} An object with `id` (the index of the point in `coords`)
+   *   and `distance2` (the squared euclidean distance) properties, or undefined if no points are indexed.
+   */
+  nearest (point) {
+    let best = {id: -1, distance2: Infinity}
+    this._search(point, 0, this._ids.length - 1, 0, best)
+    return best.id === -1 ? undefined : best
+  }
+
+  _distance2 (point, id) {
+    let sum = 0
+    for (let d=0; d < this._dims; d++) {
+      let diff = point[d] - this._coords[id*this._dims + d]
+      sum += diff * diff
+    }
+    return sum
+  }
+
+  _search (point, left, right, axis, best) {
+    if (right - left < this._nodeSize) {
+      for (let i=left; i <= right; i++) {
+        let id = this._ids[i]
+        let distance2 = this._distance2(point, id)
+        if (distance2 < best.distance2) {
+          best.id = id
+          best.distance2 = distance2
+        }
+      }
+      return
+    }
+
+    let m = (left + right) >> 1
+    let id = this._ids[m]
+    let distance2 = this._distance2(point, id)
+    if (distance2 < best.distance2) {
+      best.id = id
+      best.distance2 = distance2
+    }
+
+    let diff = point[axis] - this._coords[id*this._dims + axis]
+    let nextAxis = (axis + 1) % this._dims
+    // search the side of the splitting plane containing the point first
+    if (diff < 0) {
+      this._search(point, left, m - 1, nextAxis, best)
+      if (diff * diff < best.distance2) this._search(point, m + 1, right, nextAxis, best)
+    } else {
+      this._search(point, m + 1, right, nextAxis, best)
+      if (diff * diff < best.distance2) this._search(point, left, m - 1, nextAxis, best)
+    }
+  }
+
+  _build (left, right, axis) {
+    if (right - left < this._nodeSize) return
+    let m = (left + right) >> 1
+    this._select(m, left, right, axis)
+    let nextAxis = (axis + 1) % this._dims
+    this._build(left, m - 1, nextAxis)
+    this._build(m + 1, right, nextAxis)
+  }
+
+  /**
+   * Rearranges the ids between left and right such that the k-th id is the one of the point
+   * with the k-th smallest coordinate on the given axis, with smaller ones before and larger ones after it.
+   */
+  _select (k, left, right, axis) {
+    let ids = this._ids
+    let value = i => this._coords[ids[i]*this._dims + axis]
+    let swap = (i, j) => {
+      let tmp = ids[i]
+      ids[i] = ids[j]
+      ids[j] = tmp
+    }
+    while (right > left) {
+      // Lomuto partition around the middle element
+      swap((left + right) >> 1, right)
+      let pivot = value(right)
+      let store = left
+      for (let i=left; i < right; i++) {
+        if (value(i) < pivot) {
+          swap(i, store++)
+        }
+      }
+      swap(store, right)
+      if (store === k) return
+      if (store < k) {
+        left = store + 1
+      } else {
+        right = store - 1
+      }
+    }
+  }
+}
@@ -0,0 +1,275 @@
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+const MONTH_LENGTHS = {
+  '360_day': [30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  'noleap': [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31],
+  'all_leap': [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+}
+
+// alternative names as used in the CF conventions
+const CALENDAR_ALIASES = {
+  '365_day': 'noleap',
+  '366_day': 'all_leap'
+}
+
+const ISO_REGEX = /^([+-]\d{6}|\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?(Z|[+-]\d{2}:?\d{2})?$/
+
+/**
+ * A date and time in a non-Gregorian calendar as used by climate models,
+ * either `360_day` (12 months of 30 days), `noleap` (no leap years), or `all_leap` (every year is a leap year).
+ *
+ * Layers return objects of this class instead of `Date` objects if the temporal reference system
+ * of a coverage uses one of these calendars. The methods mirror those of `Date` in UTC
+ * so that both can be used in the same way, for example in {@link TimeAxis}.
+ * Comparisons like `a < b` work between dates of the same calendar.
+ *
+ * @example
+ * var date = new C.CalendarDate('360_day', 2050, 2, 30)
+ * date.toISOString() // '2050-02-30T00:00:00.000Z'
+ * layer.time = date
+ */
+export class CalendarDate {
+  /**
+   * @param {string} calendar The calendar, one of `360_day`, `noleap` (or `365_day`), `all_leap` (or `366_day`).
+   * @param {number} year The year.
+   * @param {number} month The month, starting with 1 (unlike `Date`).
+   * @param {number} day The day of the month, starting with 1.
+   * @param {number} [hours=0]
+   * @param {number} [minutes=0]
+   * @param {number} [seconds=0]
+   * @param {number} [milliseconds=0]
+   * @throws {Error} If the calendar is not supported or the date does not exist in the calendar.
+   */
+  constructor (calendar, year, month, day, hours=0, minutes=0, seconds=0, milliseconds=0) {
+    calendar = CALENDAR_ALIASES[calendar] || calendar
+    let monthLengths = MONTH_LENGTHS[calendar]
+    if (!monthLengths) {
+      throw new Error('Unsupported calendar: ' + calendar)
+    }
+    if (month < 1 || month > 12 || day < 1 || day > monthLengths[month - 1]) {
+      throw new Error('Invalid date in ' + calendar + ' calendar: ' + year + '-' + month + '-' + day)
+    }
+
+    /**
+     * The calendar, one of `360_day`, `noleap`, `all_leap`.
+     * @type {string}
+     */
+    this.calendar = calendar
+    this._year = year
+    this._month = month
+    this._day = day
+    this._hours = hours
+    this._minutes = minutes
+    this._seconds = seconds
+    this._milliseconds = milliseconds
+  }
+
+  /**
+   * Parses an ISO 8601 date/time string, like `2050-02-30T12:00:00Z`.
+   *
+   * @param {string} calendar The calendar, see the constructor.
+   * @param {string} str The date/time string.
+   * @return {CalendarDate}
+   * @throws {Error} If the string cannot be parsed or the date does not exist in the calendar.
+   */
+  static parse (calendar, str) {
+    let match = ISO_REGEX.exec(str)
+    if (!match) {
+      throw new Error('Invalid date: ' + str)
+    }
+    let [, year, month, day, hours, minutes, seconds, fraction, offset] = match
+    let ms = fraction ? Math.round(parseFloat('0.' + fraction) * 1000) : 0
+    let date = new CalendarDate(calendar, parseInt(year), parseInt(month), parseInt(day),
+      parseInt(hours || 0), parseInt(minutes || 0), parseInt(seconds || 0), ms)
+    if (offset && offset !== 'Z') {
+      let sign = offset[0] === '-' ? -1 : 1
+      let digits = offset.replace(':', '')
+      let offsetMinutes = parseInt(digits.substr(1, 2)) * 60 + parseInt(digits.substr(3, 2) || 0)
+      date = CalendarDate.fromTime(calendar, date.getTime() - sign * offsetMinutes * 60 * 1000)
+    }
+    return date
+  }
+
+  /**
+   * Creates a date from a time value as returned by {@link CalendarDate#getTime}.
+   *
+   * @param {string} calendar The calendar, see the constructor.
+   * @param {number} time Milliseconds since 1970-01-01T00:00:00Z in the given calendar.
+   * @return {CalendarDate}
+   */
+  static fromTime (calendar, time) {
+    calendar = CALENDAR_ALIASES[calendar] || calendar
+    let monthLengths = MONTH_LENGTHS[calendar]
+    if (!monthLengths) {
+      throw new Error('Unsupported calendar: ' + calendar)
+    }
+    let yearLength = monthLengths.reduce((a, b) => a + b)
+    let days = Math.floor(time / MS_PER_DAY)
+    let ms = time - days * MS_PER_DAY
+    let year = 1970 + Math.floor(days / yearLength)
+    let dayOfYear = days - (year - 1970) * yearLength
+    let month = 0
+    while (dayOfYear >= monthLengths[month]) {
+      dayOfYear -= monthLengths[month]
+      month++
+    }
+    return new CalendarDate(calendar, year, month + 1, dayOfYear + 1,
+      Math.floor(ms / 3600000), Math.floor(ms / 60000) % 60, Math.floor(ms / 1000) % 60, ms % 1000)
+  }
+
+  /**
+   * Returns the number of milliseconds since 1970-01-01T00:00:00Z in the calendar of this date.
+   *
+   * @return {number}
+   */
+  getTime () {
+    let monthLengths = MONTH_LENGTHS[this.calendar]
+    let yearLength = monthLengths.reduce((a, b) => a + b)
+    let days = (this._year - 1970) * yearLength + this._day - 1
+    for (let i=0; i < this._month - 1; i++) {
+      days += monthLengths[i]
+    }
+    return days * MS_PER_DAY + ((this._hours * 60 + this._minutes) * 60 + this._seconds) * 1000 + this._milliseconds
+  }
+
+  /**
+   * Same as {@link CalendarDate#getTime}, allows to compare dates with `<` and `>`.
+   *
+   * @return {number}
+   */
+  valueOf () {
+    return this.getTime()
+  }
+
+  /** @return {number} */
+  getUTCFullYear () {
+    return this._year
+  }
+
+  /** @return {number} The month, starting with 0 (like `Date`). */
+  getUTCMonth () {
+    return this._month - 1
+  }
+
+  /** @return {number} */
+  getUTCDate () {
+    return this._day
+  }
+
+  /** @return {number} */
+  getUTCHours () {
+    return this._hours
+  }
+
+  /** @return {number} */
+  getUTCMinutes () {
+    return this._minutes
+  }
+
+  /** @return {number} */
+  getUTCSeconds () {
+    return this._seconds
+  }
+
+  /** @return {number} */
+  getUTCMilliseconds () {
+    return this._milliseconds
+  }
+
+  /**
+   * Returns the date in the same ISO 8601 format as `Date.prototype.toISOString`,
+   * for example `2050-02-30T00:00:00.000Z`.
+   *
+   * @return {string}
+   */
+  toISOString () {
+    let pad = (n, len) => String(n).padStart(len, '0')
+    let year = this._year >= 0 && this._year <= 9999 ? pad(this._year, 4) :
+      (this._year < 0 ? '-' : '+') + pad(Math.abs(this._year), 6)
+    return year + '-' + pad(this._month, 2) + '-' + pad(this._day, 2) + 'T' +
+      pad(this._hours, 2) + ':' + pad(this._minutes, 2) + ':' + pad(this._seconds, 2) + '.' +
+      pad(this._milliseconds, 3) + 'Z'
+  }
+
+  /** @return {string} */
+  toString () {
+    return this.toISOString()
+  }
+}
+
+/**
+ * Returns the calendar of the temporal reference system of the given domain axis.
+ * Calendars other than `360_day`, `noleap`, and `all_leap` (including their aliases) are returned as `standard`,
+ * meaning the Gregorian calendar.
+ *
+ * @param {Domain} domain The coverage domain.
+ * @param {string} [axisName='t'] The name of the time axis.
+ * @return {string} One of `standard`, `360_day`, `noleap`, `all_leap`.
+ *
+ * @private
+ */
+export function getCalendar (domain, axisName='t') {
+  let ref = domain.referencing.find(ref => ref.coordinates.indexOf(axisName) !== -1 && ref.system.type === 'TemporalRS')
+  if (!ref || typeof ref.system.calendar !== 'string') {
+    return 'standard'
+  }
+  // the calendar may be given as URI, e.g. http://www.cfconventions.org/...#360_day
+  let name = ref.system.calendar.split(/[#/]/).pop().toLowerCase()
+  name = CALENDAR_ALIASES[name] || name
+  return name in MONTH_LENGTHS ? name : 'standard'
+}
+
+/**
+ * Converts a time axis value to a `Date` object, or a {@link CalendarDate} object for non-Gregorian calendars.
+ *
+ * @param {string|Date|CalendarDate} value An ISO 8601 string or date object.
+ * @param {string} calendar The calendar as returned by {@link getCalendar}.
+ * @return {Date|CalendarDate}
+ *
+ * @private
+ */
+export function parseTime (value, calendar) {
+  if (calendar === 'standard') {
+    return new Date(typeof value === 'string' ? value : value.getTime())
+  }
+  if (typeof value === 'string') {
+    return CalendarDate.parse(calendar, value)
+  }
+  // take over the date fields from dates of other calendars
+  return new CalendarDate(calendar, value.getUTCFullYear(), value.getUTCMonth() + 1, value.getUTCDate(),
+    value.getUTCHours(), value.getUTCMinutes(), value.getUTCSeconds(), value.getUTCMilliseconds())
+}
+
+/**
+ * Converts a time axis value to a number for comparing and matching times within a calendar.
+ *
+ * @example
+ * let times = domain.axes.get('t').values.map(t => toTimestamp(t, calendar))
+ * let i = indexOfNearest(times, toTimestamp(target, calendar))
+ *
+ * @param {string|Date|CalendarDate} value An ISO 8601 string or date object.
+ * @param {string} calendar The calendar as returned by {@link getCalendar}.
+ * @return {number}
+ *
+ * @private
+ */
+export function toTimestamp (value, calendar) {
+  return parseTime(value, calendar).getTime()
+}
+
+/**
+ * Converts a number as returned by {@link toTimestamp} back to a `Date` object,
+ * or a {@link CalendarDate} object for non-Gregorian calendars.
+ *
+ * @param {number} timestamp Milliseconds since 1970-01-01T00:00:00Z in the given calendar.
+ * @param {string} calendar The calendar as returned by {@link getCalendar}.
+ * @return {Date|CalendarDate}
+ *
+ * @private
+ */
+export function fromTimestamp (timestamp, calendar) {
+  if (calendar === 'standard') {
+    return new Date(timestamp)
+  }
+  return CalendarDate.fromTime(calendar, timestamp)
+}
@@ -0,0 +1,188 @@
+// Jenks natural breaks is quadratic in the number of values, larger inputs are sampled
+const JENKS_MAX_VALUES = 1000
+
+/**
+ * Returns class breaks dividing the given extent into classes of equal width.
+ *
+ * @example
+ * equalIntervalBreaks([0, 10], 4) // [0, 2.5, 5, 7.5, 10]
+ *
+ * @param {Array<number>} extent The lower and upper bound.
+ * @param {number} classes The number of classes.
+ * @return {Array<number>} The class breaks, `classes + 1` values including the extent bounds.
+ *
+ * @private
+ */
+export function equalIntervalBreaks (extent, classes) {
+  let [min, max] = extent
+  let breaks = []
+  for (let i=0; i <= classes; i++) {
+    breaks.push(min + (max - min) * i / classes)
+  }
+  return breaks
+}
+
+/**
+ * Returns class breaks such that each class contains about the same number of values.
+ * Breaks that would be identical, for example if a value occurs very often, are merged,
+ * which results in fewer classes.
+ *
+ * @example
+ * quantileBreaks([1, 2, 3, 4, 5], 2) // [1, 3, 5]
+ *
+ * @param {Array<number>} values The values, missing values must be removed beforehand.
+ * @param {number} classes The number of classes.
+ * @return {Array<number>} The ascending class breaks including the minimum and maximum value,
+ *   or an empty array if there are no values.
+ *
+ * @private
+ */
+export function quantileBreaks (values, classes) {
+  let sorted = sortNumbers(values)
+  if (sorted.length === 0) {
+    return []
+  }
+  let breaks = []
+  for (let i=0; i <= classes; i++) {
+    let val = quantileOfSorted(sorted, i / classes)
+    if (breaks.length === 0 || val > breaks[breaks.length - 1]) {
+      breaks.push(val)
+    }
+  }
+  return breaks
+}
+
+/**
+ * Returns the given percentiles of the values.
+ *
+ * @example
+ * percentiles([1, 2, 3, 4, 5], [25, 50]) // [2, 3]
+ *
+ * @param {Array<number>} values The values, missing values must be removed beforehand.
+ * @param {Array<number>} ps The percentiles, each in [0,100].
+ * @return {Array<number>} The values at the given percentiles, NaN if there are no values.
+ *
+ * @private
+ */
+export function percentiles (values, ps) {
+  let sorted = sortNumbers(values)
+  return ps.map(p => sorted.length === 0 ? NaN : quantileOfSorted(sorted, p / 100))
+}
+
+/**
+ * Returns class breaks according to the Jenks natural breaks optimization,
+ * which minimizes the variance of the values within each class.
+ *
+ * Each inner break is the smallest value of the class above it.
+ * If there are many values, an evenly spaced sample of the sorted values is used.
+ *
+ * @example
+ * jenksBreaks([1, 2, 3, 10, 11, 12], 2) // [1, 10, 12]
+ *
+ * @param {Array<number>} values The values, missing values must be removed beforehand.
+ * @param {number} classes The number of classes.
+ * @return {Array<number>} The ascending class breaks including the minimum and maximum value,
+ *   or an empty array if there are no values.
+ *
+ * @private
+ */
+export function jenksBreaks (values, classes) {
+  let data = sortNumbers(values)
+  if (data.length > JENKS_MAX_VALUES) {
+    let sample = []
+    for (let i=0; i < JENKS_MAX_VALUES; i++) {
+      sample.push(data[Math.round(i * (data.length - 1) / (JENKS_MAX_VALUES - 1))])
+    }
+    data = sample
+  }
+  let n = data.length
+  if (n === 0) {
+    return []
+  }
+  classes = Math.min(classes, n)
+
+  // dynamic programming over the first l values (1-based) divided into j classes,
+  // lowerLimits[l][j] is the 1-based index of the first value of the last class
+  let lowerLimits = []
+  let variances = []
+  for (let l=0; l <= n; l++) {
+    lowerLimits.push(new Array(classes + 1).fill(0))
+    variances.push(new Array(classes + 1).fill(l < 2 ? 0 : Infinity))
+  }
+  for (let j=1; j <= classes; j++) {
+    lowerLimits[1][j] = 1
+  }
+  for (let l=2; l <= n; l++) {
+    let sum = 0
+    let sumSquares = 0
+    let variance = 0
+    for (let m=1; m <= l; m++) {
+      // the last class contains the values lowerLimit..l
+      let lowerLimit = l - m + 1
+      let val = data[lowerLimit - 1]
+      sum += val
+      sumSquares += val * val
+      variance = sumSquares - sum * sum / m
+      if (lowerLimit > 1) {
+        for (let j=2; j <= classes; j++) {
+          let total = variance + variances[lowerLimit - 1][j - 1]
+          if (variances[l][j] >= total) {
+            lowerLimits[l][j] = lowerLimit
+            variances[l][j] = total
+          }
+        }
+      }
+    }
+    lowerLimits[l][1] = 1
+    variances[l][1] = variance
+  }
+
+  let breaks = new Array(classes + 1)
+  breaks[0] = data[0]
+  breaks[classes] = data[n - 1]
+  let l = n
+  for (let j=classes; j >= 2; j--) {
+    let lowerLimit = lowerLimits[l][j]
+    breaks[j - 1] = data[lowerLimit - 1]
+    l = lowerLimit - 1
+  }
+  // identical values may end up as separate classes if there are fewer distinct values than classes
+  return breaks.filter((val, i) => i === 0 || val > breaks[i - 1])
+}
+
+/**
+ * Returns the index of the class containing the given value.
+ * Classes include their lower break, the last class also includes its upper break.
+ *
+ * @param {Array<number>} breaks The ascending class breaks.
+ * @param {number} val A value within the first and last break.
+ * @return {number} The class index.
+ *
+ * @private
+ */
+export function classIndexOf (breaks, val) {
+  // binary search for the last break <= val
+  let lo = 0
+  let hi = breaks.length - 2
+  while (lo < hi) {
+    let mid = (lo + hi + 1) >> 1
+    if (breaks[mid] <= val) {
+      lo = mid
+    } else {
+      hi = mid - 1
+    }
+  }
+  return lo
+}
+
+function quantileOfSorted (sorted, q) {
+  // linear interpolation between the closest ranks
+  let pos = (sorted.length - 1) * q
+  let lower = Math.floor(pos)
+  let upper = Math.min(lower + 1, sorted.length - 1)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower)
+}
+
+function sortNumbers (values) {
+  return Float64Array.from(values).sort()
+}
@@ -0,0 +1,326 @@
+/**
+ * A color table as read from a color table file, independent of the file format.
+ *
+ * If `interpolate` is true, `values` and `colors` are stops of a continuous color ramp of the same length,
+ * otherwise `values` are class breaks and `colors` holds one color per class (one less than breaks).
+ *
+ * @typedef {Object} ColorTable
+ * @property {boolean} interpolate Whether colors are interpolated between the values.
+ * @property {Array<number>} values The ascending stop values or class breaks.
+ * @property {Array<string>} colors CSS colors.
+ * @property {string} [below] The CSS color of values below the first value.
+ * @property {string} [above] The CSS color of values above the last value.
+ * @property {string} [noData] The CSS color of missing values.
+ *
+ * @private
+ */
+
+const NUMBER = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][+-]?\\d+)?'
+const CPT_RGB_REGEX = new RegExp('^(' + NUMBER + ')/(' + NUMBER + ')/(' + NUMBER + ')$')
+const CPT_GRAY_REGEX = new RegExp('^' + NUMBER + '$')
+const HEX_REGEX = /^#([0-9a-f]{6})$/i
+const NAME_REGEX = /^[a-z]+$/i
+
+/**
+ * Parses a GMT color palette table (.cpt).
+ *
+ * Supported are RGB colors given as `r/g/b`, `r g b`, gray level, `#rrggbb`, or color name,
+ * each optionally with a transparency in percent appended as `@50`,
+ * and the B (background), F (foreground), and N (NaN) colors.
+ * Annotation flags and labels after `;` are ignored.
+ *
+ * A table in which each slice has a single color is discrete, otherwise colors are interpolated.
+ *
+ * @example
+ * parseCpt('0 blue 10 blue\n10 red 20 red') // {interpolate: false, values: [0, 10, 20], colors: ['blue', 'red']}
+ *
+ * @param {string} text The contents of the .cpt file.
+ * @return {ColorTable}
+ * @throws {Error} If the file cannot be parsed.
+ *
+ * @private
+ */
+export function parseCpt (text) {
+  let slices = []
+  let extra = {}
+  let lines = text.split(/\r?\n/)
+  for (let i=0; i < lines.length; i++) {
+    let error = msg => new Error('Invalid CPT file, line ' + (i + 1) + ': ' + msg)
+    let line = lines[i].trim()
+    if (line.startsWith('#')) {
+      let model = /^#\s*COLOR_MODEL\s*=\s*\+?(\w+)/i.exec(line)
+      if (model && model[1].toUpperCase() !== 'RGB') {
+        throw error('color model ' + model[1] + ' is not supported, only RGB')
+      }
+      continue
+    }
+    // labels
+    line = line.split(';')[0].trim()
+    if (!line) continue
+
+    let tokens = line.split(/\s+/)
+    let key = {B: 'below', F: 'above', N: 'noData'}[tokens[0]]
+    if (key) {
+      let color = tokens.length === 4 ? tokens.slice(1).join('/') : tokens.slice(1).join(' ')
+      // '-' means that the color is not set
+      if (color !== '-') {
+        extra[key] = parseCptColor(color, error)
+      }
+      continue
+    }
+
+    // annotation flag
+    if (/^[LUB]$/.test(tokens[tokens.length - 1])) {
+      tokens.pop()
+    }
+    let z0, c0, z1, c1
+    if (tokens.length === 8) {
+      [z0, c0, z1, c1] = [tokens[0], tokens.slice(1, 4).join('/'), tokens[4], tokens.slice(5).join('/')]
+    } else if (tokens.length === 4) {
+      [z0, c0, z1, c1] = tokens
+    } else {
+      throw error('expected "z0 color0 z1 color1" but found "' + line + '"')
+    }
+    let slice = {
+      from: parseCptNumber(z0, error),
+      to: parseCptNumber(z1, error),
+      fromColor: parseCptColor(c0, error),
+      toColor: parseCptColor(c1, error)
+    }
+    if (!(slice.from < slice.to)) {
+      throw error('the slice ' + slice.from + ' to ' + slice.to + ' is empty')
+    }
+    if (slices.length > 0 && slice.from < slices[slices.length - 1].to) {
+      throw error('the slice starting at ' + slice.from + ' overlaps the previous one, slices must be in ascending order')
+    }
+    slices.push(slice)
+  }
+  if (slices.length === 0) {
+    throw new Error('Invalid CPT file: no color slices found')
+  }
+
+  let table
+  if (slices.every(s => s.fromColor === s.toColor)) {
+    table = {
+      interpolate: false,
+      values: slices.map(s => s.from).concat([slices[slices.length - 1].to]),
+      colors: slices.map(s => s.fromColor)
+    }
+  } else {
+    // adjacent slices with different colors at their common value result in two stops at the same value
+    table = {interpolate: true, values: [], colors: []}
+    for (let s of slices) {
+      table.values.push(s.from, s.to)
+      table.colors.push(s.fromColor, s.toColor)
+    }
+  }
+  return Object.assign(table, extra)
+}
+
+function parseCptNumber (str, error) {
+  if (!CPT_GRAY_REGEX.test(str)) {
+    throw error('"' + str + '" is not a number')
+  }
+  return parseFloat(str)
+}
+
+function parseCptColor (str, error) {
+  let [color, transparency] = str.split('@')
+  let alpha = 1
+  if (transparency !== undefined) {
+    let t = parseFloat(transparency)
+    if (!(t >= 0 && t <= 100)) {
+      throw error('transparency must be a percentage, but is "' + transparency + '"')
+    }
+    alpha = 1 - t / 100
+  }
+  let rgb
+  let match = CPT_RGB_REGEX.exec(color)
+  if (match) {
+    rgb = match.slice(1, 4).map(parseFloat)
+  } else if (CPT_GRAY_REGEX.test(color)) {
+    let gray = parseFloat(color)
+    rgb = [gray, gray, gray]
+  } else if (HEX_REGEX.test(color)) {
+    rgb = hexToRGB(color)
+  } else if (NAME_REGEX.test(color)) {
+    // CSS and GMT share most color names
+    return alpha === 1 ? color.toLowerCase() : namedColorWithAlpha(color, alpha)
+  } else {
+    throw error('cannot parse the color "' + str + '"')
+  }
+  if (!rgb.every(c => c >= 0 && c <= 255)) {
+    throw error('color components must be within [0,255], but found "' + str + '"')
+  }
+  return toCSS(rgb, alpha)
+}
+
+/**
+ * Named colors with transparency cannot be expressed in CSS without knowing their RGB values,
+ * which are looked up by the browser.
+ */
+function namedColorWithAlpha (name, alpha) {
+  let ctx = document.createElement('canvas').getContext('2d')
+  ctx.fillStyle = name
+  return toCSS(hexToRGB(ctx.fillStyle), alpha)
+}
+
+/**
+ * Parses a color map of a Styled Layer Descriptor (SLD) or Symbology Encoding document,
+ * that is, the `ColorMapEntry` elements of the first `ColorMap` element.
+ *
+ * The color map types `ramp` (interpolated colors) and `intervals` (each entry colors the values
+ * below its quantity down to the previous one) are supported.
+ * Values below the first quantity get the color of the first entry.
+ *
+ * @param {string} xml The SLD document.
+ * @return {ColorTable}
+ * @throws {Error} If the document cannot be parsed or has no supported color map.
+ *
+ * @private
+ */
+export function parseSld (xml) {
+  let doc = parseXml(xml, 'SLD')
+  let colorMap = doc.getElementsByTagNameNS('*', 'ColorMap')[0]
+  if (!colorMap) {
+    throw new Error('Invalid SLD document: no ColorMap element found')
+  }
+  let type = colorMap.getAttribute('type') || 'ramp'
+  let entries = [...colorMap.getElementsByTagNameNS('*', 'ColorMapEntry')].map(el => {
+    let color = el.getAttribute('color')
+    if (!HEX_REGEX.test(color)) {
+      throw new Error('Invalid SLD document: ColorMapEntry color must be #RRGGBB, but is "' + color + '"')
+    }
+    let opacity = el.hasAttribute('opacity') ? parseFloat(el.getAttribute('opacity')) : 1
+    return {
+      value: parseXmlNumber(el.getAttribute('quantity'), 'SLD', 'ColorMapEntry quantity'),
+      color: toCSS(hexToRGB(color), opacity)
+    }
+  })
+  if (type === 'ramp') {
+    let table = rampTable(entries, 'SLD')
+    // values outside of the ramp get the end colors
+    table.below = entries[0].color
+    table.above = entries[entries.length - 1].color
+    return table
+  } else if (type === 'intervals') {
+    return upperBoundTable(entries, 'SLD')
+  } else {
+    throw new Error('Unsupported SLD document: ColorMap type "' + type + '" is not supported, only "ramp" and "intervals"')
+  }
+}
+
+/**
+ * Parses the color ramp shader of a QGIS raster style (.qml), that is, the `item` elements
+ * of the first `colorrampshader` element.
+ *
+ * The ramp types `INTERPOLATED` and `DISCRETE` (each item colors the values up to and including its value,
+ * down to the previous one) are supported.
+ *
+ * @param {string} xml The QML document.
+ * @return {ColorTable}
+ * @throws {Error} If the document cannot be parsed or has no supported color ramp shader.
+ *
+ * @private
+ */
+export function parseQml (xml) {
+  let doc = parseXml(xml, 'QML')
+  let shader = doc.getElementsByTagName('colorrampshader')[0]
+  if (!shader) {
+    throw new Error('Invalid QML document: no colorrampshader element found, only raster styles are supported')
+  }
+  let type = shader.getAttribute('colorRampType') || 'INTERPOLATED'
+  let entries = [...shader.getElementsByTagName('item')].map(el => {
+    let color = el.getAttribute('color')
+    if (!HEX_REGEX.test(color)) {
+      throw new Error('Invalid QML document: item color must be #rrggbb, but is "' + color + '"')
+    }
+    let alpha = el.hasAttribute('alpha') ? parseFloat(el.getAttribute('alpha')) / 255 : 1
+    return {
+      value: parseXmlNumber(el.getAttribute('value'), 'QML', 'item value'),
+      color: toCSS(hexToRGB(color), alpha)
+    }
+  })
+  if (type === 'INTERPOLATED') {
+    return rampTable(entries, 'QML')
+  } else if (type === 'DISCRETE') {
+    return upperBoundTable(entries, 'QML')
+  } else {
+    throw new Error('Unsupported QML document: colorRampType "' + type + '" is not supported, ' +
+      'only "INTERPOLATED" and "DISCRETE"')
+  }
+}
+
+function parseXml (xml, format) {
+  let doc = new DOMParser().parseFromString(xml, 'application/xml')
+  let parserError = doc.getElementsByTagName('parsererror')[0]
+  if (parserError) {
+    throw new Error('Invalid ' + format + ' document: not well-formed XML (' + parserError.textContent.trim() + ')')
+  }
+  return doc
+}
+
+function parseXmlNumber (str, format, name) {
+  if (/^[+]?inf(inity)?$/i.test(str)) return Infinity
+  if (/^-inf(inity)?$/i.test(str)) return -Infinity
+  if (str === null || !CPT_GRAY_REGEX.test(str.trim())) {
+    throw new Error('Invalid ' + format + ' document: ' + name + ' must be a number, but is "' + str + '"')
+  }
+  return parseFloat(str)
+}
+
+function checkAscending (entries, format) {
+  for (let i=1; i < entries.length; i++) {
+    if (entries[i].value < entries[i - 1].value) {
+      throw new Error('Invalid ' + format + ' document: values must be ascending, but ' +
+        entries[i].value + ' follows ' + entries[i - 1].value)
+    }
+  }
+}
+
+function rampTable (entries, format) {
+  entries = entries.filter(e => isFinite(e.value))
+  if (entries.length < 2) {
+    throw new Error('Invalid ' + format + ' document: a color ramp needs at least two entries with finite values')
+  }
+  checkAscending(entries, format)
+  if (entries[0].value === entries[entries.length - 1].value) {
+    throw new Error('Invalid ' + format + ' document: all entries of the color ramp have the same value')
+  }
+  return {
+    interpolate: true,
+    values: entries.map(e => e.value),
+    colors: entries.map(e => e.color)
+  }
+}
+
+/**
+ * Entries whose value is the upper bound of their class, the first entry colors all values below it,
+ * an infinite last entry all values above the last finite one.
+ */
+function upperBoundTable (entries, format) {
+  checkAscending(entries, format)
+  let table = {interpolate: false}
+  let last = entries[entries.length - 1]
+  if (last && last.value === Infinity) {
+    table.above = last.color
+    entries = entries.slice(0, -1)
+  }
+  if (entries.length < 2 || !isFinite(entries[0].value)) {
+    throw new Error('Invalid ' + format + ' document: discrete colors need at least two entries with finite values')
+  }
+  table.values = entries.map(e => e.value)
+  table.colors = entries.slice(1).map(e => e.color)
+  table.below = entries[0].color
+  return table
+}
+
+function hexToRGB (hex) {
+  let n = parseInt(hex.substr(1), 16)
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255]
+}
+
+function toCSS (rgb, alpha) {
+  let components = rgb.map(c => Math.round(c)).join(',')
+  return alpha === 1 ? 'rgb(' + components + ')' : 'rgba(' + components + ',' + +alpha.toFixed(3) + ')'
+}
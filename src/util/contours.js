@@ -0,0 +1,117 @@
+/**
+ * Computes the isolines of a regular 2D grid for a given level using the marching squares algorithm.
+ *
+ * Cells with one or more missing values (NaN) are skipped.
+ * Ambiguous saddle cells are resolved using the average of the four cell corners.
+ *
+ * @example
+ * // 3x3 grid with a peak in the middle
+ * let values = [0, 0, 0,
+ *               0, 2, 0,
+ *               0, 0, 0]
+ * let lines = isolines(values, 3, 3, 1)
+ * // lines[0] is a closed ring around index [1,1]
+ *
+ * @param {Array<number>} values The grid values in row-major order (index = j*nx + i), NaN for missing values.
+ * @param {number} nx The number of grid columns.
+ * @param {number} ny The number of grid rows.
+ * @param {number} level The value for which to compute the isolines.
+ * @return {Array<Array<Array<number>>>} The isolines, each an array of fractional `[i,j]` grid index coordinates.
+ *   Closed lines have identical first and last points.
+ *
+ * @private
+ */
+export function isolines (values, nx, ny, level) {
+  // Each crossing point lies on a cell edge which is identified by a number.
+  // Horizontal edges (i,j)-(i+1,j) have ids [0, nx*ny), vertical edges (i,j)-(i,j+1) have ids [nx*ny, 2*nx*ny).
+  let verticalOffset = nx * ny
+  let points = new Map() // edge id -> [i,j]
+  let neighbors = new Map() // edge id -> array of connected edge ids
+
+  let crossing = (id, i0, j0, i1, j1) => {
+    if (!points.has(id)) {
+      let v0 = values[j0*nx + i0]
+      let v1 = values[j1*nx + i1]
+      let t = (level - v0) / (v1 - v0)
+      points.set(id, [i0 + (i1 - i0) * t, j0 + (j1 - j0) * t])
+      neighbors.set(id, [])
+    }
+    return id
+  }
+  let connect = (id1, id2) => {
+    neighbors.get(id1).push(id2)
+    neighbors.get(id2).push(id1)
+  }
+
+  for (let j=0; j < ny - 1; j++) {
+    for (let i=0; i < nx - 1; i++) {
+      // corners in counter-clockwise order, starting bottom left
+      let a = values[j*nx + i]
+      let b = values[j*nx + i + 1]
+      let c = values[(j+1)*nx + i + 1]
+      let d = values[(j+1)*nx + i]
+      if (isNaN(a) || isNaN(b) || isNaN(c) || isNaN(d)) {
+        continue
+      }
+      let ka = a >= level
+      let kb = b >= level
+      let kc = c >= level
+      let kd = d >= level
+
+      let edges = []
+      if (ka !== kb) edges.push(crossing(j*nx + i, i, j, i+1, j)) // bottom
+      if (kb !== kc) edges.push(crossing(verticalOffset + j*nx + i + 1, i+1, j, i+1, j+1)) // right
+      if (kd !== kc) edges.push(crossing((j+1)*nx + i, i, j+1, i+1, j+1)) // top
+      if (ka !== kd) edges.push(crossing(verticalOffset + j*nx + i, i, j, i, j+1)) // left
+
+      if (edges.length === 2) {
+        connect(edges[0], edges[1])
+      } else if (edges.length === 4) {
+        // saddle, the cell centre decides which corners are connected
+        let [bottom, right, top, left] = edges
+        if (((a + b + c + d) / 4 >= level) === ka) {
+          // a and c are connected, separate b and d
+          connect(bottom, right)
+          connect(top, left)
+        } else {
+          // b and d are connected, separate a and c
+          connect(bottom, left)
+          connect(right, top)
+        }
+      }
+    }
+  }
+
+  // each edge has at most two neighbors, so the graph consists of open paths and rings
+  let visited = new Set()
+  let walk = start => {
+    let line = [start]
+    visited.add(start)
+    let current = start
+    for (;;) {
+      let next = neighbors.get(current).find(id => !visited.has(id))
+      if (next === undefined) break
+      visited.add(next)
+      line.push(next)
+      current = next
+    }
+    if (line.length > 2 && neighbors.get(current).includes(start)) {
+      line.push(start)
+    }
+    return line.map(id => points.get(id))
+  }
+
+  let lines = []
+  // open paths first, starting from one of their ends
+  for (let [id, ids] of neighbors) {
+    if (ids.length < 2 && !visited.has(id)) {
+      lines.push(walk(id))
+    }
+  }
+  for (let id of neighbors.keys()) {
+    if (!visited.has(id)) {
+      lines.push(walk(id))
+    }
+  }
+  return lines
+}
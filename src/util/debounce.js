@@ -0,0 +1,21 @@
+/**
+ * Returns a function that delays calling `fn` until `wait` milliseconds
+ * have passed since the last time it was called.
+ *
+ * @example
+ * let onMove = debounce(() => console.log('map settled'), 300)
+ * map.on('moveend', onMove)
+ *
+ * @param {function} fn The function to debounce.
+ * @param {number} wait The delay in milliseconds.
+ * @return {function} The debounced function.
+ *
+ * @private
+ */
+export function debounce (fn, wait) {
+  let timeout
+  return function (...args) {
+    clearTimeout(timeout)
+    timeout = setTimeout(() => fn.apply(this, args), wait)
+  }
+}
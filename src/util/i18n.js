@@ -0,0 +1,206 @@
+/**
+ * The built-in messages of controls and popups, by language tag.
+ * Missing messages of a language fall back to English.
+ */
+const MESSAGES = {
+  en: {
+    time: 'Time',
+    vertical: 'Vertical',
+    noData: 'No data',
+    noDataAtLocation: 'No data.',
+    previous: 'Previous',
+    next: 'Next',
+    play: 'Play',
+    pause: 'Pause',
+    speed: 'Speed',
+    fps: '{fps} fps',
+    vectorSpeed: 'Speed',
+    resetExtent: 'Reset the value range',
+    clickToEdit: 'Click to edit',
+    clickToShow: 'Click to show',
+    clickToHide: 'Click to hide'
+  },
+  de: {
+    time: 'Zeit',
+    vertical: 'Vertikal',
+    noData: 'Keine Daten',
+    noDataAtLocation: 'Keine Daten.',
+    previous: 'Zurück',
+    next: 'Weiter',
+    play: 'Abspielen',
+    pause: 'Pause',
+    speed: 'Geschwindigkeit',
+    fps: '{fps} B/s',
+    vectorSpeed: 'Geschwindigkeit',
+    resetExtent: 'Wertebereich zurücksetzen',
+    clickToEdit: 'Zum Bearbeiten klicken',
+    clickToShow: 'Zum Einblenden klicken',
+    clickToHide: 'Zum Ausblenden klicken'
+  },
+  fr: {
+    time: 'Temps',
+    vertical: 'Vertical',
+    noData: 'Aucune donnée',
+    noDataAtLocation: 'Aucune donnée.',
+    previous: 'Précédent',
+    next: 'Suivant',
+    play: 'Lecture',
+    pause: 'Pause',
+    speed: 'Vitesse',
+    fps: '{fps} img/s',
+    vectorSpeed: 'Vitesse',
+    resetExtent: 'Réinitialiser la plage de valeurs',
+    clickToEdit: 'Cliquer pour modifier',
+    clickToShow: 'Cliquer pour afficher',
+    clickToHide: 'Cliquer pour masquer'
+  }
+}
+
+let currentLocale = 'en'
+
+/**
+ * Sets the default language of controls and popups created afterwards, used for their built-in messages,
+ * for formatting dates and numbers, and as preferred language of parameter labels.
+ * Controls and popups with a `language` option use that instead.
+ *
+ * Built-in messages exist for English, German, and French, other languages can be added with {@link registerMessages}.
+ *
+ * @example
+ * C.setLocale('de')
+ *
+ * @param {string} locale A language tag like 'de' or 'de-AT'.
+ */
+export function setLocale (locale) {
+  currentLocale = locale
+}
+
+/**
+ * Returns the default language of controls and popups, see {@link setLocale}.
+ *
+ * @return {string} A language tag.
+ */
+export function getLocale () {
+  return currentLocale
+}
+
+/**
+ * Adds or replaces messages of a language, see {@link setLocale}.
+ * The available message keys are those of the built-in English messages, like `time` or `noData`.
+ * Placeholders like `{fps}` are replaced with values.
+ *
+ * @example
+ * C.registerMessages('es', {time: 'Tiempo', noData: 'Sin datos'})
+ *
+ * @param {string} locale A language tag like 'es'.
+ * @param {Object} messages The messages by key.
+ */
+export function registerMessages (locale, messages) {
+  MESSAGES[locale] = Object.assign(MESSAGES[locale] || {}, messages)
+}
+
+/**
+ * Returns the messages for a language, falling back to the messages of its base language
+ * (e.g. 'de' for 'de-AT') and then to English.
+ *
+ * @param {string} [locale] A language tag, the default locale if not given.
+ * @param {Object} [overrides] Messages taking precedence, for example from a `messages` option.
+ * @return {Object} The messages by key.
+ *
+ * @private
+ */
+export function getMessages (locale=currentLocale, overrides) {
+  let base = locale.split('-')[0]
+  return Object.assign({}, MESSAGES.en, MESSAGES[base], MESSAGES[locale], overrides)
+}
+
+/**
+ * Returns a message in all languages that have it, as a language map like the labels of CovJSON parameters.
+ *
+ * @example
+ * getLanguageMap('vectorSpeed') // {en: 'Speed', de: 'Geschwindigkeit', fr: 'Vitesse'}
+ *
+ * @param {string} key The message key.
+ * @return {Object} The messages by language tag.
+ *
+ * @private
+ */
+export function getLanguageMap (key) {
+  let map = {}
+  for (let locale of Object.keys(MESSAGES)) {
+    if (MESSAGES[locale][key] !== undefined) {
+      map[locale] = MESSAGES[locale][key]
+    }
+  }
+  return map
+}
+
+/**
+ * Replaces placeholders like `{fps}` in a message with the values of the same name.
+ *
+ * @example
+ * formatMessage('{fps} fps', {fps: 2}) // '2 fps'
+ *
+ * @param {string} message
+ * @param {Object} values The values by placeholder name.
+ * @return {string}
+ *
+ * @private
+ */
+export function formatMessage (message, values) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => name in values ? values[name] : match)
+}
+
+/**
+ * Formats the UTC date of a Date or CalendarDate object according to the conventions of a locale.
+ * Dates of non-Gregorian calendars are formatted as YYYY-MM-DD since they have no Date equivalent.
+ *
+ * @example
+ * formatDate(new Date('2000-01-31T12:00:00Z'), 'de') // '31.01.2000'
+ *
+ * @param {Date|CalendarDate} date
+ * @param {string} [locale] A language tag, the default locale if not given.
+ * @return {string}
+ *
+ * @private
+ */
+export function formatDate (date, locale=currentLocale) {
+  if (!(date instanceof Date)) {
+    return date.toISOString().split('T')[0]
+  }
+  return new Intl.DateTimeFormat(locale, {year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'UTC'})
+    .format(date)
+}
+
+/**
+ * Formats the UTC time of a Date or CalendarDate object according to the conventions of a locale,
+ * see {@link formatDate}.
+ *
+ * @example
+ * formatTime(new Date('2000-01-31T18:00:00Z'), 'de') // '18:00:00 UTC'
+ *
+ * @param {Date|CalendarDate} date
+ * @param {string} [locale] A language tag, the default locale if not given.
+ * @return {string}
+ *
+ * @private
+ */
+export function formatTime (date, locale=currentLocale) {
+  if (!(date instanceof Date)) {
+    return date.toISOString().split('T')[1].substr(0, 8) + ' UTC'
+  }
+  return new Intl.DateTimeFormat(locale, {hour: '2-digit', minute: '2-digit', second: '2-digit',
+    timeZone: 'UTC', timeZoneName: 'short'}).format(date)
+}
+
+/**
+ * Formats the UTC date and time of a Date or CalendarDate object, see {@link formatDate} and {@link formatTime}.
+ *
+ * @param {Date|CalendarDate} date
+ * @param {string} [locale] A language tag, the default locale if not given.
+ * @return {string}
+ *
+ * @private
+ */
+export function formatDateTime (date, locale=currentLocale) {
+  return formatDate(date, locale) + ' ' + formatTime(date, locale)
+}
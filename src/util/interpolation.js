@@ -0,0 +1,74 @@
+import {indicesOfNearest} from 'covutils'
+
+/**
+ * Return the fractional index of the given number in a sorted array,
+ * clamped to the first and last index.
+ *
+ * @example
+ * fractionalIndexOf([2,4,8], 6) // 1.5
+ *
+ * @param {Array<number>} a An ascending or descending array.
+ * @param {number} x
+ * @return {number}
+ *
+ * @private
+ */
+export function fractionalIndexOf (a, x) {
+  let [lo, hi] = indicesOfNearest(a, x)
+  if (lo === hi) return lo
+  return lo + (x - a[lo]) / (a[hi] - a[lo])
+}
+
+/**
+ * Wraps a range value function such that it accepts fractional x/y indices
+ * and returns the bilinearly interpolated value of the four surrounding grid cells.
+ *
+ * Missing values are skipped and the weights of the remaining cells are renormalized.
+ * If the closest grid cell has no data, then no data (null) is returned so that
+ * data gaps like coastlines are not smeared out.
+ *
+ * @example
+ * let vals = bilinearValueFn(range.get, 'x', 'y')
+ * vals({x: 0.5, y: 1})
+ *
+ * @param {function(Object): number|null} vals The range value function accepting integer indices.
+ * @param {string} xKey The name of the x axis.
+ * @param {string} yKey The name of the y axis.
+ * @return {function(Object): number|null}
+ *
+ * @private
+ */
+export function bilinearValueFn (vals, xKey, yKey) {
+
+  return idx => {
+    let fx = idx[xKey]
+    let fy = idx[yKey]
+    let x0 = Math.floor(fx)
+    let y0 = Math.floor(fy)
+    let wx = fx - x0
+    let wy = fy - y0
+    // fractional indices are clamped to the axis, so x0+1 only exists if there is a remainder
+    let x1 = wx > 0 ? x0 + 1 : x0
+    let y1 = wy > 0 ? y0 + 1 : y0
+    
+    let nearest = vals({[xKey]: wx < 0.5 ? x0 : x1, [yKey]: wy < 0.5 ? y0 : y1})
+    if (nearest === null) {
+      return null
+    }
+    
+    let sum = 0
+    let weights = 0
+    let add = (ix, iy, weight) => {
+      if (weight === 0) return
+      let val = vals({[xKey]: ix, [yKey]: iy})
+      if (val === null) return
+      sum += val * weight
+      weights += weight
+    }
+    add(x0, y0, (1 - wx) * (1 - wy))
+    add(x1, y0, wx * (1 - wy))
+    add(x0, y1, (1 - wx) * wy)
+    add(x1, y1, wx * wy)
+    return sum / weights
+  }
+}
@@ -0,0 +1,136 @@
+import {paletteScaleFns} from '../layers/palettes.js'
+
+/**
+ * Returns about `count` evenly spaced round values strictly within the given extent.
+ *
+ * @example
+ * niceTicks([0, 97], 10) // [10, 20, ..., 90]
+ *
+ * @param {Array<number>} extent The lower and upper bound.
+ * @param {number} count The approximate number of intervals.
+ * @return {Array<number>} The ascending tick values.
+ *
+ * @private
+ */
+export function niceTicks (extent, count) {
+  let [min, max] = extent
+  let raw = (max - min) / count
+  if (!(raw > 0) || !isFinite(raw)) {
+    return []
+  }
+  let magnitude = Math.pow(10, Math.floor(Math.log10(raw)))
+  let fraction = raw / magnitude
+  let step = (fraction < 1.5 ? 1 : fraction < 3 ? 2 : fraction < 7 ? 5 : 10) * magnitude
+  let ticks = []
+  for (let k = Math.floor(min / step) + 1; k * step < max; k++) {
+    // avoid floating point artefacts like 0.30000000000000004
+    ticks.push(+(k * step).toPrecision(12))
+  }
+  return ticks
+}
+
+/**
+ * Returns round tick values strictly within the given extent, placed according to the palette scale:
+ * evenly spaced values for `linear`, powers of ten for `log`, the center and evenly spaced values
+ * on both sides for `diverging`, and rounded values at evenly spaced scale positions otherwise.
+ *
+ * @example
+ * scaleTicks('log', [1, 1000], 5) // [10, 100]
+ *
+ * @param {PaletteScale} paletteScale The palette scale.
+ * @param {Array<number>} extent The lower and upper bound.
+ * @param {number} count The approximate number of intervals.
+ * @return {Array<number>} The ascending tick values.
+ *
+ * @private
+ */
+export function scaleTicks (paletteScale, extent, count) {
+  let type = paletteScale.type || paletteScale
+  let {denormalize} = paletteScaleFns(paletteScale)
+  if (count < 1) {
+    return []
+  }
+  if (type === 'linear') {
+    return niceTicks(extent, count)
+  } else if (type === 'log') {
+    // powers of ten, only every n-th if there are many decades
+    let lo = extent[0] > 0 ? extent[0] : extent[1] / 1000
+    let first = Math.ceil(Math.log10(lo))
+    let last = Math.floor(Math.log10(extent[1]))
+    let every = Math.ceil((last - first + 1) / count)
+    let ticks = []
+    for (let e=first; e <= last; e += every) {
+      ticks.push(+Math.pow(10, e).toPrecision(12))
+    }
+    return ticks.filter(val => val > extent[0] && val < extent[1])
+  } else if (type === 'diverging') {
+    let center = paletteScale.center || 0
+    if (center <= extent[0] || center >= extent[1]) {
+      return niceTicks(extent, count)
+    }
+    let half = Math.max(Math.round(count / 2), 1)
+    return [...niceTicks([extent[0], center], half), center, ...niceTicks([center, extent[1]], half)]
+      .filter((val, i, ticks) => i === 0 || val > ticks[i - 1])
+  } else {
+    let ticks = []
+    for (let k=1; k < count; k++) {
+      let val = +denormalize(k / count, extent).toPrecision(2)
+      if (val > extent[0] && val < extent[1] && (ticks.length === 0 || val > ticks[ticks.length - 1])) {
+        ticks.push(val)
+      }
+    }
+    return ticks
+  }
+}
+
+/**
+ * Returns the number of decimal places needed to show the given values without rounding,
+ * ignoring floating point artefacts.
+ *
+ * @example
+ * decimalPlaces([0.5, 0.25, 1e-7]) // 7
+ *
+ * @param {Array<number>} values
+ * @return {number} The number of decimal places, at most 20.
+ *
+ * @private
+ */
+export function decimalPlaces (values) {
+  let places = 0
+  for (let val of values) {
+    let [mantissa, exponent] = String(+val.toPrecision(12)).split('e')
+    let decimals = (mantissa.split('.')[1] || '').length - (+exponent || 0)
+    places = Math.max(places, decimals)
+  }
+  return Math.min(places, 20)
+}
+
+/**
+ * Formats a number with a fixed number of decimal places or significant digits according to the conventions of a locale.
+ *
+ * @example
+ * formatNumber(1234.5, {precision: 2, locale: 'de'}) // '1.234,50'
+ * formatNumber(1234.5, {precision: 1, notation: 'scientific'}) // '1.2E3'
+ * formatNumber(0.000123456, {significantDigits: 3}) // '0.000123'
+ *
+ * @param {number} val The number to format.
+ * @param {Object} [options]
+ * @param {number} [options.precision] The number of decimal places, of the mantissa for scientific notation.
+ *   By default, up to three decimal places are shown.
+ * @param {number} [options.significantDigits] The maximum number of significant digits, instead of a precision.
+ * @param {string} [options.notation='standard'] 'standard', 'scientific', 'engineering', or 'compact'.
+ * @param {string} [options.locale] A language tag like 'de', the default locale of the environment if not given.
+ * @return {string}
+ *
+ * @private
+ */
+export function formatNumber (val, {precision, significantDigits, notation='standard', locale} = {}) {
+  let options = {notation}
+  if (significantDigits !== undefined) {
+    options.maximumSignificantDigits = significantDigits
+  } else if (precision !== undefined) {
+    options.minimumFractionDigits = precision
+    options.maximumFractionDigits = precision
+  }
+  return new Intl.NumberFormat(locale, options).format(val)
+}
@@ -0,0 +1,137 @@
+/**
+ * Linear conversions between units, `converted = value * scale + offset`,
+ * stored as Map (from symbol -> Map (to symbol -> {scale, offset})).
+ */
+const CONVERSIONS = new Map()
+
+/**
+ * Alternative symbols and identifiers of units, Map (alias -> symbol).
+ */
+const ALIASES = new Map()
+
+/**
+ * Registers a linear conversion from one unit to another, and its inverse.
+ * Units are identified by their symbol, or by an alias registered with {@link registerUnitAlias}.
+ *
+ * Built-in conversions exist for temperatures (K, °C, °F), speeds (m/s, km/h, kn),
+ * pressures (Pa, hPa, kPa), lengths (m, km, ft), and precipitation rates (kg m-2 s-1, mm/h, mm/day).
+ *
+ * @example
+ * C.registerUnitConversion('m', 'mi', {scale: 1 / 1609.344})
+ * C.registerUnitConversion('°C', 'K', {offset: 273.15})
+ *
+ * @param {string} from The symbol of the source unit.
+ * @param {string} to The symbol of the target unit.
+ * @param {Object} conversion
+ * @param {number} [conversion.scale=1] The factor to multiply values with.
+ * @param {number} [conversion.offset=0] The offset to add after scaling.
+ */
+export function registerUnitConversion (from, to, {scale=1, offset=0}) {
+  if (!scale) {
+    throw new Error('The scale of a unit conversion must not be zero')
+  }
+  addConversion(from, to, scale, offset)
+  addConversion(to, from, 1 / scale, -offset / scale)
+}
+
+/**
+ * Registers an alternative symbol or identifier of a unit, for example a UCUM code or a URI.
+ *
+ * @example
+ * C.registerUnitAlias('http://www.opengis.net/def/uom/UCUM/K', 'K')
+ *
+ * @param {string} alias The alternative symbol or identifier.
+ * @param {string} symbol The symbol used in registered conversions.
+ */
+export function registerUnitAlias (alias, symbol) {
+  ALIASES.set(alias, symbol)
+}
+
+/**
+ * Returns functions converting values of a parameter unit to a display unit and back.
+ * The parameter unit is looked up by its `id` first and then by its symbol.
+ *
+ * @example
+ * let {convert, invert} = getUnitConversion({symbol: {value: 'K'}}, '°C')
+ * convert(273.15) // 0
+ *
+ * @param {Object|string} unit A CovJSON unit object or a unit symbol.
+ * @param {string} [displayUnit] The symbol of the display unit, if undefined values are not converted.
+ * @return {Object} An object with `convert(val)` and the inverse `invert(val)`.
+ * @throws {Error} If there is no conversion between the units.
+ */
+export function getUnitConversion (unit, displayUnit) {
+  let identity = {convert: val => val, invert: val => val}
+  if (displayUnit === undefined) {
+    return identity
+  }
+  let target = resolve(displayUnit)
+  let keys = unitKeys(unit)
+  for (let key of keys) {
+    let source = resolve(key)
+    if (source === target) {
+      return identity
+    }
+    let conversion = CONVERSIONS.has(source) && CONVERSIONS.get(source).get(target)
+    if (conversion) {
+      let {scale, offset} = conversion
+      // rounding avoids floating point artefacts like 29.999999999999977
+      return {
+        convert: val => +(val * scale + offset).toPrecision(12),
+        invert: val => +((val - offset) / scale).toPrecision(12)
+      }
+    }
+  }
+  throw new Error('No unit conversion from ' + (keys.join(' / ') || 'unknown unit') + ' to ' + displayUnit)
+}
+
+function addConversion (from, to, scale, offset) {
+  if (!CONVERSIONS.has(from)) {
+    CONVERSIONS.set(from, new Map())
+  }
+  CONVERSIONS.get(from).set(to, {scale, offset})
+}
+
+function resolve (symbol) {
+  return ALIASES.has(symbol) ? ALIASES.get(symbol) : symbol
+}
+
+function unitKeys (unit) {
+  if (!unit) {
+    return []
+  }
+  if (typeof unit === 'string') {
+    return [unit]
+  }
+  let keys = []
+  if (unit.id) {
+    keys.push(unit.id)
+  }
+  if (unit.symbol) {
+    keys.push(typeof unit.symbol === 'string' ? unit.symbol : unit.symbol.value)
+  }
+  return keys
+}
+
+registerUnitConversion('K', '°C', {offset: -273.15})
+registerUnitConversion('K', '°F', {scale: 1.8, offset: -459.67})
+registerUnitConversion('°C', '°F', {scale: 1.8, offset: 32})
+registerUnitConversion('m/s', 'km/h', {scale: 3.6})
+registerUnitConversion('m/s', 'kn', {scale: 3600 / 1852})
+registerUnitConversion('km/h', 'kn', {scale: 1000 / 1852})
+registerUnitConversion('Pa', 'hPa', {scale: 0.01})
+registerUnitConversion('Pa', 'kPa', {scale: 0.001})
+registerUnitConversion('hPa', 'kPa', {scale: 0.1})
+registerUnitConversion('m', 'km', {scale: 0.001})
+registerUnitConversion('m', 'ft', {scale: 1 / 0.3048})
+// 1 kg of water per square metre is 1 mm
+registerUnitConversion('kg m-2 s-1', 'mm/h', {scale: 3600})
+registerUnitConversion('kg m-2 s-1', 'mm/day', {scale: 86400})
+registerUnitConversion('mm/h', 'mm/day', {scale: 24})
+
+// UCUM codes and common spellings
+for (let [alias, symbol] of [['Cel', '°C'], ['degC', '°C'], ['[degF]', '°F'], ['degF', '°F'],
+    ['m s-1', 'm/s'], ['m.s-1', 'm/s'], ['km h-1', 'km/h'], ['[kn_i]', 'kn'], ['kt', 'kn'],
+    ['mbar', 'hPa'], ['[ft_i]', 'ft'], ['kg.m-2.s-1', 'kg m-2 s-1'], ['kg/m2/s', 'kg m-2 s-1']]) {
+  registerUnitAlias(alias, symbol)
+}
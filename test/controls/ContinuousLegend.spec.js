@@ -0,0 +1,26 @@
+import assert from 'assert'
+import L from 'leaflet'
+
+import {Grid, ContinuousLegend} from '../../src'
+import {temperatureGrid} from '../fixtures.js'
+
+describe('ContinuousLegend', () => {
+  describe('reset', () => {
+    it('resets an explicit extent of a Grid to the extent of the current subset', () => {
+      let map = L.map(document.createElement('div'))
+      return temperatureGrid([270, 280, null, 300]).then(cov => {
+        let grid = new Grid(cov, {parameter: 'T', paletteExtent: [0, 10]})
+        return grid.load().then(() => grid.initializePalette()).then(() => {
+          assert.deepStrictEqual(grid.paletteExtent, [0, 10])
+          let legend = new ContinuousLegend(grid, {editable: true}).addTo(map)
+
+          let changed = new Promise(resolve => grid.once('paletteExtentChange', resolve))
+          legend.getContainer().querySelector('.legend-reset').click()
+          return changed
+        }).then(() => {
+          assert.deepStrictEqual(grid.paletteExtent, [270, 300])
+        })
+      })
+    })
+  })
+})
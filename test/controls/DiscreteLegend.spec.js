@@ -0,0 +1,27 @@
+import assert from 'assert'
+import L from 'leaflet'
+
+import {Grid, DiscreteLegend} from '../../src'
+import {temperatureGrid} from '../fixtures.js'
+
+describe('DiscreteLegend', () => {
+  describe('class breaks', () => {
+    it('labels explicit class breaks in the display unit of the layer', () => {
+      let map = L.map(document.createElement('div'))
+      return temperatureGrid([275, 280, null, 290]).then(cov => {
+        let grid = new Grid(cov, {parameter: 'T', paletteExtent: [0, 20], displayUnit: '°C',
+          classBreaks: [0, 10, 20]})
+        return grid.load().then(() => grid.initializePalette()).then(() => {
+          assert.deepStrictEqual(grid.classBreaks, [0, 10, 20])
+          // the data is in Kelvin, 275 K and 290 K fall into the first and second class
+          assert.notStrictEqual(grid.getPaletteIndex(275), grid.getPaletteIndex(290))
+          assert.strictEqual(grid.getPaletteIndex(20), undefined)
+          let legend = new DiscreteLegend(grid, {language: 'en'}).addTo(map)
+          let text = legend.getContainer().querySelector('.legend-palette').textContent
+          assert.notStrictEqual(text.indexOf('0 – 10 °C'), -1)
+          assert.notStrictEqual(text.indexOf('10 – 20 °C'), -1)
+        })
+      })
+    })
+  })
+})
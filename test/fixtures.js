@@ -0,0 +1,41 @@
+import {read} from 'covjson-reader'
+
+/**
+ * Returns a Promise of a geographic grid coverage with a temperature parameter 'T' in Kelvin.
+ * 
+ * @param {Array<number|null>} values The values in row-major order (t, y, x).
+ * @param {Object} [axes] The axis values.
+ * @param {Array<number>} [axes.x=[10, 20]] The longitudes.
+ * @param {Array<number>} [axes.y=[40, 50]] The latitudes.
+ * @param {Array<string>} [axes.t] The times, if the grid has a time axis.
+ * @return {Promise<Coverage>}
+ */
+export function temperatureGrid (values, {x=[10, 20], y=[40, 50], t} = {}) {
+  let axes = {x: {values: x}, y: {values: y}}
+  let referencing = [{
+    coordinates: ['x', 'y'],
+    system: {type: 'GeographicCRS', id: 'http://www.opengis.net/def/crs/OGC/1.3/CRS84'}
+  }]
+  let axisNames = ['y', 'x']
+  let shape = [y.length, x.length]
+  if (t) {
+    axes.t = {values: t}
+    referencing.push({coordinates: ['t'], system: {type: 'TemporalRS', calendar: 'Gregorian'}})
+    axisNames.unshift('t')
+    shape.unshift(t.length)
+  }
+  return read({
+    type: 'Coverage',
+    domain: {type: 'Domain', domainType: 'Grid', axes, referencing},
+    parameters: {
+      T: {
+        type: 'Parameter',
+        observedProperty: {label: {en: 'Temperature'}},
+        unit: {symbol: 'K'}
+      }
+    },
+    ranges: {
+      T: {type: 'NdArray', dataType: 'float', axisNames, shape, values}
+    }
+  })
+}
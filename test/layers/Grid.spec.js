@@ -0,0 +1,121 @@
+import assert from 'assert'
+import L from 'leaflet'
+
+import {Grid} from '../../src'
+import {temperatureGrid} from '../fixtures.js'
+
+function createMap () {
+  let el = document.createElement('div')
+  el.style.width = '400px'
+  el.style.height = '200px'
+  document.body.appendChild(el)
+  return L.map(el)
+}
+
+// a grid with one value per time step, which records the time indices of the loaded slices
+function timeSeriesGrid (times, options) {
+  let values = times.map((t, i) => i)
+  return temperatureGrid(values, {x: [10], y: [40], t: times}).then(cov => {
+    let subsetByIndex = cov.subsetByIndex.bind(cov)
+    let loaded = []
+    cov.subsetByIndex = constraints => {
+      loaded.push(constraints.t)
+      return subsetByIndex(constraints)
+    }
+    let grid = new Grid(cov, Object.assign({parameter: 'T'}, options))
+    return grid.load().then(() => ({grid, loaded}))
+  })
+}
+
+function setTime (grid, time) {
+  let changed = new Promise(resolve => grid.once('axisChange', resolve))
+  grid.time = new Date(time)
+  return changed
+}
+
+const TIMES = ['2000-01-01T00:00:00Z', '2000-01-02T00:00:00Z', '2000-01-03T00:00:00Z',
+  '2000-01-04T00:00:00Z', '2000-01-05T00:00:00Z']
+
+function addTo (layer, map) {
+  return new Promise(resolve => layer.once('afterAdd', resolve).addTo(map))
+}
+
+describe('Grid', () => {
+  describe('fov palette extent', () => {
+    let map
+    afterEach(() => {
+      let el = map.getContainer()
+      map.remove()
+      el.parentNode.removeChild(el)
+    })
+    it('includes the grid cells on both sides of the antimeridian', () => {
+      map = createMap()
+      map.fitBounds([[-10, 150], [10, 210]])
+      // a global grid from -170 to 170 degrees longitude
+      let x = [-170, -90, 0, 90, 170]
+      let values = [1, 100, 100, 100, 5,
+                    2, 100, 100, 100, 6]
+      return temperatureGrid(values, {x, y: [-5, 5]}).then(cov => {
+        let grid = new Grid(cov, {parameter: 'T'})
+        return addTo(grid, map).then(() => grid.setPaletteExtent('fov')).then(() => {
+          assert.deepStrictEqual(grid.paletteExtent, [1, 6])
+        })
+      })
+    })
+    it('includes the grid cells within the view', () => {
+      map = createMap()
+      map.fitBounds([[-10, -100], [10, 10]])
+      let x = [-170, -90, 0, 90, 170]
+      let values = [1, 20, 30, 100, 5,
+                    2, 40, 50, 100, 6]
+      return temperatureGrid(values, {x, y: [-5, 5]}).then(cov => {
+        let grid = new Grid(cov, {parameter: 'T'})
+        return addTo(grid, map).then(() => grid.setPaletteExtent('fov')).then(() => {
+          assert.deepStrictEqual(grid.paletteExtent, [20, 50])
+        })
+      })
+    })
+  })
+  describe('slice cache', () => {
+    it('evicts the least recently used time slice', () => {
+      return timeSeriesGrid(TIMES, {cacheSize: 2}).then(({grid, loaded}) => {
+        return setTime(grid, TIMES[1])
+          .then(() => setTime(grid, TIMES[0]))
+          .then(() => setTime(grid, TIMES[2]))
+          .then(() => setTime(grid, TIMES[0]))
+          .then(() => setTime(grid, TIMES[1]))
+          .then(() => {
+            // the first slice was used more recently than the second one when the third one was loaded
+            assert.deepStrictEqual(loaded, [0, 1, 2, 1])
+          })
+      })
+    })
+  })
+  describe('#play', () => {
+    it('prefetches the upcoming time slices within the range', () => {
+      return timeSeriesGrid(TIMES).then(({grid, loaded}) => {
+        grid.play({range: [new Date(TIMES[1]), new Date(TIMES[3])], prefetch: 5})
+        grid.pause()
+        assert.deepStrictEqual(loaded, [0, 1, 2, 3])
+      })
+    })
+    it('continues with the first time slice of the range after the last one', () => {
+      return timeSeriesGrid(TIMES).then(({grid, loaded}) => setTime(grid, TIMES[3]).then(() => {
+        grid.play({range: [new Date(TIMES[1]), new Date(TIMES[3])], prefetch: 1})
+        grid.pause()
+        assert.deepStrictEqual(loaded, [0, 3, 1, 2])
+      }))
+    })
+    it('stops after the last time slice if not looping', () => {
+      return timeSeriesGrid(TIMES).then(({grid, loaded}) => setTime(grid, TIMES[4]).then(() => {
+        let paused = new Promise(resolve => grid.once('pause', resolve))
+        grid.play({loop: false, fps: 100})
+        return paused.then(() => {
+          assert.strictEqual(grid.playing, false)
+          assert.strictEqual(grid.time.toISOString(), '2000-01-05T00:00:00.000Z')
+          assert.deepStrictEqual(loaded, [0, 4])
+        })
+      }))
+    })
+  })
+})
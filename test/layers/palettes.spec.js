@@ -1,6 +1,7 @@
 import assert from 'assert'
 
-import {directPalette, PaletteManager} from '../../src'
+import {directPalette, namedPalette, importPalette, PaletteManager} from '../../src'
+import {paletteScaleFns} from '../../src/layers/palettes.js'
 
 describe('palettes', () => {
   describe('#directPalette', () => {
@@ -18,6 +19,76 @@ describe('palettes', () => {
         assert.strictEqual(palette.green[i], g[i])
         assert.strictEqual(palette.blue[i], b[i])
       }
+      assert.strictEqual(palette.alpha, undefined)
+    })
+    it('keeps the alpha of translucent colors', () => {
+      let palette = directPalette(['rgba(0, 0, 255, 0)', 'rgba(0, 0, 255, 0.6)', 'blue'])
+      assert.deepStrictEqual(Array.from(palette.alpha), [0, 153, 255])
+      assert.strictEqual(palette.blue[1], 255)
+    })
+  })
+  describe('#namedPalette', () => {
+    it('interpolates and reverses continuous palettes', () => {
+      let thermal = namedPalette('cmocean.thermal', 20)
+      let reversed = namedPalette('cmocean.thermal_r', 20)
+      assert.strictEqual(thermal.steps, 20)
+      assert.deepStrictEqual([thermal.red[0], thermal.green[0], thermal.blue[0]], [3, 35, 51])
+      assert.deepStrictEqual([reversed.red[19], reversed.green[19], reversed.blue[19]], [3, 35, 51])
+    })
+    it('keeps the colors of qualitative palettes', () => {
+      assert.strictEqual(namedPalette('colorbrewer.Set1').steps, 9)
+      assert.strictEqual(namedPalette('colorbrewer.Set1', 12).red[9], 0xe4)
+    })
+    it('throws for unknown names', () => {
+      assert.throws(() => namedPalette('cmocean.nonexistent'))
+    })
+  })
+  describe('#importPalette', () => {
+    it('imports SLD intervals as class breaks', () => {
+      let sld = `<StyledLayerDescriptor xmlns="http://www.opengis.net/sld"><ColorMap type="intervals">
+        <ColorMapEntry color="#000000" quantity="0" opacity="0"/>
+        <ColorMapEntry color="#0000ff" quantity="10"/>
+        <ColorMapEntry color="#ff0000" quantity="20"/>
+      </ColorMap></StyledLayerDescriptor>`
+      let imported = importPalette(sld, 'sld')
+      assert.deepStrictEqual(imported.classBreaks, [0, 10, 20])
+      assert.deepStrictEqual(imported.paletteExtent, [0, 20])
+      assert.strictEqual(imported.palette.steps, 2)
+      assert.strictEqual(imported.palette.blue[0], 255)
+      assert.strictEqual(imported.belowColor, 'rgba(0,0,0,0)')
+    })
+    it('imports QML ramps as interpolated palettes', () => {
+      let qml = `<qgis><pipe><rasterrenderer><rastershader><colorrampshader colorRampType="INTERPOLATED">
+        <item value="0" color="#000000" alpha="255"/>
+        <item value="100" color="#ffffff" alpha="255"/>
+      </colorrampshader></rastershader></rasterrenderer></pipe></qgis>`
+      let imported = importPalette(qml, 'qml', {steps: 11})
+      assert.strictEqual(imported.palette.steps, 11)
+      assert.deepStrictEqual(imported.paletteExtent, [0, 100])
+      assert.strictEqual(imported.classBreaks, undefined)
+    })
+    it('throws for malformed files', () => {
+      assert.throws(() => importPalette('<qgis>', 'qml'), /not well-formed/)
+      assert.throws(() => importPalette('<ColorMap type="values"/>', 'sld'), /"values" is not supported/)
+      assert.throws(() => importPalette('', 'ggr'), /Unsupported color table format/)
+    })
+  })
+  describe('#paletteScaleFns', () => {
+    it('normalizes and denormalizes values', () => {
+      let extent = [1, 1000]
+      let {normalize, denormalize} = paletteScaleFns('log')
+      assert.strictEqual(normalize(1, extent), 0)
+      assert(Math.abs(normalize(10, extent) - 1/3) < 1e-9)
+      assert(Math.abs(denormalize(2/3, extent) - 100) < 1e-9)
+    })
+    it('pins the center of diverging scales to the middle', () => {
+      let {normalize, denormalize} = paletteScaleFns({type: 'diverging', center: 0})
+      assert.strictEqual(normalize(0, [-1, 10]), 0.5)
+      assert.strictEqual(normalize(-1, [-1, 10]), 0)
+      assert.strictEqual(denormalize(0.5, [-1, 10]), 0)
+    })
+    it('throws for unsupported scales', () => {
+      assert.throws(() => paletteScaleFns('cubic'))
     })
   })
   describe('#PaletteManager', () => {
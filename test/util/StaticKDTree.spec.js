@@ -0,0 +1,34 @@
+import assert from 'assert'
+
+import {StaticKDTree} from '../../src/util/StaticKDTree.js'
+
+describe('StaticKDTree', () => {
+  describe('#nearest', () => {
+    it('returns the closest point', () => {
+      let tree = new StaticKDTree([0,0, 10,0, 0,10], 2)
+      assert.deepStrictEqual(tree.nearest([9,1]), {id: 1, distance2: 2})
+    })
+    it('agrees with a linear scan', () => {
+      let coords = []
+      for (let i=0; i < 1000; i++) {
+        coords.push(Math.sin(i) * 100, Math.cos(i * 7) * 100, (i % 17) * 3)
+      }
+      let tree = new StaticKDTree(coords, 3)
+      for (let q=0; q < 50; q++) {
+        let point = [Math.sin(q * 3) * 120, Math.cos(q) * 120, q]
+        let expected = Infinity
+        for (let i=0; i < 1000; i++) {
+          let d2 = Math.pow(point[0] - coords[i*3], 2) + Math.pow(point[1] - coords[i*3+1], 2) +
+                   Math.pow(point[2] - coords[i*3+2], 2)
+          expected = Math.min(expected, d2)
+        }
+        assert.strictEqual(tree.nearest(point).distance2, expected)
+      }
+    })
+    it('skips points with missing coordinates', () => {
+      let tree = new StaticKDTree([NaN,0, 5,5], 2)
+      assert.strictEqual(tree.nearest([0,0]).id, 1)
+      assert.strictEqual(new StaticKDTree([NaN,NaN], 2).nearest([0,0]), undefined)
+    })
+  })
+})
@@ -0,0 +1,61 @@
+import assert from 'assert'
+
+import {CalendarDate, getCalendar, parseTime, toTimestamp, fromTimestamp} from '../../src/util/calendar.js'
+
+describe('calendar', () => {
+  describe('CalendarDate', () => {
+    it('supports February 30 in the 360_day calendar', () => {
+      let date = CalendarDate.parse('360_day', '2050-02-30T12:00:00Z')
+      assert.strictEqual(date.toISOString(), '2050-02-30T12:00:00.000Z')
+      assert.strictEqual(date.getUTCMonth(), 1)
+      assert.strictEqual(date.getUTCDate(), 30)
+    })
+    it('rejects dates that do not exist in the calendar', () => {
+      assert.throws(() => CalendarDate.parse('noleap', '2000-02-29'))
+      assert.strictEqual(CalendarDate.parse('all_leap', '2001-02-29').getUTCDate(), 29)
+    })
+    it('round-trips through getTime', () => {
+      for (let calendar of ['360_day', 'noleap', 'all_leap']) {
+        for (let str of ['1969-12-30T23:59:59.500Z', '2050-02-28T06:30:00.000Z', '2100-12-30T00:00:00.000Z']) {
+          let date = CalendarDate.parse(calendar, str)
+          assert.strictEqual(CalendarDate.fromTime(calendar, date.getTime()).toISOString(), str)
+        }
+      }
+    })
+    it('orders consecutive days', () => {
+      let a = new CalendarDate('360_day', 2050, 2, 30)
+      let b = new CalendarDate('360_day', 2050, 3, 1)
+      assert.strictEqual(b - a, 24 * 60 * 60 * 1000)
+      assert(a < b)
+    })
+    it('applies time zone offsets', () => {
+      let date = CalendarDate.parse('360_day', '2050-03-01T01:00:00+02:00')
+      assert.strictEqual(date.toISOString(), '2050-02-30T23:00:00.000Z')
+    })
+  })
+  describe('#getCalendar', () => {
+    let domain = calendar => ({referencing: [{coordinates: ['t'], system: {type: 'TemporalRS', calendar}}]})
+    it('normalizes calendar names', () => {
+      assert.strictEqual(getCalendar(domain('Gregorian')), 'standard')
+      assert.strictEqual(getCalendar(domain('365_day')), 'noleap')
+      assert.strictEqual(getCalendar(domain('http://www.cfconventions.org/cf-conventions/v1.6.0/cf-conventions.html#360_day')), '360_day')
+      assert.strictEqual(getCalendar({referencing: []}), 'standard')
+    })
+  })
+  describe('#parseTime', () => {
+    it('returns Date objects for the standard calendar', () => {
+      let date = parseTime('2000-01-01T00:00:00Z', 'standard')
+      assert(date instanceof Date)
+      assert.strictEqual(toTimestamp(date, 'standard'), Date.UTC(2000, 0, 1))
+    })
+  })
+  describe('#fromTimestamp', () => {
+    it('keeps dates that do not exist in the Gregorian calendar in order', () => {
+      let feb30 = toTimestamp('2050-02-30T00:00:00Z', '360_day')
+      let mar1 = toTimestamp('2050-03-01T00:00:00Z', '360_day')
+      assert(feb30 < mar1)
+      assert.strictEqual(fromTimestamp(feb30, '360_day').toISOString(), '2050-02-30T00:00:00.000Z')
+      assert(fromTimestamp(Date.UTC(2000, 0, 1), 'standard') instanceof Date)
+    })
+  })
+})
@@ -0,0 +1,46 @@
+import assert from 'assert'
+
+import {equalIntervalBreaks, quantileBreaks, jenksBreaks, classIndexOf, percentiles} from '../../src/util/classBreaks.js'
+
+describe('classBreaks', () => {
+  describe('#equalIntervalBreaks', () => {
+    it('divides the extent evenly', () => {
+      assert.deepStrictEqual(equalIntervalBreaks([0, 10], 4), [0, 2.5, 5, 7.5, 10])
+    })
+  })
+  describe('#quantileBreaks', () => {
+    it('puts the same number of values into each class', () => {
+      assert.deepStrictEqual(quantileBreaks([5, 4, 3, 2, 1], 2), [1, 3, 5])
+    })
+    it('merges identical breaks', () => {
+      assert.deepStrictEqual(quantileBreaks([0, 0, 0, 0, 0, 0, 1, 2], 4), [0, 0.25, 2])
+    })
+  })
+  describe('#percentiles', () => {
+    it('ignores outliers', () => {
+      let values = []
+      for (let i=0; i <= 100; i++) {
+        values.push(i)
+      }
+      values[50] = 1e20
+      assert.deepStrictEqual(percentiles(values, [2, 98]), [2, 99])
+      assert(percentiles([], [2, 98]).every(isNaN))
+    })
+  })
+  describe('#jenksBreaks', () => {
+    it('separates clusters', () => {
+      assert.deepStrictEqual(jenksBreaks([12, 1, 2, 11, 3, 10], 2), [1, 10, 12])
+      assert.deepStrictEqual(jenksBreaks([1, 1.5, 2, 20, 21, 50, 52, 53], 3), [1, 20, 50, 53])
+    })
+    it('returns fewer classes if there are too few distinct values', () => {
+      assert.deepStrictEqual(jenksBreaks([1, 1, 1, 2], 3), [1, 2])
+      assert.deepStrictEqual(jenksBreaks([], 3), [])
+    })
+  })
+  describe('#classIndexOf', () => {
+    it('includes lower breaks and the upper bound of the last class', () => {
+      let breaks = [0, 5, 10, 25]
+      assert.deepStrictEqual([0, 4.9, 5, 10, 24, 25].map(v => classIndexOf(breaks, v)), [0, 0, 1, 2, 2, 2])
+    })
+  })
+})
@@ -0,0 +1,39 @@
+import assert from 'assert'
+
+import {parseCpt} from '../../src/util/colorTables.js'
+
+describe('colorTables', () => {
+  describe('#parseCpt', () => {
+    it('parses discrete tables as class breaks', () => {
+      let cpt = [
+        '# COLOR_MODEL = RGB',
+        '0 255/255/255 10 255/255/255 ; dry',
+        '10 0/0/255@50 25 0/0/255@50 L',
+        'B 200 200 200',
+        'N -'
+      ].join('\n')
+      assert.deepStrictEqual(parseCpt(cpt), {
+        interpolate: false,
+        values: [0, 10, 25],
+        colors: ['rgb(255,255,255)', 'rgba(0,0,255,0.5)'],
+        below: 'rgb(200,200,200)'
+      })
+    })
+    it('parses continuous tables as color stops', () => {
+      let cpt = '-1 0/0/0 0 #ff0000\n0 red 5 128\nF white'
+      assert.deepStrictEqual(parseCpt(cpt), {
+        interpolate: true,
+        values: [-1, 0, 0, 5],
+        colors: ['rgb(0,0,0)', 'rgb(255,0,0)', 'red', 'rgb(128,128,128)'],
+        above: 'white'
+      })
+    })
+    it('reports the line of malformed entries', () => {
+      assert.throws(() => parseCpt('0 red 10 red\n10 red'), /line 2/)
+      assert.throws(() => parseCpt('0 300/0/0 10 red'), /\[0,255\]/)
+      assert.throws(() => parseCpt('10 red 20 red\n0 red 10 red'), /ascending/)
+      assert.throws(() => parseCpt('# COLOR_MODEL = HSV\n0 0-1-1 10 0-1-1'), /HSV/)
+      assert.throws(() => parseCpt('# empty'), /no color slices/)
+    })
+  })
+})
@@ -0,0 +1,38 @@
+import assert from 'assert'
+
+import {isolines} from '../../src/util/contours.js'
+
+describe('contours', () => {
+  describe('#isolines', () => {
+    it('returns a closed ring around a peak', () => {
+      let values = [0, 0, 0,
+                    0, 2, 0,
+                    0, 0, 0]
+      let lines = isolines(values, 3, 3, 1)
+      assert.strictEqual(lines.length, 1)
+      let ring = lines[0]
+      assert.strictEqual(ring.length, 5)
+      assert.deepStrictEqual(ring[0], ring[ring.length - 1])
+      for (let [i,j] of ring) {
+        assert.strictEqual(Math.abs(i - 1) + Math.abs(j - 1), 0.5)
+      }
+    })
+    it('interpolates crossing points linearly', () => {
+      let values = [0, 1, 2,
+                    0, 1, 2]
+      let lines = isolines(values, 3, 2, 1.5)
+      assert.deepStrictEqual(lines, [[[1.5, 0], [1.5, 1]]])
+    })
+    it('skips cells with missing values', () => {
+      let values = [0, NaN, 2,
+                    0, 1, 2]
+      assert.deepStrictEqual(isolines(values, 3, 2, 1.5), [])
+    })
+    it('resolves saddles using the cell centre', () => {
+      let values = [2, 0,
+                    0, 2]
+      let lines = isolines(values, 2, 2, 1)
+      assert.deepStrictEqual(lines, [[[0.5, 0], [1, 0.5]], [[0.5, 1], [0, 0.5]]])
+    })
+  })
+})
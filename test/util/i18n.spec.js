@@ -0,0 +1,54 @@
+import assert from 'assert'
+
+import {setLocale, getMessages, registerMessages, getLanguageMap, formatMessage, formatDate,
+  formatTime} from '../../src/util/i18n.js'
+
+describe('i18n', () => {
+  afterEach(() => setLocale('en'))
+  describe('#getMessages', () => {
+    it('uses the default locale', () => {
+      assert.strictEqual(getMessages().time, 'Time')
+      setLocale('de')
+      assert.strictEqual(getMessages().time, 'Zeit')
+    })
+    it('falls back to the base language and to English', () => {
+      registerMessages('de-CH', {play: 'Abspielen!'})
+      let messages = getMessages('de-CH')
+      assert.strictEqual(messages.play, 'Abspielen!')
+      assert.strictEqual(messages.time, 'Zeit')
+      assert.strictEqual(getMessages('xx').noData, 'No data')
+    })
+    it('applies overrides', () => {
+      assert.strictEqual(getMessages('fr', {time: 'Date'}).time, 'Date')
+    })
+  })
+  describe('#getLanguageMap', () => {
+    it('returns a message in all languages', () => {
+      let map = getLanguageMap('vectorSpeed')
+      assert.strictEqual(map.en, 'Speed')
+      assert.strictEqual(map.de, 'Geschwindigkeit')
+      assert.strictEqual(map.fr, 'Vitesse')
+    })
+  })
+  describe('#formatMessage', () => {
+    it('replaces placeholders', () => {
+      assert.strictEqual(formatMessage(getMessages('en').fps, {fps: 4}), '4 fps')
+      assert.strictEqual(formatMessage('{a} {b}', {a: 1}), '1 {b}')
+    })
+  })
+  describe('#formatDate', () => {
+    it('formats dates in UTC according to the locale', () => {
+      let date = new Date('2000-01-31T23:30:00Z')
+      assert.strictEqual(formatDate(date, 'de'), '31.01.2000')
+      assert.strictEqual(formatTime(date, 'de'), '23:30:00 UTC')
+    })
+    it('formats dates of other calendars as ISO strings', () => {
+      let date = {toISOString: () => '2050-02-30T06:00:00.000Z'}
+      assert.strictEqual(formatDate(date, 'de'), '2050-02-30')
+      assert.strictEqual(formatTime(date, 'de'), '06:00:00 UTC')
+      let extended = {toISOString: () => '+010000-02-30T06:00:00.000Z'}
+      assert.strictEqual(formatDate(extended, 'de'), '+010000-02-30')
+      assert.strictEqual(formatTime(extended, 'de'), '06:00:00 UTC')
+    })
+  })
+})
@@ -0,0 +1,43 @@
+import assert from 'assert'
+
+import {fractionalIndexOf, bilinearValueFn} from '../../src/util/interpolation.js'
+
+// 2x2 grid in row-major order (y, x)
+function gridValues (values) {
+  return ({x, y}) => values[y * 2 + x]
+}
+
+describe('interpolation', () => {
+  describe('#fractionalIndexOf', () => {
+    it('interpolates between the neighbouring indices', () => {
+      assert.strictEqual(fractionalIndexOf([2, 4, 8], 6), 1.5)
+      assert.strictEqual(fractionalIndexOf([2, 4, 8], 4), 1)
+    })
+    it('supports descending arrays', () => {
+      assert.strictEqual(fractionalIndexOf([8, 4, 2], 6), 0.5)
+    })
+    it('clamps to the first and last index', () => {
+      assert.strictEqual(fractionalIndexOf([2, 4, 8], 0), 0)
+      assert.strictEqual(fractionalIndexOf([2, 4, 8], 10), 2)
+    })
+  })
+  describe('#bilinearValueFn', () => {
+    it('blends the four surrounding grid cells', () => {
+      let vals = bilinearValueFn(gridValues([0, 10, 20, 30]), 'x', 'y')
+      assert.strictEqual(vals({x: 0.5, y: 0.5}), 15)
+      assert.strictEqual(vals({x: 0.25, y: 0}), 2.5)
+    })
+    it('returns the grid values at integer indices', () => {
+      let vals = bilinearValueFn(gridValues([0, 10, 20, 30]), 'x', 'y')
+      assert.strictEqual(vals({x: 1, y: 1}), 30)
+    })
+    it('skips missing values and renormalizes the weights', () => {
+      let vals = bilinearValueFn(gridValues([0, 10, 20, null]), 'x', 'y')
+      assert.strictEqual(vals({x: 0.4, y: 0.4}), (0 * 0.36 + 10 * 0.24 + 20 * 0.24) / 0.84)
+    })
+    it('returns no data if the closest grid cell has no data', () => {
+      let vals = bilinearValueFn(gridValues([0, 10, 20, null]), 'x', 'y')
+      assert.strictEqual(vals({x: 0.6, y: 0.6}), null)
+    })
+  })
+})
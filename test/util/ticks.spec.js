@@ -0,0 +1,38 @@
+import assert from 'assert'
+
+import {niceTicks, scaleTicks, decimalPlaces, formatNumber} from '../../src/util/ticks.js'
+
+describe('ticks', () => {
+  describe('#niceTicks', () => {
+    it('returns round values strictly within the extent', () => {
+      assert.deepStrictEqual(niceTicks([0, 97], 10), [10, 20, 30, 40, 50, 60, 70, 80, 90])
+      assert.deepStrictEqual(niceTicks([0.1, 0.95], 4), [0.2, 0.4, 0.6, 0.8])
+      assert.deepStrictEqual(niceTicks([1, 1], 5), [])
+    })
+  })
+  describe('#scaleTicks', () => {
+    it('places powers of ten on log scales', () => {
+      assert.deepStrictEqual(scaleTicks('log', [1, 1000], 5), [10, 100])
+    })
+    it('includes the center of diverging scales', () => {
+      assert.deepStrictEqual(scaleTicks({type: 'diverging', center: 0}, [-10, 100], 4), [-5, 0, 50])
+    })
+  })
+  describe('#decimalPlaces', () => {
+    it('ignores floating point artefacts', () => {
+      assert.strictEqual(decimalPlaces([0.1 + 0.2, 10]), 1)
+      assert.strictEqual(decimalPlaces([0.25, 1e-7]), 7)
+      assert.strictEqual(decimalPlaces([]), 0)
+    })
+  })
+  describe('#formatNumber', () => {
+    it('applies precision, notation, and locale', () => {
+      assert.strictEqual(formatNumber(1234.5, {precision: 2, locale: 'de'}), '1.234,50')
+      assert.strictEqual(formatNumber(1234.5, {precision: 1, notation: 'scientific', locale: 'en'}), '1.2E3')
+    })
+    it('limits significant digits', () => {
+      assert.strictEqual(formatNumber(0.000123456, {significantDigits: 3, locale: 'en'}), '0.000123')
+      assert.strictEqual(formatNumber(1013.25, {significantDigits: 12, locale: 'fr'}), '1\u202f013,25')
+    })
+  })
+})
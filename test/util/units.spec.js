@@ -0,0 +1,30 @@
+import assert from 'assert'
+
+import {getUnitConversion, registerUnitConversion} from '../../src/util/units.js'
+
+describe('units', () => {
+  describe('#getUnitConversion', () => {
+    it('converts values and back', () => {
+      let {convert, invert} = getUnitConversion({symbol: {value: 'K'}}, '°C')
+      assert.strictEqual(convert(273.15), 0)
+      assert.strictEqual(convert(303.15), 30)
+      assert.strictEqual(invert(30), 303.15)
+      assert.strictEqual(getUnitConversion('Pa', 'hPa').convert(101325), 1013.25)
+    })
+    it('resolves aliases and inverse conversions', () => {
+      assert.strictEqual(getUnitConversion({symbol: 'm s-1'}, 'km/h').convert(10), 36)
+      assert.strictEqual(getUnitConversion({symbol: '°F'}, 'Cel').convert(212), 100)
+    })
+    it('prefers the unit id over the symbol', () => {
+      registerUnitConversion('urn:test:mm', 'cm', {scale: 0.1})
+      assert.strictEqual(getUnitConversion({id: 'urn:test:mm', symbol: 'm'}, 'cm').convert(10), 1)
+    })
+    it('does not convert without display unit or between equal units', () => {
+      assert.strictEqual(getUnitConversion({symbol: 'K'}).convert(1.5), 1.5)
+      assert.strictEqual(getUnitConversion({symbol: 'K'}, 'K').convert(1.5), 1.5)
+    })
+    it('throws for unknown conversions', () => {
+      assert.throws(() => getUnitConversion({symbol: 'K'}, 'hPa'))
+    })
+  })
+})